@@ -0,0 +1,237 @@
+import { generateText } from 'ai';
+
+const APPROX_CHARS_PER_TOKEN = 4;
+const LOG_ENTRIES_KEPT_AT_EDGES = 3;
+const LOG_TEXT_MAX_CHARS = 200;
+const TRANSCRIPT_PART_MAX_CHARS = 4000;
+
+const SUMMARY_PREFIX = '[Summary of earlier conversation, compacted to save context]';
+
+const SUMMARIZER_INSTRUCTIONS = `You compress agent transcripts so the agent can keep working with less context.
+Summarize the conversation below for the same agent that produced it. Preserve:
+- the user's goals, requirements, and any decisions or preferences they stated,
+- files created, modified, or deleted (with paths) and artifacts written,
+- commands run and their outcomes, especially failures that are still unresolved,
+- open questions, next steps, and anything the agent promised to do.
+Drop verbose tool output, repeated attempts, and pleasantries. Write concise Markdown bullet points; no preamble.`;
+
+function estimateTokenCount(messages) {
+  let characters = 0;
+  for (const message of messages) {
+    characters += typeof message.content === 'string'
+      ? message.content.length
+      : safeStringify(message.content).length;
+  }
+  return Math.ceil(characters / APPROX_CHARS_PER_TOKEN);
+}
+
+function isSummaryMessage(message) {
+  return message?.role === 'user'
+    && typeof message.content === 'string'
+    && message.content.startsWith(SUMMARY_PREFIX);
+}
+
+function isTurnMessage(message) {
+  return message?.role === 'user' && !isSummaryMessage(message);
+}
+
+function findRecentTurnStart(messages, keepRecentTurns) {
+  let remaining = Math.max(1, keepRecentTurns);
+  for (let index = messages.length - 1; index > 0; index -= 1) {
+    if (isTurnMessage(messages[index])) {
+      remaining -= 1;
+      if (remaining === 0) {
+        return index;
+      }
+    }
+  }
+  return firstNonSystemIndex(messages);
+}
+
+function findLatestToolResultIndex(messages) {
+  const index = messages.findLastIndex((message) => message.role === 'tool');
+  return index === -1 ? messages.length : index;
+}
+
+function truncateStaleToolResults(messages, { preserveFrom, maxChars }) {
+  let truncatedCount = 0;
+  const end = Math.min(preserveFrom, messages.length);
+  for (let index = 0; index < end; index += 1) {
+    const message = messages[index];
+    if (message.role !== 'tool' || !Array.isArray(message.content)) {
+      continue;
+    }
+    message.content = message.content.map((part) => {
+      if (part?.type !== 'tool-result' || !part.output) {
+        return part;
+      }
+      const compacted = compactToolOutput(part.output, maxChars);
+      if (compacted === part.output) {
+        return part;
+      }
+      truncatedCount += 1;
+      return { ...part, output: compacted };
+    });
+  }
+  return truncatedCount;
+}
+
+function compactToolOutput(output, maxChars) {
+  if (safeStringify(output.value).length <= maxChars) {
+    return output;
+  }
+  if (output.type === 'json' || output.type === 'error-json') {
+    if (output.value && typeof output.value === 'object' && output.value.compacted) {
+      return output;
+    }
+    return { ...output, value: compactToolPayload(output.value, maxChars) };
+  }
+  if (typeof output.value === 'string') {
+    return { ...output, value: clipText(output.value, maxChars) };
+  }
+  return output;
+}
+
+function compactToolPayload(payload, maxChars) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return { compacted: true, value: clipText(safeStringify(payload), maxChars) };
+  }
+
+  const compacted = { ...payload, compacted: true };
+  if (Array.isArray(payload.logs)) {
+    compacted.logs = compactLogEntries(payload.logs);
+  }
+  const valueBudget = Math.max(200, Math.floor(maxChars / 2));
+  if (payload.value !== undefined && payload.value !== null) {
+    compacted.value = clipText(
+      typeof payload.value === 'string' ? payload.value : safeStringify(payload.value),
+      valueBudget,
+    );
+  }
+  if (typeof payload.errorStack === 'string') {
+    compacted.errorStack = clipText(payload.errorStack, LOG_TEXT_MAX_CHARS * 2);
+  }
+  return compacted;
+}
+
+function compactLogEntries(logs) {
+  const clipEntry = (entry) => ({
+    level: entry?.level ?? 'log',
+    text: clipText(String(entry?.text ?? ''), LOG_TEXT_MAX_CHARS),
+  });
+  if (logs.length <= LOG_ENTRIES_KEPT_AT_EDGES * 2) {
+    return logs.map(clipEntry);
+  }
+  const omitted = logs.length - LOG_ENTRIES_KEPT_AT_EDGES * 2;
+  return [
+    ...logs.slice(0, LOG_ENTRIES_KEPT_AT_EDGES).map(clipEntry),
+    { level: 'info', text: `[${omitted} log entries omitted during compaction]` },
+    ...logs.slice(-LOG_ENTRIES_KEPT_AT_EDGES).map(clipEntry),
+  ];
+}
+
+async function summarizeMessages({ model, messages, providerOptions, maxOutputTokens }) {
+  const transcript = renderTranscript(messages);
+  const result = await generateText({
+    model,
+    providerOptions,
+    maxOutputTokens,
+    messages: [
+      { role: 'system', content: SUMMARIZER_INSTRUCTIONS },
+      { role: 'user', content: transcript },
+    ],
+  });
+  return { summary: result.text.trim(), usage: result.usage };
+}
+
+function buildSummaryMessage(summary) {
+  return {
+    role: 'user',
+    content: `${SUMMARY_PREFIX}\n\n${summary}`,
+  };
+}
+
+function describeCompaction(result) {
+  const details = [];
+  if (result.summarizedMessages) {
+    details.push(`summarized ${result.summarizedMessages} messages`);
+  }
+  if (result.truncatedResults) {
+    details.push(`truncated ${result.truncatedResults} tool results`);
+  }
+  const suffix = details.length ? ` (${details.join(', ')})` : ' (nothing to compact)';
+  return `~${result.beforeTokens} -> ~${result.afterTokens} tokens${suffix}`;
+}
+
+function renderTranscript(messages) {
+  const lines = [];
+  messages.forEach((message) => {
+    if (message.role === 'system') {
+      return;
+    }
+    if (typeof message.content === 'string') {
+      lines.push(`## ${message.role}\n${clipText(message.content, TRANSCRIPT_PART_MAX_CHARS)}`);
+      return;
+    }
+    if (!Array.isArray(message.content)) {
+      return;
+    }
+    message.content.forEach((part) => {
+      switch (part?.type) {
+        case 'text':
+          lines.push(`## ${message.role}\n${clipText(part.text, TRANSCRIPT_PART_MAX_CHARS)}`);
+          break;
+        case 'tool-call':
+          lines.push(`## ${message.role} ran ${part.toolName}\n${clipText(part.input?.code ?? safeStringify(part.input), TRANSCRIPT_PART_MAX_CHARS)}`);
+          break;
+        case 'tool-result':
+          lines.push(`## ${part.toolName} result\n${clipText(safeStringify(part.output?.value), TRANSCRIPT_PART_MAX_CHARS)}`);
+          break;
+        default:
+          break;
+      }
+    });
+  });
+  return lines.join('\n\n');
+}
+
+function firstNonSystemIndex(messages) {
+  const index = messages.findIndex((message) => message.role !== 'system');
+  return index === -1 ? messages.length : index;
+}
+
+function clipText(text, maxChars) {
+  if (typeof text !== 'string' || text.length <= maxChars) {
+    return text;
+  }
+  const half = Math.max(1, Math.floor((maxChars - 40) / 2));
+  const omitted = text.length - half * 2;
+  return `${text.slice(0, half)}\n[... ${omitted} characters omitted ...]\n${text.slice(-half)}`;
+}
+
+function safeStringify(value) {
+  if (value === undefined) {
+    return '';
+  }
+  if (typeof value === 'string') {
+    return value;
+  }
+  try {
+    return JSON.stringify(value);
+  } catch (error) {
+    return String(value);
+  }
+}
+
+export {
+  buildSummaryMessage,
+  describeCompaction,
+  estimateTokenCount,
+  findLatestToolResultIndex,
+  findRecentTurnStart,
+  firstNonSystemIndex,
+  isSummaryMessage,
+  isTurnMessage,
+  summarizeMessages,
+  truncateStaleToolResults,
+};
@@ -0,0 +1,145 @@
+const OUTPUT_FORMATS = ['text', 'json', 'jsonl'];
+const EXIT_CODES = {
+  answered: 0,
+  error: 1,
+  'max-iterations': 2,
+  'budget-exceeded': 3,
+  incomplete: 4,
+  cancelled: 130,
+};
+const DELTA_EVENT_TYPES = new Set(['reasoning', 'text']);
+
+function normalizeOutputFormat(value) {
+  const format = typeof value === 'string' && value.trim() ? value.trim().toLowerCase() : 'text';
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new Error(`Unknown output format "${value}". Use ${OUTPUT_FORMATS.join(', ')}.`);
+  }
+  return format;
+}
+
+function createEventLog(format, write = (text) => process.stdout.write(text)) {
+  if (format !== 'json' && format !== 'jsonl') {
+    throw new Error(`Event logs are written as json or jsonl, not "${format}".`);
+  }
+  const events = [];
+
+  function emit(event) {
+    const entry = stampEvent(event);
+    if (format === 'jsonl') {
+      write(`${JSON.stringify(entry)}\n`);
+      return;
+    }
+    const last = events.at(-1);
+    if (last && DELTA_EVENT_TYPES.has(entry.type) && last.type === entry.type && last.scope === entry.scope) {
+      last.text += entry.text;
+      return;
+    }
+    events.push(entry);
+  }
+
+  function finish(result) {
+    if (format === 'jsonl') {
+      emit({ type: 'finish', ...result });
+      return;
+    }
+    write(`${JSON.stringify({ ...result, events }, null, 2)}\n`);
+  }
+
+  return { format, events, emit, finish };
+}
+
+function createEventChannel() {
+  const buffered = [];
+  const waiting = [];
+  let closed = false;
+
+  function push(event) {
+    if (closed) {
+      return;
+    }
+    const resolve = waiting.shift();
+    if (resolve) {
+      resolve({ value: event, done: false });
+    } else {
+      buffered.push(event);
+    }
+  }
+
+  function close() {
+    closed = true;
+    waiting.splice(0).forEach((resolve) => resolve({ value: undefined, done: true }));
+  }
+
+  const iterator = {
+    next() {
+      if (buffered.length) {
+        return Promise.resolve({ value: buffered.shift(), done: false });
+      }
+      if (closed) {
+        return Promise.resolve({ value: undefined, done: true });
+      }
+      return new Promise((resolve) => waiting.push(resolve));
+    },
+    return() {
+      buffered.length = 0;
+      return Promise.resolve({ value: undefined, done: true });
+    },
+    [Symbol.asyncIterator]() {
+      return iterator;
+    },
+  };
+
+  return { push, close, iterator };
+}
+
+function stampEvent(event) {
+  return { type: event.type, ...event, time: new Date().toISOString() };
+}
+
+function summarizeRun(session, outcome) {
+  const status = describeOutcome(outcome);
+  return {
+    status,
+    finishReason: outcome.finishReason,
+    iterations: outcome.iteration,
+    answer: status === 'answered' ? session.getLastAssistantMessage() : null,
+    sessionId: session.id,
+    usage: session.usageLedger.totals(),
+  };
+}
+
+function describeOutcome(outcome) {
+  switch (outcome?.finishReason) {
+    case 'stop':
+      return 'answered';
+    case 'error':
+    case 'cancelled':
+    case 'max-iterations':
+    case 'budget-exceeded':
+      return outcome.finishReason;
+    default:
+      return 'incomplete';
+  }
+}
+
+function routeConsoleToStderr() {
+  const { log, info } = console;
+  console.log = (...args) => console.error(...args);
+  console.info = (...args) => console.error(...args);
+  return () => {
+    console.log = log;
+    console.info = info;
+  };
+}
+
+export {
+  EXIT_CODES,
+  OUTPUT_FORMATS,
+  createEventChannel,
+  createEventLog,
+  describeOutcome,
+  normalizeOutputFormat,
+  routeConsoleToStderr,
+  stampEvent,
+  summarizeRun,
+};
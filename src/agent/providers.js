@@ -0,0 +1,151 @@
+import { createAnthropic } from '@ai-sdk/anthropic';
+import { createOpenAI } from '@ai-sdk/openai';
+import { createOpenAICompatible } from '@ai-sdk/openai-compatible';
+
+const DEFAULT_PROVIDER = 'openai';
+
+const ANTHROPIC_THINKING_BUDGETS = {
+  low: 1024,
+  medium: 4096,
+  high: 16384,
+};
+
+const PROVIDER_TYPES = {
+  openai: {
+    apiKeyEnv: 'OPENAI_API_KEY',
+    baseURLEnv: 'OPENAI_BASE_URL',
+    requiresApiKey: true,
+    requiresBaseURL: false,
+    create: ({ apiKey, baseURL }) => createOpenAI({ apiKey, baseURL }),
+    providerOptions: (name, { reasoningEffort, verbosity }) => ({
+      openai: {
+        reasoningEffort,
+        reasoningSummary: 'auto',
+        verbosity,
+      },
+    }),
+  },
+  compatible: {
+    apiKeyEnv: 'CODE_LOOP_COMPATIBLE_API_KEY',
+    baseURLEnv: 'CODE_LOOP_COMPATIBLE_BASE_URL',
+    requiresApiKey: false,
+    requiresBaseURL: true,
+    create: ({ name, apiKey, baseURL }) => createOpenAICompatible({
+      name,
+      apiKey,
+      baseURL,
+      includeUsage: true,
+    }),
+    providerOptions: (name, { reasoningEffort }) => ({
+      [name]: reasoningEffort ? { reasoningEffort } : {},
+    }),
+  },
+  anthropic: {
+    apiKeyEnv: 'ANTHROPIC_API_KEY',
+    baseURLEnv: 'ANTHROPIC_BASE_URL',
+    requiresApiKey: true,
+    requiresBaseURL: false,
+    create: ({ apiKey, baseURL }) => createAnthropic({ apiKey, baseURL }),
+    providerOptions: (name, { reasoningEffort, maxOutputTokens }) => {
+      const budgetTokens = ANTHROPIC_THINKING_BUDGETS[reasoningEffort];
+      if (!budgetTokens || !(maxOutputTokens > budgetTokens)) {
+        return { anthropic: {} };
+      }
+      return {
+        anthropic: {
+          thinking: { type: 'enabled', budgetTokens },
+        },
+      };
+    },
+  },
+};
+
+function parseModelSpec(spec, providerConfigs = {}) {
+  const specText = typeof spec === 'string' ? spec.trim() : '';
+  if (!specText) {
+    throw new Error('Model must be a non-empty string such as openai:gpt-5.1.');
+  }
+
+  const separatorIndex = specText.indexOf(':');
+  if (separatorIndex === -1) {
+    return { provider: DEFAULT_PROVIDER, modelId: specText };
+  }
+
+  const provider = specText.slice(0, separatorIndex).trim();
+  const modelId = specText.slice(separatorIndex + 1).trim();
+  if (!isKnownProvider(provider, providerConfigs)) {
+    throw new Error(`Unknown model provider "${provider}" in ${specText}. Known providers: ${listProviderNames(providerConfigs).join(', ')}.`);
+  }
+  if (!modelId) {
+    throw new Error(`Model spec ${specText} is missing a model id after "${provider}:".`);
+  }
+  return { provider, modelId };
+}
+
+function resolveProviderSettings(name, providerConfigs = {}) {
+  const configured = providerConfigs[name] ?? {};
+  const typeName = configured.type ?? name;
+  const type = PROVIDER_TYPES[typeName];
+  if (!type) {
+    throw new Error(`Provider "${name}" has unknown type "${typeName}". Use one of: ${Object.keys(PROVIDER_TYPES).join(', ')}.`);
+  }
+
+  const apiKeyEnv = configured.apiKeyEnv ?? type.apiKeyEnv;
+  const baseURLEnv = configured.baseURLEnv ?? type.baseURLEnv;
+  return {
+    name,
+    type,
+    typeName,
+    apiKeyEnv,
+    baseURLEnv,
+    apiKey: configured.apiKey ?? process.env[apiKeyEnv] ?? undefined,
+    baseURL: configured.baseURL ?? process.env[baseURLEnv] ?? undefined,
+  };
+}
+
+function resolveLanguageModel(spec, providerConfigs = {}) {
+  const { provider, modelId } = parseModelSpec(spec, providerConfigs);
+  const settings = resolveProviderSettings(provider, providerConfigs);
+  const providerInstance = settings.type.create(settings);
+  return providerInstance(modelId);
+}
+
+function buildProviderOptions(spec, options = {}, providerConfigs = {}) {
+  const { provider } = parseModelSpec(spec, providerConfigs);
+  const settings = resolveProviderSettings(provider, providerConfigs);
+  return settings.type.providerOptions(provider, options);
+}
+
+function assertProviderCredentials(specs, providerConfigs = {}) {
+  const checked = new Set();
+  specs.forEach((spec) => {
+    const { provider } = parseModelSpec(spec, providerConfigs);
+    if (checked.has(provider)) {
+      return;
+    }
+    checked.add(provider);
+    const settings = resolveProviderSettings(provider, providerConfigs);
+    if (settings.type.requiresApiKey && !settings.apiKey) {
+      throw new Error(`Missing ${settings.apiKeyEnv} in the environment.`);
+    }
+    if (settings.type.requiresBaseURL && !settings.baseURL) {
+      throw new Error(`Provider "${provider}" needs a base URL. Set ${settings.baseURLEnv} or providers.${provider}.baseURL in the config file.`);
+    }
+  });
+}
+
+function isKnownProvider(name, providerConfigs) {
+  return Object.hasOwn(PROVIDER_TYPES, name) || Object.hasOwn(providerConfigs, name);
+}
+
+function listProviderNames(providerConfigs = {}) {
+  return [...new Set([...Object.keys(PROVIDER_TYPES), ...Object.keys(providerConfigs)])];
+}
+
+export {
+  assertProviderCredentials,
+  buildProviderOptions,
+  listProviderNames,
+  parseModelSpec,
+  resolveLanguageModel,
+};
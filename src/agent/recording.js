@@ -0,0 +1,371 @@
+import { appendFileSync, mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import path from 'node:path';
+
+import { APICallError } from 'ai';
+
+const RECORDING_VERSION = 1;
+const COMPARED_RESULT_FIELDS = ['success', 'value', 'errorMessage', 'limitExceeded', 'logs'];
+
+function createInteractionRecorder(filePath, header = {}) {
+  if (typeof filePath !== 'string' || !filePath.trim()) {
+    throw new Error('--record requires a file path.');
+  }
+  const normalizedPath = path.resolve(filePath);
+  mkdirSync(path.dirname(normalizedPath), { recursive: true });
+  writeFileSync(normalizedPath, '', 'utf8');
+  const counters = new Map();
+
+  function append(event) {
+    appendFileSync(normalizedPath, `${JSON.stringify(event, encodeValue)}\n`, 'utf8');
+  }
+
+  function nextCall(scope) {
+    const call = (counters.get(scope) ?? 0) + 1;
+    counters.set(scope, call);
+    return call;
+  }
+
+  append({ type: 'header', version: RECORDING_VERSION, createdAt: new Date().toISOString(), ...header });
+
+  function wrapModel(model, scope) {
+    return {
+      specificationVersion: model.specificationVersion,
+      provider: model.provider,
+      modelId: model.modelId,
+      supportedUrls: model.supportedUrls,
+      async doGenerate(callOptions) {
+        const call = nextCall(scope);
+        const result = await model.doGenerate(callOptions);
+        append({ type: 'model-call', kind: 'generate', scope, call, request: describeRequest(callOptions), result: pickGenerateResult(result) });
+        return result;
+      },
+      async doStream(callOptions) {
+        const call = nextCall(scope);
+        const chunks = [];
+        let recorded = false;
+        const finish = (end) => {
+          if (!recorded) {
+            recorded = true;
+            append({ type: 'model-call', kind: 'stream', scope, call, request: describeRequest(callOptions), chunks, end });
+          }
+        };
+        const describeFailure = (error, beforeStream = false) => (callOptions.abortSignal?.aborted
+          ? { type: 'abort' }
+          : describeStreamError(error, beforeStream));
+        let result;
+        try {
+          result = await model.doStream(callOptions);
+        } catch (error) {
+          finish(describeFailure(error, true));
+          throw error;
+        }
+        const reader = result.stream.getReader();
+        const stream = new ReadableStream({
+          async pull(controller) {
+            let next;
+            try {
+              next = await reader.read();
+            } catch (error) {
+              finish(describeFailure(error));
+              controller.error(error);
+              return;
+            }
+            if (next.done) {
+              finish({ type: 'finish' });
+              controller.close();
+            } else {
+              chunks.push(next.value);
+              controller.enqueue(next.value);
+            }
+          },
+          cancel(reason) {
+            finish({ type: 'abort' });
+            return reader.cancel(reason);
+          },
+        });
+        return { ...result, stream };
+      },
+    };
+  }
+
+  return {
+    filePath: normalizedPath,
+    wrapModel,
+    recordTurn(scope, text) {
+      append({ type: 'turn', scope, text });
+    },
+    recordToolResult(scope, toolCallId, code, result) {
+      append({ type: 'tool-result', scope, toolCallId, code, result });
+    },
+  };
+}
+
+function loadInteractionRecording(filePath) {
+  const normalizedPath = path.resolve(filePath);
+  let raw;
+  try {
+    raw = readFileSync(normalizedPath, 'utf8');
+  } catch (error) {
+    if (error && error.code === 'ENOENT') {
+      throw new Error(`No recording at ${normalizedPath}.`);
+    }
+    throw error;
+  }
+  const events = raw.split('\n').filter((line) => line.trim()).map((line, index) => {
+    try {
+      return JSON.parse(line, decodeValue);
+    } catch (error) {
+      throw new Error(`Recording ${normalizedPath} has an unreadable line ${index + 1}: ${error.message}`);
+    }
+  });
+  const [header] = events;
+  if (!header || header.type !== 'header') {
+    throw new Error(`${normalizedPath} is not a code-loop recording.`);
+  }
+  if (header.version !== RECORDING_VERSION) {
+    throw new Error(`Recording ${normalizedPath} uses format version ${header.version}; this build reads version ${RECORDING_VERSION}.`);
+  }
+  return { filePath: normalizedPath, header, events: events.slice(1) };
+}
+
+function createReplay(recording, options = {}) {
+  const reexecute = Boolean(options.reexecute);
+  const onDivergence = typeof options.onDivergence === 'function' ? options.onDivergence : () => {};
+  const modelCalls = new Map();
+  const toolResults = new Map();
+  const turns = [];
+  const divergences = [];
+  const replayedScopes = new Set();
+  const counts = { modelCalls: 0, codeBlocks: 0 };
+
+  recording.events.forEach((event) => {
+    if (event.type === 'model-call') {
+      if (!modelCalls.has(event.scope)) {
+        modelCalls.set(event.scope, []);
+      }
+      modelCalls.get(event.scope).push(event);
+    } else if (event.type === 'tool-result') {
+      toolResults.set(`${event.scope}:${event.toolCallId}`, event);
+    } else if (event.type === 'turn' && event.scope === 'main') {
+      turns.push(event.text);
+    }
+  });
+
+  function diverge(divergence) {
+    divergences.push(divergence);
+    onDivergence(divergence);
+  }
+
+  function takeModelCall(scope, kind, callOptions) {
+    replayedScopes.add(scope);
+    const queue = modelCalls.get(scope) ?? [];
+    const event = queue.shift();
+    if (!event) {
+      throw new Error(`The recording has no more model calls for ${scope}; the replay asked for one more than was recorded.`);
+    }
+    if (event.kind !== kind) {
+      throw new Error(`The recording has a ${event.kind} call for ${scope} where the replay made a ${kind} call (call ${event.call}).`);
+    }
+    counts.modelCalls += 1;
+    const actual = JSON.parse(JSON.stringify(describeRequest(callOptions).prompt, encodeValue), decodeValue);
+    const messageIndex = findFirstDifference(event.request.prompt, actual);
+    if (messageIndex !== -1) {
+      diverge({
+        scope,
+        kind: 'request',
+        call: event.call,
+        detail: `model call ${event.call} sent a different prompt than the recording, starting at message ${messageIndex + 1}`,
+      });
+    }
+    return event;
+  }
+
+  function model(scope, { cancelTurn = () => {} } = {}) {
+    return {
+      specificationVersion: 'v2',
+      provider: 'replay',
+      modelId: recording.filePath,
+      supportedUrls: {},
+      async doGenerate(callOptions) {
+        return takeModelCall(scope, 'generate', callOptions).result;
+      },
+      async doStream(callOptions) {
+        const event = takeModelCall(scope, 'stream', callOptions);
+        const chunks = [...event.chunks];
+        const end = event.end ?? { type: 'finish' };
+        if (end.type === 'error' && end.beforeStream) {
+          throw replayStreamError(end);
+        }
+        return {
+          stream: new ReadableStream({
+            pull(controller) {
+              if (chunks.length) {
+                controller.enqueue(chunks.shift());
+              } else if (end.type === 'abort') {
+                cancelTurn();
+                controller.error(new DOMException('The recorded model call was aborted.', 'AbortError'));
+              } else if (end.type === 'error') {
+                controller.error(replayStreamError(end));
+              } else {
+                controller.close();
+              }
+            },
+          }),
+        };
+      },
+    };
+  }
+
+  async function runToolCall(scope, toolCallId, code, execute) {
+    counts.codeBlocks += 1;
+    const recorded = toolResults.get(`${scope}:${toolCallId}`);
+    if (!reexecute) {
+      if (!recorded) {
+        throw new Error(`The recording has no result for code block ${toolCallId} in ${scope}. Replay with --replay-exec to run it.`);
+      }
+      return recorded.result;
+    }
+    const result = await execute();
+    if (!recorded) {
+      diverge({ scope, kind: 'tool-result', toolCallId, detail: `code block ${toolCallId} was not in the recording` });
+      return result;
+    }
+    if (recorded.code !== code) {
+      diverge({ scope, kind: 'tool-result', toolCallId, detail: `code block ${toolCallId} ran different code than the recording` });
+    }
+    const changedFields = COMPARED_RESULT_FIELDS
+      .filter((field) => JSON.stringify(recorded.result[field]) !== JSON.stringify(result[field]));
+    if (changedFields.length) {
+      diverge({
+        scope,
+        kind: 'tool-result',
+        toolCallId,
+        detail: `code block ${toolCallId} produced a different ${changedFields.join(', ')} (recorded ${summarizeResult(recorded.result)}, now ${summarizeResult(result)})`,
+      });
+    }
+    return result;
+  }
+
+  return {
+    reexecute,
+    turns,
+    divergences,
+    model,
+    runToolCall,
+    summary() {
+      const unused = [...modelCalls.entries()]
+        .filter(([scope]) => reexecute || replayedScopes.has(scope))
+        .reduce((total, [, queue]) => total + queue.length, 0);
+      return { ...counts, unusedModelCalls: unused, divergences: divergences.length };
+    },
+  };
+}
+
+function describeRequest(callOptions) {
+  const request = {};
+  Object.entries(callOptions).forEach(([key, value]) => {
+    if (key !== 'abortSignal' && key !== 'headers' && value !== undefined) {
+      request[key] = value;
+    }
+  });
+  return request;
+}
+
+function describeStreamError(error, beforeStream) {
+  return {
+    type: 'error',
+    message: error?.message ?? String(error),
+    beforeStream,
+    ...(APICallError.isInstance(error) ? { statusCode: error.statusCode, isRetryable: error.isRetryable } : {}),
+  };
+}
+
+function replayStreamError(end) {
+  if (end.statusCode !== undefined || end.isRetryable !== undefined) {
+    return new APICallError({
+      message: end.message,
+      url: 'replay',
+      requestBodyValues: {},
+      statusCode: end.statusCode,
+      isRetryable: Boolean(end.isRetryable),
+    });
+  }
+  return new Error(end.message);
+}
+
+function pickGenerateResult(result) {
+  return {
+    content: result.content,
+    finishReason: result.finishReason,
+    usage: result.usage,
+    providerMetadata: result.providerMetadata,
+    warnings: result.warnings ?? [],
+  };
+}
+
+function findFirstDifference(recorded = [], actual = []) {
+  const length = Math.max(recorded.length, actual.length);
+  for (let index = 0; index < length; index += 1) {
+    if (JSON.stringify(recorded[index], omitTimings) !== JSON.stringify(actual[index], omitTimings)) {
+      return index;
+    }
+  }
+  return -1;
+}
+
+function omitTimings(key, value) {
+  return key === 'durationMs' ? undefined : value;
+}
+
+function summarizeResult(result) {
+  const text = result.success
+    ? `value ${JSON.stringify(result.value) ?? 'undefined'}`
+    : `error ${JSON.stringify(result.errorMessage)}`;
+  return text.length > 120 ? `${text.slice(0, 117)}...` : text;
+}
+
+function encodeValue(key, value) {
+  const original = this[key];
+  if (original instanceof Date) {
+    return { $date: original.toISOString() };
+  }
+  if (original instanceof Uint8Array) {
+    return { $bytes: Buffer.from(original).toString('base64') };
+  }
+  if (original instanceof URL) {
+    return { $url: original.href };
+  }
+  if (original instanceof Error) {
+    return { $error: original.message };
+  }
+  return value;
+}
+
+function decodeValue(key, value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return value;
+  }
+  const keys = Object.keys(value);
+  if (keys.length !== 1) {
+    return value;
+  }
+  if (keys[0] === '$date') {
+    return new Date(value.$date);
+  }
+  if (keys[0] === '$bytes') {
+    return new Uint8Array(Buffer.from(value.$bytes, 'base64'));
+  }
+  if (keys[0] === '$url') {
+    return new URL(value.$url);
+  }
+  if (keys[0] === '$error') {
+    return new Error(value.$error);
+  }
+  return value;
+}
+
+export {
+  createInteractionRecorder,
+  createReplay,
+  loadInteractionRecording,
+};
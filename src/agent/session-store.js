@@ -0,0 +1,136 @@
+import { randomBytes } from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+const SESSION_FILE_SUFFIX = '.json';
+const SESSION_TITLE_LENGTH = 80;
+
+function createSessionStore(options = {}) {
+  const { directory } = options;
+
+  if (typeof directory !== 'string' || !directory.trim()) {
+    throw new Error('createSessionStore requires a directory string.');
+  }
+
+  const normalizedDirectory = path.resolve(directory);
+
+  function resolveSessionFile(id) {
+    const idText = typeof id === 'string' ? id.trim() : '';
+    if (!idText || !/^[\w-]+$/.test(idText)) {
+      throw new Error(`Invalid session id: ${id}`);
+    }
+    return path.join(normalizedDirectory, `${idText}${SESSION_FILE_SUFFIX}`);
+  }
+
+  async function save(record) {
+    if (!record || typeof record !== 'object' || !Array.isArray(record.messages)) {
+      throw new Error('Session records require a messages array.');
+    }
+    const filePath = resolveSessionFile(record.id);
+    const payload = {
+      ...record,
+      title: record.title || deriveSessionTitle(record.messages),
+      updatedAt: new Date().toISOString(),
+    };
+    await fs.mkdir(normalizedDirectory, { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(payload, null, 2), 'utf8');
+    await fs.rename(tempPath, filePath);
+    return payload;
+  }
+
+  async function load(id) {
+    const filePath = resolveSessionFile(id);
+    let raw;
+    try {
+      raw = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error && error.code === 'ENOENT') {
+        throw new Error(`No saved session with id ${id}.`);
+      }
+      throw error;
+    }
+    const record = JSON.parse(raw);
+    if (!record || !Array.isArray(record.messages)) {
+      throw new Error(`Session file for ${id} is corrupted.`);
+    }
+    return record;
+  }
+
+  async function list() {
+    let entries;
+    try {
+      entries = await fs.readdir(normalizedDirectory, { withFileTypes: true });
+    } catch (error) {
+      if (error && error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const summaries = await Promise.all(entries
+      .filter((entry) => entry.isFile() && entry.name.endsWith(SESSION_FILE_SUFFIX))
+      .map(async (entry) => {
+        const id = entry.name.slice(0, -SESSION_FILE_SUFFIX.length);
+        try {
+          const record = await load(id);
+          return {
+            id,
+            title: record.title || deriveSessionTitle(record.messages),
+            model: record.model ?? null,
+            createdAt: record.createdAt ?? null,
+            updatedAt: record.updatedAt ?? null,
+            messageCount: record.messages.length,
+          };
+        } catch {
+          return null;
+        }
+      }));
+
+    return summaries
+      .filter(Boolean)
+      .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+  }
+
+  async function latest() {
+    const [mostRecent] = await list();
+    return mostRecent ? load(mostRecent.id) : null;
+  }
+
+  return {
+    directory: normalizedDirectory,
+    save,
+    load,
+    list,
+    latest,
+  };
+}
+
+function generateSessionId(date = new Date()) {
+  const stamp = date.toISOString()
+    .replace(/\.\d+Z$/, '')
+    .replace(/[-:]/g, '')
+    .replace('T', '-');
+  return `${stamp}-${randomBytes(3).toString('hex')}`;
+}
+
+function deriveSessionTitle(messages) {
+  const firstUser = Array.isArray(messages)
+    ? messages.find((message) => message.role === 'user')
+    : null;
+  if (!firstUser) {
+    return '';
+  }
+  const text = typeof firstUser.content === 'string'
+    ? firstUser.content
+    : JSON.stringify(firstUser.content);
+  const singleLine = text.replace(/\s+/g, ' ').trim();
+  return singleLine.length > SESSION_TITLE_LENGTH
+    ? `${singleLine.slice(0, SESSION_TITLE_LENGTH - 3)}...`
+    : singleLine;
+}
+
+export {
+  createSessionStore,
+  generateSessionId,
+};
@@ -1,37 +1,255 @@
+import path from 'node:path';
+
 import { streamText, tool } from 'ai';
-import { openai } from '@ai-sdk/openai';
 import { z } from 'zod';
 
-import { executeCodeBlock } from '../runtime/quickjs-runner.js';
+import { createFileSnapshotJournal } from '../file-snapshots.js';
+import {
+  createDeadlineInfo,
+  createPersistentSandbox,
+  createSessionWorkspace,
+  executeCodeBlock,
+  normalizeSdkExtensions,
+  requestApproval,
+} from '../runtime/quickjs-runner.js';
 import { theme } from '../ui/theme.js';
+import { generateSessionId } from './session-store.js';
+import { buildProviderOptions, resolveLanguageModel } from './providers.js';
+import { createUsageLedger, diffUsage, formatUsage } from './usage.js';
+import {
+  buildSummaryMessage,
+  describeCompaction,
+  estimateTokenCount,
+  findLatestToolResultIndex,
+  findRecentTurnStart,
+  firstNonSystemIndex,
+  isTurnMessage,
+  summarizeMessages,
+  truncateStaleToolResults,
+} from './compaction.js';
 
 class AgentSession {
   constructor(options) {
     this.options = options;
+    this.sessionStore = options.sessionStore ?? null;
+    this.usageLedger = options.usageLedger ?? createUsageLedger();
+    this.usageScope = options.usageScope ?? { id: 'main', label: 'main agent' };
+    this.events = options.events ?? null;
+    this.logger = options.logger ?? console;
+    this.id = generateSessionId();
+    this.createdAt = new Date().toISOString();
+    this.turnCount = 0;
+    this.turns = [];
+    this.pendingNotes = [];
+    this.turnController = null;
+    this.checkpointWarnings = new Set();
+    this.fileSnapshots = options.fileSnapshots ?? createFileSnapshotJournal();
+    this.ownsWorkspaceSdk = !options.workspaceSdk;
+    this.workspaceSdk = options.workspaceSdk ?? createSessionWorkspace(options);
     this.messages = [
       {
         role: 'system',
         content: options.systemPrompt,
       },
     ];
+    this.sandbox = options.persistentSandbox
+      ? createPersistentSandbox({ memoryCapBytes: options.sandboxMemoryCapBytes })
+      : null;
     const toolOptions = {
       ...options,
       delegateTaskHandler: typeof options.delegateTaskHandler === 'function'
-        ? options.delegateTaskHandler
+        ? (input) => options.delegateTaskHandler(input, { parent: this })
         : null,
+      sandbox: this.sandbox,
+      fileSnapshots: this.fileSnapshots,
+      workspaceSdk: this.workspaceSdk,
+      usageScope: this.usageScope,
+      logger: this.logger,
+      sdkExtensions: normalizeSdkExtensions(options.sdkExtensions),
     };
     this.tools = {
       runJavascript: createRunJavascriptTool(toolOptions),
     };
   }
 
-  async submit(text) {
+  async submit(text, { signal = null } = {}) {
     if (!text) {
       return;
     }
 
-    this.messages.push({ role: 'user', content: text });
-    return this.loop();
+    const controller = new AbortController();
+    const cancelTurn = () => this.turnController?.abort();
+    if (signal?.aborted) {
+      controller.abort();
+    } else if (signal) {
+      signal.addEventListener('abort', cancelTurn, { once: true });
+    }
+    this.turnController = controller;
+    const notes = this.pendingNotes.splice(0);
+    const message = { role: 'user', content: notes.length ? `${notes.join('\n')}\n\n${text}` : text };
+    this.turns.push({
+      number: this.turnCount + 1,
+      message,
+      snapshotPosition: this.fileSnapshots.position(),
+    });
+    this.messages.push(message);
+    this.turnCount += 1;
+    if (this.options.recorder) {
+      this.options.recorder.recordTurn(this.usageScope.id, text);
+    }
+    this.emit({ type: 'turn', turn: this.turnCount, text });
+    const usageBefore = this.usageLedger.totals();
+    let outcome;
+    try {
+      await this.persist();
+      outcome = await this.loop(controller.signal);
+      if (this.options.gitCheckpoints) {
+        this.turnController = new AbortController();
+        await this.checkpoint(text, this.turnController.signal);
+      }
+    } finally {
+      this.turnController = null;
+      if (signal) {
+        signal.removeEventListener('abort', cancelTurn);
+      }
+    }
+    const turnUsage = diffUsage(this.usageLedger.totals(), usageBefore);
+    const sessionUsage = this.usageLedger.totals();
+    if (this.options.showTurnUsage) {
+      this.logger.log(theme.muted(`usage> turn: ${formatUsage(turnUsage)} | session: ${formatUsage(sessionUsage)}`));
+    }
+    this.emit({ type: 'usage', turn: turnUsage, session: sessionUsage });
+    return outcome;
+  }
+
+  get turnSignal() {
+    return this.turnController?.signal ?? null;
+  }
+
+  cancel() {
+    if (!this.turnController || this.turnController.signal.aborted) {
+      return false;
+    }
+    this.turnController.abort();
+    return true;
+  }
+
+  async checkpoint(text, signal = null) {
+    const [headline = ''] = text.trim().split('\n');
+    const summary = headline.length > 72 ? `${headline.slice(0, 69)}...` : headline;
+    const deadlineInfo = createDeadlineInfo(this.options.executionTimeoutMs, signal);
+    const approvalGate = this.options.approvalGate;
+    try {
+      const commit = await this.workspaceSdk.checkpoint(`code-loop turn ${this.turnCount}: ${summary}\n\nSession: ${this.id}`, deadlineInfo, {
+        beforeMutation: (command) => requestApproval({ approvalGate }, deadlineInfo, { operation: 'git', command }),
+      });
+      if (commit) {
+        this.logger.log(theme.muted(`checkpoint> ${commit.shortHash} turn ${this.turnCount}`));
+      }
+      return commit;
+    } catch (error) {
+      const message = error?.message ?? String(error);
+      if (!this.checkpointWarnings.has(message)) {
+        this.checkpointWarnings.add(message);
+        this.logger.warn(theme.warning(`Failed to checkpoint the workspace: ${message}`));
+      }
+      return null;
+    }
+  }
+
+  async undo() {
+    const outcome = await this.fileSnapshots.undo();
+    if (outcome && outcome.paths.length) {
+      this.pendingNotes.push(`[host] The user undid the file changes made by one of your runJavascript calls. Restored: ${outcome.paths.map(describePath).join(', ')}.`);
+    }
+    return outcome;
+  }
+
+  async rewind(turnNumber) {
+    if (!Number.isInteger(turnNumber) || turnNumber < 0) {
+      throw new Error('Rewind needs a turn number (0 or more).');
+    }
+    if (turnNumber >= this.turnCount) {
+      throw new Error(`Nothing to rewind: the session is at turn ${this.turnCount}.`);
+    }
+    const next = this.turns.find((turn) => turn.number === turnNumber + 1);
+    if (!next) {
+      const earliest = this.turns.length ? this.turns[0].number - 1 : this.turnCount;
+      throw new Error(`Turn ${turnNumber + 1} was not recorded in this run; the earliest turn you can rewind to is ${earliest}.`);
+    }
+    const messageIndex = this.messages.indexOf(next.message);
+    if (messageIndex === -1) {
+      throw new Error(`Turn ${turnNumber + 1} was folded into a compaction summary and can no longer be rewound.`);
+    }
+    const files = await this.fileSnapshots.revertTo(next.snapshotPosition);
+    this.messages = this.messages.slice(0, messageIndex);
+    this.turns = this.turns.filter((turn) => turn.number <= turnNumber);
+    this.turnCount = turnNumber;
+    this.pendingNotes = [];
+    this.resetSandbox();
+    await this.persist();
+    return files;
+  }
+
+  recordUsage(usage) {
+    if (!usage) {
+      return;
+    }
+    this.usageLedger.record(this.usageScope, this.options.model, usage);
+  }
+
+  restore(record) {
+    if (!record || !Array.isArray(record.messages)) {
+      throw new Error('Cannot restore a session without a messages array.');
+    }
+    const history = record.messages.filter((message) => message.role !== 'system');
+    this.resetSandbox();
+    this.id = record.id;
+    this.createdAt = record.createdAt ?? this.createdAt;
+    this.turnCount = Number.isInteger(record.turnCount) ? record.turnCount : history.filter(isTurnMessage).length;
+    this.turns = [];
+    this.pendingNotes = [];
+    this.messages = [
+      {
+        role: 'system',
+        content: this.options.systemPrompt,
+      },
+      ...history,
+    ];
+  }
+
+  resetSandbox() {
+    if (!this.sandbox) {
+      return false;
+    }
+    this.sandbox.reset();
+    return true;
+  }
+
+  dispose() {
+    if (this.sandbox) {
+      this.sandbox.dispose();
+    }
+    if (this.ownsWorkspaceSdk) {
+      this.workspaceSdk.stopBackgroundProcessesSync();
+    }
+  }
+
+  async persist() {
+    if (!this.sessionStore) {
+      return;
+    }
+    try {
+      await this.sessionStore.save({
+        id: this.id,
+        model: this.options.model,
+        createdAt: this.createdAt,
+        turnCount: this.turnCount,
+        messages: this.messages,
+      });
+    } catch (error) {
+      this.logger.warn(theme.warning(`Failed to save session ${this.id}: ${error?.message ?? error}`));
+    }
   }
 
   getLastAssistantMessage() {
@@ -44,54 +262,189 @@ class AgentSession {
     return '';
   }
 
-  async loop() {
+  async loop(signal = null) {
     let iteration = 0;
     while (iteration < this.options.maxIterations) {
+      if (signal?.aborted) {
+        return this.stopCancelled(iteration, '');
+      }
       iteration += 1;
-      const { outputText, finishReason } = await this.invokeModel();
+      const budget = this.usageLedger.checkBudget();
+      if (budget.exceeded) {
+        this.logger.warn(theme.warning(`Stopping: ${budget.reason}.`));
+        this.emit({ type: 'stopped', reason: budget.reason });
+        return { finishReason: 'budget-exceeded', iteration };
+      }
+      const compaction = await this.compact();
+      if (compaction) {
+        this.logger.log(theme.muted(`\n[compact] ${describeCompaction(compaction)}`));
+        this.emit({ type: 'compaction', ...compaction });
+      }
+      const { outputText, finishReason } = await this.invokeModel(signal);
+      if (signal?.aborted) {
+        return this.stopCancelled(iteration, finishReason === 'cancelled' ? outputText : '');
+      }
 
       if (!this.options.stream && outputText.trim()) {
-        console.log(`\n${theme.label('assistant>')} ${outputText.trim()}\n`);
+        this.logger.log(`\n${theme.label('assistant>')} ${outputText.trim()}\n`);
       }
 
       if (finishReason === 'tool-calls') {
         continue;
       }
 
-      if (this.options.prompt) {
-        return { finishReason, iteration };
+      this.emit({ type: 'answer', text: outputText.trim(), finishReason, iteration });
+      return { finishReason, iteration };
+    }
+
+    this.logger.warn(theme.warning('Reached max iteration limit without receiving a plain-text reply.'));
+    this.emit({ type: 'stopped', reason: `reached the limit of ${this.options.maxIterations} iterations` });
+    return { finishReason: 'max-iterations', iteration };
+  }
+
+  async stopCancelled(iteration, partialText) {
+    this.logger.warn(theme.warning('Turn cancelled.'));
+    const note = '[host] The user cancelled this turn before it finished.';
+    this.messages.push({
+      role: 'assistant',
+      content: partialText.trim() ? `${partialText.trim()}\n\n${note}` : note,
+    });
+    await this.persist();
+    this.emit({ type: 'stopped', reason: 'cancelled' });
+    return { finishReason: 'cancelled', iteration };
+  }
+
+  emit(event) {
+    if (this.events) {
+      this.events.emit({ scope: this.usageScope.id, ...event });
+    }
+  }
+
+  async compact({ force = false } = {}) {
+    const threshold = this.options.compactThresholdTokens;
+    const beforeTokens = estimateTokenCount(this.messages);
+    if (!force && (!threshold || beforeTokens < threshold)) {
+      return null;
+    }
+
+    const recentStart = findRecentTurnStart(this.messages, this.options.compactKeepTurns ?? 2);
+    const maxChars = this.options.toolResultMaxChars ?? 4000;
+    let truncatedResults = truncateStaleToolResults(this.messages, { preserveFrom: recentStart, maxChars });
+
+    let summarizedMessages = 0;
+    if (force || estimateTokenCount(this.messages) >= threshold) {
+      const historyStart = firstNonSystemIndex(this.messages);
+      const olderMessages = this.messages.slice(historyStart, recentStart);
+      if (olderMessages.some(isTurnMessage)) {
+        const { summary, usage } = await summarizeMessages({
+          model: this.createLanguageModel(),
+          messages: olderMessages,
+          providerOptions: this.buildProviderOptions(),
+          maxOutputTokens: this.options.maxOutputTokens,
+        });
+        this.recordUsage(usage);
+        this.messages = [
+          ...this.messages.slice(0, historyStart),
+          buildSummaryMessage(summary),
+          ...this.messages.slice(recentStart),
+        ];
+        summarizedMessages = olderMessages.length;
       }
-      return;
     }
 
-    console.warn(theme.warning('Reached max iteration limit without receiving a plain-text reply.'));
+    if (force || estimateTokenCount(this.messages) >= threshold) {
+      truncatedResults += truncateStaleToolResults(this.messages, {
+        preserveFrom: findLatestToolResultIndex(this.messages),
+        maxChars,
+      });
+    }
+
+    const result = {
+      beforeTokens,
+      afterTokens: estimateTokenCount(this.messages),
+      truncatedResults,
+      summarizedMessages,
+    };
+    if (truncatedResults || summarizedMessages) {
+      await this.persist();
+    }
+    return result;
+  }
+
+  createLanguageModel() {
+    const scope = this.usageScope.id;
+    const model = this.options.languageModel
+      ?? (this.options.replay
+        ? this.options.replay.model(scope, { cancelTurn: () => this.cancel() })
+        : resolveLanguageModel(this.options.model, this.options.providers));
+    return this.options.recorder ? this.options.recorder.wrapModel(model, scope) : model;
+  }
+
+  emitStreamChunk(chunk) {
+    switch (chunk.type) {
+      case 'reasoning-delta':
+        if (chunk.text) {
+          this.emit({ type: 'reasoning', text: chunk.text });
+        }
+        break;
+      case 'text-delta':
+        if (chunk.text) {
+          this.emit({ type: 'text', text: chunk.text });
+        }
+        break;
+      case 'tool-call':
+        this.emit({ type: 'tool-call', toolCallId: chunk.toolCallId, toolName: chunk.toolName, code: chunk.input?.code });
+        break;
+      default:
+        break;
+    }
+  }
+
+  buildProviderOptions() {
+    return buildProviderOptions(this.options.model, {
+      reasoningEffort: this.options.reasoningEffort,
+      verbosity: this.options.verbosity,
+      maxOutputTokens: this.options.maxOutputTokens,
+    }, this.options.providers);
   }
 
-  async invokeModel() {
+  async invokeModel(signal = null) {
     const modelOptions = {
-      model: openai(this.options.model),
+      model: this.createLanguageModel(),
       messages: this.messages,
       tools: this.tools,
-      providerOptions: {
-        openai: {
-          reasoningEffort: this.options.reasoningEffort,
-          reasoningSummary: 'auto',
-          verbosity: this.options.verbosity,
-        },
-      },
+      providerOptions: this.buildProviderOptions(),
       maxOutputTokens: this.options.maxOutputTokens,
     };
+    if (signal) {
+      modelOptions.abortSignal = signal;
+    }
+    if (this.events) {
+      modelOptions.onChunk = ({ chunk }) => this.emitStreamChunk(chunk);
+    }
+    let streamError = null;
+    modelOptions.onError = ({ error }) => {
+      streamError = error;
+    };
 
     const result = streamText(modelOptions);
 
     let outputText = '';
-    if (this.options.stream) {
-      const renderer = new AssistantStreamRenderer(process.stdout);
-      outputText = await renderer.render(result.fullStream);
+    let responseMessages;
+    try {
+      if (this.options.stream) {
+        const renderer = new AssistantStreamRenderer(process.stdout);
+        outputText = await renderer.render(result.fullStream);
+      }
+      responseMessages = (await result.response).messages;
+    } catch (error) {
+      if (signal?.aborted) {
+        return { outputText, finishReason: 'cancelled' };
+      }
+      throw streamError ?? error;
     }
-
-    const responseMessages = (await result.response).messages;
     this.messages.push(...responseMessages);
+    await this.persist();
 
     if (!this.options.stream) {
       outputText = responseMessages
@@ -101,28 +454,33 @@ class AgentSession {
     }
 
     const finishReason = await result.finishReason;
+    this.recordUsage(await result.totalUsage);
     return { outputText, finishReason };
   }
 }
 
-function logExecution(result, label = 'runJavascript') {
+function logExecution(result, label = 'runJavascript', logger = console) {
   const labelText = theme.label(`[${label}]`);
   const durationText = theme.muted(`${result.durationMs.toFixed(1)} ms`);
   if (result.success) {
-    console.log(`\n${labelText} ${theme.success('OK')} (${durationText})`);
+    logger.log(`\n${labelText} ${theme.success('OK')} (${durationText})`);
     if (result.formattedValue) {
-      console.log(`${theme.success('return>')} ${result.formattedValue}`);
+      logger.log(`${theme.success('return>')} ${result.formattedValue}`);
     }
   } else {
-    console.log(`\n${labelText} ${theme.error('ERROR')} (${durationText})`);
-    console.log(`${theme.error('message>')} ${result.errorMessage}`);
+    logger.log(`\n${labelText} ${theme.error('ERROR')} (${durationText})`);
+    logger.log(`${theme.error('message>')} ${result.errorMessage}`);
     if (result.errorStack) {
-      console.log(theme.muted(result.errorStack));
+      logger.log(theme.muted(result.errorStack));
     }
   }
 
+  if (result.sandbox?.reset) {
+    logger.log(`${theme.warning('sandbox>')} ${result.sandbox.reset}`);
+  }
+
   if (result.logs.length) {
-    console.log(theme.heading('console>'));
+    logger.log(theme.heading('console>'));
     const levelStyles = {
       log: theme.muted,
       info: theme.accent,
@@ -131,11 +489,22 @@ function logExecution(result, label = 'runJavascript') {
     };
     result.logs.forEach((log) => {
       const stylize = levelStyles[log.level] ?? theme.muted;
-      console.log(`  ${stylize(`[${log.level}]`)} ${log.text}`);
+      logger.log(`  ${stylize(`[${log.level}]`)} ${log.text}`);
     });
   }
 }
 
+function createExecOutputEcho(target) {
+  const announced = new Set();
+  return (stream, chunk, command) => {
+    if (!announced.has(command)) {
+      announced.add(command);
+      target.write(`\n${theme.label('exec>')} ${theme.accent(command)}\n`);
+    }
+    target.write(stream === 'stderr' ? theme.warning(chunk) : theme.muted(chunk));
+  };
+}
+
 class AssistantStreamRenderer {
   constructor(target) {
     this.target = target;
@@ -297,16 +666,64 @@ function formatJson(value) {
   }
 }
 
+function describeCode(code) {
+  const firstLine = code.split('\n').map((line) => line.trim()).find(Boolean) ?? '';
+  return firstLine.length > 60 ? `${firstLine.slice(0, 57)}...` : firstLine;
+}
+
+function describePath(absolutePath) {
+  return path.relative(process.cwd(), absolutePath) || '.';
+}
+
 function createRunJavascriptTool(options) {
   const delegateTaskHandler = typeof options.delegateTaskHandler === 'function'
     ? options.delegateTaskHandler
     : null;
+  const sandbox = options.sandbox ?? null;
+  const inputShape = {
+    code: z.string().min(1, 'Provide code to execute.'),
+    timeoutMs: z.number().int().positive().optional(),
+  };
+  if (sandbox) {
+    inputShape.resetSandbox = z.boolean().optional();
+  }
+
+  async function executeRunJavascript({ code, timeoutMs, resetSandbox }, signal) {
+    const effectiveTimeout = Number.isFinite(timeoutMs) && timeoutMs > 0
+      ? Math.floor(timeoutMs)
+      : options.executionTimeoutMs;
+
+    const sandboxOptions = {
+      workspaceSdk: options.workspaceSdk,
+      limits: options.sandboxLimits,
+      onExecOutput: options.stream ? createExecOutputEcho(process.stdout) : undefined,
+      signal,
+    };
+    if (delegateTaskHandler) {
+      sandboxOptions.delegateTaskHandler = delegateTaskHandler;
+    }
+    if (options.approvalGate) {
+      sandboxOptions.approvalGate = options.approvalGate;
+    }
+    if (options.sdkExtensions.length) {
+      sandboxOptions.sdkExtensions = options.sdkExtensions;
+    }
+    if (options.fileSnapshots) {
+      sandboxOptions.fileSnapshot = options.fileSnapshots.begin(describeCode(code));
+    }
+    if (sandbox && resetSandbox) {
+      sandbox.reset();
+    }
+    return sandbox
+      ? sandbox.execute(code, effectiveTimeout, sandboxOptions)
+      : executeCodeBlock(code, effectiveTimeout, sandboxOptions);
+  }
+
   return tool({
-    description: 'Execute JavaScript inside the project workspace using a sandboxed QuickJS runtime.',
-    inputSchema: z.object({
-      code: z.string().min(1, 'Provide code to execute.'),
-      timeoutMs: z.number().int().positive().optional(),
-    }),
+    description: sandbox
+      ? 'Execute JavaScript inside the project workspace using a persistent QuickJS runtime. Values assigned to globalThis survive between calls; pass resetSandbox: true to start from a clean context.'
+      : 'Execute JavaScript inside the project workspace using a sandboxed QuickJS runtime.',
+    inputSchema: z.object(inputShape),
     outputSchema: z.object({
       success: z.boolean(),
       durationMs: z.number(),
@@ -314,31 +731,47 @@ function createRunJavascriptTool(options) {
       value: z.string().nullable().optional(),
       errorMessage: z.string().optional(),
       errorStack: z.string().nullable().optional(),
+      limitExceeded: z.enum(['memory', 'stack']).optional(),
+      sandboxReset: z.string().optional(),
     }),
-    execute: async ({ code, timeoutMs }) => {
-      const effectiveTimeout = Number.isFinite(timeoutMs) && timeoutMs > 0
-        ? Math.floor(timeoutMs)
-        : options.executionTimeoutMs;
-
-      const sandboxOptions = delegateTaskHandler
-        ? { delegateTaskHandler }
-        : {};
-      const result = await executeCodeBlock(code, effectiveTimeout, sandboxOptions);
-      logExecution(result);
-      const payload = {
-        success: result.success,
-        durationMs: result.durationMs,
-        logs: result.logs,
-      };
-      if (result.success) {
-        payload.value = result.value;
-      } else {
-        payload.errorMessage = result.errorMessage;
-        payload.errorStack = result.errorStack ?? null;
+    execute: async ({ code, timeoutMs, resetSandbox }, { toolCallId, abortSignal }) => {
+      const scope = options.usageScope?.id ?? 'main';
+      const runCode = () => executeRunJavascript({ code, timeoutMs, resetSandbox }, abortSignal);
+      const result = options.replay
+        ? await options.replay.runToolCall(scope, toolCallId, code, runCode)
+        : await runCode();
+      if (options.recorder) {
+        options.recorder.recordToolResult(scope, toolCallId, code, result);
+      }
+      logExecution(result, options.replay && !options.replay.reexecute ? 'runJavascript (recorded)' : 'runJavascript', options.logger);
+      const payload = buildToolPayload(result);
+      if (options.events) {
+        options.events.emit({ scope, type: 'tool-result', toolCallId, ...payload });
       }
       return payload;
     },
   });
 }
 
+function buildToolPayload(result) {
+  const payload = {
+    success: result.success,
+    durationMs: result.durationMs,
+    logs: result.logs,
+  };
+  if (result.success) {
+    payload.value = result.value;
+  } else {
+    payload.errorMessage = result.errorMessage;
+    payload.errorStack = result.errorStack ?? null;
+    if (result.limitExceeded) {
+      payload.limitExceeded = result.limitExceeded;
+    }
+  }
+  if (result.sandbox?.reset) {
+    payload.sandboxReset = result.sandbox.reset;
+  }
+  return payload;
+}
+
 export { AgentSession };
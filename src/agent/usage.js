@@ -0,0 +1,177 @@
+const TOKENS_PER_PRICE_UNIT = 1_000_000;
+
+const USAGE_FIELDS = [
+  'inputTokens',
+  'cachedInputTokens',
+  'outputTokens',
+  'reasoningTokens',
+  'totalTokens',
+];
+
+function createUsageTotals() {
+  return {
+    calls: 0,
+    inputTokens: 0,
+    cachedInputTokens: 0,
+    outputTokens: 0,
+    reasoningTokens: 0,
+    totalTokens: 0,
+    costUsd: 0,
+    unpricedCalls: 0,
+  };
+}
+
+function addUsage(target, usage) {
+  target.calls += usage.calls ?? 1;
+  USAGE_FIELDS.forEach((field) => {
+    const value = Number(usage[field]);
+    if (Number.isFinite(value)) {
+      target[field] += value;
+    }
+  });
+  if (!usage.totalTokens && (usage.inputTokens || usage.outputTokens)) {
+    target.totalTokens += (Number(usage.inputTokens) || 0) + (Number(usage.outputTokens) || 0);
+  }
+  if (Number.isFinite(usage.costUsd)) {
+    target.costUsd += usage.costUsd;
+  }
+  target.unpricedCalls += usage.unpricedCalls ?? 0;
+  return target;
+}
+
+function diffUsage(after, before) {
+  const diff = createUsageTotals();
+  Object.keys(diff).forEach((field) => {
+    diff[field] = (after[field] ?? 0) - (before[field] ?? 0);
+  });
+  return diff;
+}
+
+function lookupPrice(model, prices = {}) {
+  if (!model) {
+    return null;
+  }
+  if (prices[model]) {
+    return prices[model];
+  }
+  const separatorIndex = model.indexOf(':');
+  const bareModel = separatorIndex === -1 ? model : model.slice(separatorIndex + 1);
+  return prices[bareModel] ?? prices[`openai:${bareModel}`] ?? null;
+}
+
+function estimateCostUsd(model, usage, prices = {}) {
+  const price = lookupPrice(model, prices);
+  if (!price) {
+    return null;
+  }
+  const inputPrice = Number(price.input) || 0;
+  const cachedPrice = Number.isFinite(Number(price.cachedInput)) ? Number(price.cachedInput) : inputPrice;
+  const outputPrice = Number(price.output) || 0;
+  const cached = Number(usage.cachedInputTokens) || 0;
+  const uncachedInput = Math.max(0, (Number(usage.inputTokens) || 0) - cached);
+  const output = Number(usage.outputTokens) || 0;
+  return (uncachedInput * inputPrice + cached * cachedPrice + output * outputPrice) / TOKENS_PER_PRICE_UNIT;
+}
+
+function createUsageLedger(options = {}) {
+  const prices = options.prices ?? {};
+  const budget = options.budget ?? {};
+  const scopes = new Map();
+
+  function record(scope, model, usage = {}) {
+    if (!scopes.has(scope.id)) {
+      scopes.set(scope.id, {
+        id: scope.id,
+        label: scope.label ?? scope.id,
+        models: new Set(),
+        totals: createUsageTotals(),
+      });
+    }
+    const entry = scopes.get(scope.id);
+    entry.models.add(model);
+    const costUsd = estimateCostUsd(model, usage, prices);
+    addUsage(entry.totals, {
+      ...usage,
+      calls: 1,
+      costUsd: costUsd ?? undefined,
+      unpricedCalls: costUsd === null ? 1 : 0,
+    });
+    return entry.totals;
+  }
+
+  function totals() {
+    const combined = createUsageTotals();
+    scopes.forEach((entry) => addUsage(combined, entry.totals));
+    return combined;
+  }
+
+  function scopeTotals(scopeId) {
+    return scopes.get(scopeId)?.totals ?? createUsageTotals();
+  }
+
+  function list() {
+    return [...scopes.values()].map((entry) => ({
+      id: entry.id,
+      label: entry.label,
+      models: [...entry.models],
+      totals: { ...entry.totals },
+    }));
+  }
+
+  function checkBudget() {
+    const current = totals();
+    if (budget.maxTokens && current.totalTokens >= budget.maxTokens) {
+      return {
+        exceeded: true,
+        reason: `token budget of ${budget.maxTokens} reached (${current.totalTokens} used)`,
+      };
+    }
+    if (budget.maxCostUsd && current.costUsd >= budget.maxCostUsd) {
+      return {
+        exceeded: true,
+        reason: `cost budget of ${formatCost(budget.maxCostUsd)} reached (${formatCost(current.costUsd)} spent)`,
+      };
+    }
+    return { exceeded: false, reason: null };
+  }
+
+  return {
+    prices,
+    budget,
+    record,
+    totals,
+    scopeTotals,
+    list,
+    checkBudget,
+    hasPrice: (model) => Boolean(lookupPrice(model, prices)),
+  };
+}
+
+function formatUsage(totals) {
+  const parts = [`in ${totals.inputTokens}`];
+  if (totals.cachedInputTokens) {
+    parts[0] += ` (cached ${totals.cachedInputTokens})`;
+  }
+  let outputPart = `out ${totals.outputTokens}`;
+  if (totals.reasoningTokens) {
+    outputPart += ` (reasoning ${totals.reasoningTokens})`;
+  }
+  parts.push(outputPart);
+  parts.push(`${totals.calls} ${totals.calls === 1 ? 'call' : 'calls'}`);
+  if (totals.calls > totals.unpricedCalls) {
+    const approximate = totals.unpricedCalls ? '≥' : '';
+    parts.push(`${approximate}${formatCost(totals.costUsd)}`);
+  }
+  return parts.join(' · ');
+}
+
+function formatCost(value) {
+  return `$${value.toFixed(value >= 1 ? 2 : 4)}`;
+}
+
+export {
+  createUsageLedger,
+  createUsageTotals,
+  diffUsage,
+  formatUsage,
+};
@@ -0,0 +1,158 @@
+import { splitShellCommand } from './exec-policy.js';
+import { patternToRegExp } from './patterns.js';
+
+const APPROVAL_MODES = ['never', 'writes', 'exec', 'all'];
+
+const OPERATION_CATEGORIES = {
+  writeFile: 'writes',
+  editFile: 'writes',
+  deletePath: 'writes',
+  mkdir: 'writes',
+  move: 'writes',
+  copy: 'writes',
+  exec: 'exec',
+  spawnBackground: 'exec',
+  git: 'exec',
+};
+
+class ApprovalDeniedError extends Error {
+  constructor(request, reason) {
+    const suffix = reason ? ` Reason: ${reason}` : '';
+    super(`The user denied sdk.${request.operation} on ${describeSubject(request)}.${suffix}`);
+    this.name = 'ApprovalDeniedError';
+  }
+}
+
+function createApprovalGate(options = {}) {
+  const mode = normalizeApprovalMode(options.mode);
+  const prompt = options.prompt;
+  const allowRules = [];
+  let queue = Promise.resolve();
+
+  function requiresApproval(request) {
+    const category = OPERATION_CATEGORIES[request.operation];
+    if (!category || mode === 'never') {
+      return false;
+    }
+    return mode === 'all' || mode === category;
+  }
+
+  function isAllowed(request, subjects) {
+    const category = OPERATION_CATEGORIES[request.operation];
+    if (category === 'exec' && splitShellCommand(String(request.command ?? '')).substitution) {
+      return false;
+    }
+    if (category !== 'exec' && !subjects.every(isContainedSubject)) {
+      return false;
+    }
+    return subjects.every((subject) => allowRules
+      .some((rule) => rule.category === category && rule.regex.test(subject)));
+  }
+
+  function allow(category, pattern) {
+    allowRules.push({ category, pattern, regex: patternToRegExp(pattern) });
+  }
+
+  async function decide(request, subjects) {
+    if (isAllowed(request, subjects)) {
+      return;
+    }
+    if (typeof prompt !== 'function') {
+      throw new ApprovalDeniedError(request, 'no approval prompt is available');
+    }
+    const decision = await prompt({
+      ...request,
+      category: OPERATION_CATEGORIES[request.operation],
+      suggestedPattern: suggestPattern(request, subjects),
+    });
+    if (decision?.action === 'always') {
+      allow(OPERATION_CATEGORIES[request.operation], decision.pattern || suggestPattern(request, subjects));
+      return;
+    }
+    if (decision?.action !== 'approve') {
+      throw new ApprovalDeniedError(request, decision?.reason);
+    }
+  }
+
+  async function check(request, checkOptions = {}) {
+    if (!requiresApproval(request)) {
+      return;
+    }
+    const subjects = await resolveSubjects(request, checkOptions.resolvePath);
+    if (isAllowed(request, subjects)) {
+      return;
+    }
+    const pending = queue.then(() => decide(request, subjects));
+    queue = pending.catch(() => {});
+    await pending;
+  }
+
+  return {
+    mode,
+    check,
+    allow,
+    listRules: () => allowRules.map(({ category, pattern }) => ({ category, pattern })),
+  };
+}
+
+function normalizeApprovalMode(value) {
+  const text = typeof value === 'string' ? value.trim().toLowerCase() : 'never';
+  if (!APPROVAL_MODES.includes(text)) {
+    throw new Error(`Unknown approval mode "${value}". Use one of: ${APPROVAL_MODES.join(', ')}.`);
+  }
+  return text;
+}
+
+function requestPaths(request) {
+  const paths = Array.isArray(request.paths) ? request.paths : [request.path];
+  return paths.map((value) => String(value ?? '').trim().replace(/^\.\//, ''));
+}
+
+async function resolveSubjects(request, resolvePath) {
+  if (OPERATION_CATEGORIES[request.operation] === 'exec') {
+    const { segments } = splitShellCommand(String(request.command ?? '').trim());
+    return segments.length ? segments : [''];
+  }
+  return Promise.all(requestPaths(request).map(async (value) => {
+    if (typeof resolvePath !== 'function') {
+      return value;
+    }
+    try {
+      return await resolvePath(value);
+    } catch {
+      return null;
+    }
+  }));
+}
+
+function isContainedSubject(subject) {
+  if (typeof subject !== 'string') {
+    return false;
+  }
+  const rootPath = subject.replace(/^[A-Za-z][\w-]*:/, '');
+  return !rootPath.startsWith('/') && !rootPath.split(/[\\/]/).includes('..');
+}
+
+function describeSubject(request) {
+  if (OPERATION_CATEGORIES[request.operation] === 'exec') {
+    return `\`${String(request.command ?? '').trim()}\``;
+  }
+  return requestPaths(request).join(' -> ');
+}
+
+function suggestPattern(request, subjects) {
+  const subject = subjects[subjects.length - 1] ?? requestPaths(request).at(-1);
+  if (OPERATION_CATEGORIES[request.operation] === 'exec') {
+    const [program, subcommand] = subjects[0].split(/\s+/);
+    return request.operation === 'git' && subcommand ? `${program} ${subcommand} *` : `${program} *`;
+  }
+  const slashIndex = subject.lastIndexOf('/');
+  return slashIndex === -1 ? subject : `${subject.slice(0, slashIndex)}/**`;
+}
+
+export {
+  APPROVAL_MODES,
+  ApprovalDeniedError,
+  createApprovalGate,
+  normalizeApprovalMode,
+};
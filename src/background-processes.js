@@ -0,0 +1,210 @@
+import { spawn } from 'node:child_process';
+
+const DEFAULT_OUTPUT_BUFFER_CHARS = 200000;
+const DEFAULT_READ_MAX_CHARS = 10000;
+const DEFAULT_MAX_PROCESSES = 16;
+const KILL_GRACE_PERIOD_MS = 2000;
+
+function createBackgroundProcessManager(options = {}) {
+  const outputBufferChars = options.outputBufferChars ?? DEFAULT_OUTPUT_BUFFER_CHARS;
+  const maxProcesses = options.maxProcesses ?? DEFAULT_MAX_PROCESSES;
+  const processes = new Map();
+  let nextId = 1;
+
+  function spawnProcess(command, cwd, env = process.env) {
+    const runningCount = [...processes.values()].filter((entry) => entry.running).length;
+    if (runningCount >= maxProcesses) {
+      throw new Error(`Too many background processes (${runningCount} running). Kill one with sdk.killProcess(id) first.`);
+    }
+
+    const id = `bg-${nextId}`;
+    nextId += 1;
+    const child = spawn(command, {
+      cwd,
+      shell: true,
+      env,
+      stdio: ['ignore', 'pipe', 'pipe'],
+      detached: process.platform !== 'win32',
+    });
+
+    const entry = {
+      id,
+      command,
+      cwd,
+      child,
+      pid: child.pid ?? null,
+      running: true,
+      exitCode: null,
+      signal: null,
+      error: null,
+      startedAt: new Date().toISOString(),
+      exitedAt: null,
+      output: '',
+      outputStart: 0,
+      outputEnd: 0,
+    };
+
+    const appendOutput = (chunk) => {
+      entry.output += chunk;
+      entry.outputEnd += chunk.length;
+      if (entry.output.length > outputBufferChars) {
+        const overflow = entry.output.length - outputBufferChars;
+        entry.output = entry.output.slice(overflow);
+        entry.outputStart += overflow;
+      }
+    };
+
+    [child.stdout, child.stderr].forEach((stream) => {
+      if (stream) {
+        stream.setEncoding('utf8');
+        stream.on('data', appendOutput);
+      }
+    });
+
+    child.on('error', (error) => {
+      entry.error = error.message;
+      markExited(entry, null, null);
+    });
+    child.on('exit', (code, signal) => {
+      markExited(entry, code, signal);
+    });
+
+    processes.set(id, entry);
+    return id;
+  }
+
+  function readOutput(id, readOptions = {}) {
+    const entry = requireProcess(id);
+    const maxChars = Number.isFinite(readOptions.maxChars) && readOptions.maxChars > 0
+      ? Math.floor(readOptions.maxChars)
+      : DEFAULT_READ_MAX_CHARS;
+    const requestedSince = Number.isFinite(readOptions.since) ? Math.max(0, Math.floor(readOptions.since)) : null;
+
+    let from = requestedSince ?? Math.max(entry.outputStart, entry.outputEnd - maxChars);
+    const droppedChars = Math.max(0, entry.outputStart - from);
+    from = Math.max(from, entry.outputStart);
+    const to = Math.min(entry.outputEnd, from + maxChars);
+    return {
+      id,
+      output: entry.output.slice(from - entry.outputStart, to - entry.outputStart),
+      cursor: to,
+      more: to < entry.outputEnd,
+      droppedChars,
+      running: entry.running,
+      exitCode: entry.exitCode,
+    };
+  }
+
+  function status(id) {
+    return describe(requireProcess(id));
+  }
+
+  function list() {
+    return [...processes.values()].map(describe);
+  }
+
+  async function kill(id, signal = 'SIGTERM') {
+    const entry = requireProcess(id);
+    if (!entry.running) {
+      return false;
+    }
+    signalProcess(entry, signal);
+    const exited = await waitForExit(entry, KILL_GRACE_PERIOD_MS);
+    if (!exited) {
+      signalProcess(entry, 'SIGKILL');
+      await waitForExit(entry, KILL_GRACE_PERIOD_MS);
+    }
+    return true;
+  }
+
+  async function killAll() {
+    await Promise.all([...processes.values()]
+      .filter((entry) => entry.running)
+      .map((entry) => kill(entry.id)));
+  }
+
+  function killAllSync() {
+    processes.forEach((entry) => {
+      if (entry.running) {
+        signalProcess(entry, 'SIGKILL');
+      }
+    });
+  }
+
+  function requireProcess(id) {
+    const entry = processes.get(typeof id === 'string' ? id.trim() : id);
+    if (!entry) {
+      throw new Error(`Unknown background process id: ${id}. Use sdk.listProcesses() to see known ids.`);
+    }
+    return entry;
+  }
+
+  return {
+    spawn: spawnProcess,
+    readOutput,
+    status,
+    list,
+    kill,
+    killAll,
+    killAllSync,
+  };
+}
+
+function markExited(entry, code, signal) {
+  if (!entry.running) {
+    return;
+  }
+  entry.running = false;
+  entry.exitCode = typeof code === 'number' ? code : null;
+  entry.signal = signal ?? null;
+  entry.exitedAt = new Date().toISOString();
+  (entry.exitWaiters ?? []).forEach((resolve) => resolve());
+  entry.exitWaiters = [];
+}
+
+function waitForExit(entry, timeoutMs) {
+  if (!entry.running) {
+    return Promise.resolve(true);
+  }
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => resolve(false), timeoutMs);
+    entry.exitWaiters = entry.exitWaiters ?? [];
+    entry.exitWaiters.push(() => {
+      clearTimeout(timer);
+      resolve(true);
+    });
+  });
+}
+
+function signalProcess(entry, signal) {
+  try {
+    if (entry.pid && process.platform !== 'win32') {
+      process.kill(-entry.pid, signal);
+    } else {
+      entry.child.kill(signal);
+    }
+  } catch (error) {
+    if (error?.code !== 'ESRCH') {
+      throw error;
+    }
+  }
+}
+
+function describe(entry) {
+  return {
+    id: entry.id,
+    command: entry.command,
+    pid: entry.pid,
+    running: entry.running,
+    exitCode: entry.exitCode,
+    signal: entry.signal,
+    error: entry.error,
+    startedAt: entry.startedAt,
+    exitedAt: entry.exitedAt,
+    outputChars: entry.outputEnd,
+  };
+}
+
+export {
+  createBackgroundProcessManager,
+};
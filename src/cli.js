@@ -1,7 +1,4 @@
 import 'dotenv/config';
-import { spawn } from 'node:child_process';
-import { promises as fs } from 'node:fs';
-import os from 'node:os';
 import path from 'node:path';
 import readline from 'node:readline/promises';
 import { stdin, stdout } from 'node:process';
@@ -9,7 +6,24 @@ import { stdin, stdout } from 'node:process';
 import { systemPrompt } from './prompts.js';
 import { theme } from './ui/theme.js';
 import { parseCliArgs, printHelp } from './options.js';
+import { DEFAULT_POLICY_PATH, DEFAULT_SESSIONS_DIR, loadProjectConfig } from './config.js';
 import { AgentSession } from './agent/session.js';
+import { createDelegateTaskHandler } from './agent/delegate.js';
+import { describeCompaction } from './agent/compaction.js';
+import { assertProviderCredentials } from './agent/providers.js';
+import { createUsageLedger, formatUsage } from './agent/usage.js';
+import { createInteractionRecorder, createReplay, loadInteractionRecording } from './agent/recording.js';
+import { EXIT_CODES, createEventLog, routeConsoleToStderr, summarizeRun } from './agent/events.js';
+import { createSessionStore } from './agent/session-store.js';
+import { createApprovalGate } from './approvals.js';
+import { loadExecPolicy } from './exec-policy.js';
+import { createFileSnapshotJournal } from './file-snapshots.js';
+import { loadSdkPlugins } from './plugins.js';
+import { createAgentServer } from './server.js';
+import { createTerminalApprovalPrompt } from './ui/approval-prompt.js';
+import { captureInputViaEditor, resolveEditorCommand } from './ui/editor.js';
+
+const INTERRUPT_EXIT_WINDOW_MS = 2000;
 
 export async function run() {
   const options = parseCliArgs(process.argv.slice(2));
@@ -19,21 +33,117 @@ export async function run() {
     return;
   }
 
-  assertApiKey();
+  if (options.output !== 'text') {
+    options.events = createEventLog(options.output);
+    routeConsoleToStderr();
+  }
+
+  const projectConfig = loadProjectConfig(options.configPath);
+  options.providers = projectConfig.providers ?? {};
+  options.sdkExtensions = await loadSdkPlugins(projectConfig.plugins, {
+    baseDir: path.dirname(path.resolve(options.configPath)),
+  });
+  if (!options.replayFile) {
+    assertProviderCredentials([options.mainAgentModel, options.delegateModel], options.providers);
+  }
+  if (options.command === 'serve') {
+    await runServer(options, projectConfig);
+    return;
+  }
 
-  console.log(`${theme.heading('Model:')} ${theme.strong(options.mainAgentModel)}`);
+  options.usageLedger = createUsageLedger({
+    prices: projectConfig.prices ?? {},
+    budget: options.budget,
+  });
+  if (options.budget.maxCostUsd) {
+    [options.mainAgentModel, options.delegateModel]
+      .filter((model) => !options.usageLedger.hasPrice(model))
+      .forEach((model) => {
+        console.warn(theme.warning(`No price configured for ${model}; its calls do not count toward the dollar budget.`));
+      });
+  }
+
+  console.log(`${theme.heading('Model:')} ${theme.strong(options.mainAgentModel)} ${theme.muted(`(delegates: ${options.delegateModel})`)}`);
+  printSdkPlugins(options.sdkExtensions);
+  if (options.replayFile) {
+    const recording = loadInteractionRecording(options.replayFile);
+    options.replay = createReplay(recording, {
+      reexecute: options.replayExecute,
+      onDivergence: (divergence) => {
+        console.warn(theme.warning(`replay> ${divergence.scope}: ${divergence.detail}`));
+      },
+    });
+    const mode = options.replayExecute ? 're-executing code blocks' : 'using recorded code results';
+    console.log(`${theme.heading('Replay:')} ${theme.strong(recording.filePath)} ${theme.muted(`(${options.replay.turns.length} turns, ${mode})`)}`);
+  }
+  if (options.recordFile) {
+    options.recorder = createInteractionRecorder(options.recordFile, {
+      model: options.mainAgentModel,
+      delegateModel: options.delegateModel,
+      workspace: options.workspace.path,
+    });
+    console.log(`${theme.heading('Recording:')} ${theme.strong(options.recorder.filePath)}`);
+  }
+
+  let activeReadline = null;
+  if (options.approval !== 'never') {
+    options.approvalGate = createApprovalGate({
+      mode: options.approval,
+      prompt: createTerminalApprovalPrompt(() => activeReadline, () => session.turnSignal),
+    });
+    console.log(`${theme.heading('Approval:')} ${theme.strong(options.approval)}`);
+  }
+  console.log(`${theme.heading('Workspace:')} ${theme.strong(options.workspace.path)}${options.workspace.access === 'ro' ? theme.muted(' (read-only)') : ''}`);
+  options.mounts.forEach((mount) => {
+    console.log(`${theme.heading('Mount:')} ${theme.strong(`${mount.name}:`)} ${mount.path} ${theme.muted(mount.access === 'ro' ? '(read-only)' : '(read-write)')}`);
+  });
+  if (options.symlinks !== 'within') {
+    console.log(`${theme.heading('Symlinks:')} ${theme.strong(options.symlinks)}`);
+  }
+  options.execPolicy = loadExecPolicy(DEFAULT_POLICY_PATH);
+  if (options.execPolicy) {
+    console.log(`${theme.heading('Exec policy:')} ${theme.strong(options.execPolicy.source)}`);
+  }
+  if (options.gitCheckpoints) {
+    console.log(`${theme.heading('Checkpoints:')} ${theme.strong('git commit after every turn')}`);
+  }
 
+  options.fileSnapshots = createFileSnapshotJournal();
   const delegateTaskHandler = createDelegateTaskHandler(options);
+  const sessionStore = options.replay ? null : createSessionStore({ directory: DEFAULT_SESSIONS_DIR });
   const session = new AgentSession({
     ...options,
     model: options.mainAgentModel,
-    systemPrompt: systemPrompt(),
+    systemPrompt: systemPrompt({
+      persistentSandbox: options.persistentSandbox,
+      workspace: options.workspace,
+      mounts: options.mounts,
+      symlinks: options.symlinks,
+      sdkExtensions: options.sdkExtensions,
+    }),
     delegateTaskHandler,
+    sessionStore,
+    showTurnUsage: true,
   });
 
-  let activeReadline = null;
+  if (options.resume || options.continueLast) {
+    const record = options.resume
+      ? await sessionStore.load(options.resume)
+      : await sessionStore.latest();
+    if (record) {
+      session.restore(record);
+      console.log(`${theme.heading('Resumed session:')} ${theme.strong(session.id)} ${theme.muted(`(${record.messages.length} messages)`)}`);
+    } else {
+      console.log(theme.muted('No saved sessions to continue. Starting a new one.'));
+      console.log(`${theme.heading('Session:')} ${theme.strong(session.id)}`);
+    }
+  } else {
+    console.log(`${theme.heading('Session:')} ${theme.strong(session.id)}`);
+  }
+
   const registerReadline = (rl) => {
     activeReadline = rl;
+    rl.on('SIGINT', handleSigint);
     rl.once('close', () => {
       if (activeReadline === rl) {
         activeReadline = null;
@@ -41,30 +151,156 @@ export async function run() {
     });
   };
 
+  let lastInterruptAt = 0;
   const handleSigint = () => {
+    const now = Date.now();
+    if (session.cancel()) {
+      lastInterruptAt = now;
+      console.log();
+      console.log(theme.warning('Cancelling the current turn. Press Ctrl-C again to exit.'));
+      return;
+    }
+    if (now - lastInterruptAt > INTERRUPT_EXIT_WINDOW_MS) {
+      lastInterruptAt = now;
+      console.log();
+      console.log(theme.muted('Press Ctrl-C again to exit, or type :exit.'));
+      if (activeReadline && !activeReadline.closed && !session.turnSignal) {
+        activeReadline.prompt(true);
+      }
+      return;
+    }
     if (activeReadline && !activeReadline.closed) {
       activeReadline.close();
     }
     console.log();
     console.log(theme.muted('Interrupted. Exiting gracefully.'));
-    process.exit(0);
+    process.exit(130);
   };
 
-  process.once('SIGINT', handleSigint);
+  const stopBackgroundProcessesSync = () => session.workspaceSdk.stopBackgroundProcessesSync();
+  process.on('SIGINT', handleSigint);
+  process.once('exit', stopBackgroundProcessesSync);
 
   try {
+    if (options.replay) {
+      await runReplay(session, options.replay);
+      return;
+    }
+
     if (options.prompt) {
-      await session.submit(options.prompt.trim());
+      await runPrompt(session, options.prompt.trim(), options);
       return;
     }
 
-    await runInteractive(session, registerReadline);
+    await runInteractive(session, registerReadline, sessionStore);
   } finally {
     process.off('SIGINT', handleSigint);
+    await session.workspaceSdk.stopBackgroundProcesses();
+    session.dispose();
+    process.off('exit', stopBackgroundProcessesSync);
+  }
+}
+
+async function runServer(options, projectConfig) {
+  const execPolicy = loadExecPolicy(DEFAULT_POLICY_PATH);
+  const server = createAgentServer({
+    host: options.host,
+    port: options.port,
+    token: options.token,
+    logger: {
+      log: (message) => console.log(theme.muted(`serve> ${message}`)),
+      warn: (message) => console.warn(theme.warning(`serve> ${message}`)),
+      error: (message) => console.error(theme.error(`serve> ${message}`)),
+    },
+    agentConfig: {
+      ...options,
+      model: options.mainAgentModel,
+      prices: projectConfig.prices ?? {},
+      execPolicy,
+      sessionStore: createSessionStore({ directory: DEFAULT_SESSIONS_DIR }),
+    },
+  });
+  const address = await server.listen();
+  const origin = `http://${address.host.includes(':') ? `[${address.host}]` : address.host}:${address.port}`;
+
+  console.log(`${theme.heading('Model:')} ${theme.strong(options.mainAgentModel)} ${theme.muted(`(delegates: ${options.delegateModel})`)}`);
+  printSdkPlugins(options.sdkExtensions);
+  console.log(`${theme.heading('Workspace:')} ${theme.strong(options.workspace.path)}${options.workspace.access === 'ro' ? theme.muted(' (read-only)') : ''}`);
+  if (execPolicy) {
+    console.log(`${theme.heading('Exec policy:')} ${theme.strong(execPolicy.source)}`);
+  }
+  console.log(`${theme.heading('Serving:')} ${theme.strong(origin)}`);
+  if (options.token) {
+    console.log(`${theme.heading('Token:')} ${theme.muted('from --token / CODE_LOOP_SERVER_TOKEN')}`);
+  } else {
+    console.log(`${theme.heading('Token:')} ${theme.strong(server.token)}`);
+  }
+  if (!['127.0.0.1', '::1', 'localhost'].includes(options.host)) {
+    console.warn(theme.warning(`Listening on ${options.host}: anyone who can reach it and knows the token can run code in the workspace.`));
   }
+
+  await new Promise((resolve) => {
+    const stop = () => {
+      process.off('SIGINT', stop);
+      process.off('SIGTERM', stop);
+      resolve();
+    };
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+  });
+  console.log();
+  console.log(theme.muted('Shutting down: cancelling running turns.'));
+  await server.close();
 }
 
-async function runInteractive(session, onReadlineReady = () => {}) {
+async function runPrompt(session, prompt, options) {
+  const { events } = options;
+  if (events) {
+    events.emit({
+      type: 'start',
+      sessionId: session.id,
+      model: options.mainAgentModel,
+      delegateModel: options.delegateModel,
+      workspace: options.workspace.path,
+    });
+  }
+  let outcome;
+  try {
+    outcome = await session.submit(prompt);
+  } catch (error) {
+    if (!events) {
+      throw error;
+    }
+    console.error(theme.error(`Run failed: ${error?.message ?? error}`));
+    events.emit({ type: 'error', scope: 'main', message: error?.message ?? String(error) });
+    outcome = { finishReason: 'error', iteration: null };
+  }
+  const summary = summarizeRun(session, outcome);
+  process.exitCode = EXIT_CODES[summary.status];
+  if (events) {
+    events.finish({ status: summary.status, exitCode: EXIT_CODES[summary.status], ...summary });
+  }
+}
+
+async function runReplay(session, replay) {
+  for (const text of replay.turns) {
+    console.log(`\n${theme.accent('you>')} ${text}`);
+    await session.submit(text);
+  }
+  const summary = replay.summary();
+  console.log(`\n${theme.heading('Replay finished:')} ${theme.muted(`${summary.modelCalls} model calls, ${summary.codeBlocks} code blocks`)}`);
+  if (summary.unusedModelCalls) {
+    console.warn(theme.warning(`${summary.unusedModelCalls} recorded model calls were never requested.`));
+  }
+  if (summary.divergences) {
+    console.warn(theme.warning(`${summary.divergences} divergences from the recording.`));
+    process.exitCode = 1;
+  } else if (replay.reexecute) {
+    console.log(theme.success('Code results match the recording.'));
+  }
+}
+
+async function runInteractive(session, onReadlineReady = () => {}, sessionStore = null) {
   const rl = readline.createInterface({
     input: stdin,
     output: stdout,
@@ -73,7 +309,7 @@ async function runInteractive(session, onReadlineReady = () => {}) {
   });
   onReadlineReady(rl);
   const editorCommand = resolveEditorCommand();
-  console.log(`${theme.heading('Interactive mode.')} ${theme.muted(`Type :exit to quit, :edit to compose in ${editorCommand}.`)}`);
+  console.log(`${theme.heading('Interactive mode.')} ${theme.muted(`Type :exit to quit, :edit to compose in ${editorCommand}, :sessions to list saved sessions, :compact to shrink the context, :usage for token totals, :undo to revert the last code block's file changes, :rewind <n> to go back to turn n, :reset-sandbox to clear sandbox globals.`)}`);
   const promptLabel = `${theme.accent('you>')} `;
 
   while (true) {
@@ -85,6 +321,57 @@ async function runInteractive(session, onReadlineReady = () => {}) {
     if (trimmed === ':exit' || trimmed === ':q') {
       break;
     }
+    if (trimmed === ':sessions' || trimmed.startsWith(':sessions ')) {
+      try {
+        await handleSessionsCommand(session, sessionStore, trimmed.slice(':sessions'.length).trim());
+      } catch (error) {
+        console.error(theme.error('Session command failed:'), error?.message ?? error);
+      }
+      continue;
+    }
+    if (trimmed === ':reset-sandbox') {
+      console.log(session.resetSandbox()
+        ? theme.muted('Sandbox context cleared.')
+        : theme.muted('Persistent sandbox is off; every code block already starts clean.'));
+      continue;
+    }
+    if (trimmed === ':undo') {
+      try {
+        printFileRestore(await session.undo(), 'Nothing to undo: no code block has changed files yet.');
+      } catch (error) {
+        console.error(theme.error('Undo failed:'), error?.message ?? error);
+      }
+      continue;
+    }
+    if (trimmed === ':rewind' || trimmed.startsWith(':rewind ')) {
+      const argument = trimmed.slice(':rewind'.length).trim();
+      if (!/^\d+$/.test(argument)) {
+        console.log(theme.muted(`Usage: :rewind <turn>. The session is at turn ${session.turnCount}; :rewind 0 goes back to the start.`));
+        continue;
+      }
+      try {
+        const turnNumber = Number(argument);
+        const files = await session.rewind(turnNumber);
+        console.log(`${theme.heading('Rewound to turn')} ${theme.strong(String(turnNumber))} ${theme.muted(`(${session.messages.length} messages kept)`)}`);
+        printFileRestore(files, 'No file changes to revert.');
+      } catch (error) {
+        console.error(theme.error('Rewind failed:'), error?.message ?? error);
+      }
+      continue;
+    }
+    if (trimmed === ':usage') {
+      printUsageReport(session.usageLedger);
+      continue;
+    }
+    if (trimmed === ':compact') {
+      try {
+        const result = await session.compact({ force: true });
+        console.log(`${theme.label('[compact]')} ${describeCompaction(result)}`);
+      } catch (error) {
+        console.error(theme.error('Compaction failed:'), error?.message ?? error);
+      }
+      continue;
+    }
     if (trimmed === ':edit' || trimmed === ':e') {
       try {
         await withReadlineSuspended(rl, async () => {
@@ -120,337 +407,85 @@ async function runInteractive(session, onReadlineReady = () => {}) {
   }
 }
 
-function assertApiKey() {
-  if (!process.env.OPENAI_API_KEY) {
-    throw new Error('Missing OPENAI_API_KEY in the environment.');
+function printSdkPlugins(sdkExtensions) {
+  const namespaces = [...new Set(sdkExtensions.map((extension) => extension.namespace).filter(Boolean))];
+  if (namespaces.length) {
+    console.log(`${theme.heading('Plugins:')} ${theme.strong(namespaces.map((namespace) => `sdk.${namespace}`).join(', '))}`);
   }
 }
 
-function createDelegateTaskHandler(baseOptions) {
-  const sanitizedBase = { ...baseOptions };
-  return async function delegateTask(rawInput) {
-    const normalizedInput = normalizeDelegateTaskInput(rawInput, sanitizedBase.maxIterations);
-    const headline = normalizedInput.task.length > 120
-      ? `${normalizedInput.task.slice(0, 117)}...`
-      : normalizedInput.task;
-    console.log(`\n${theme.heading('[delegate] Launching sub-agent')}`);
-    console.log(`${theme.label('task>')} ${headline}`);
-    const delegateSession = new AgentSession({
-      ...sanitizedBase,
-      model: sanitizedBase.delegateModel,
-      prompt: null,
-      systemPrompt: systemPrompt({ mainAgent: false }),
-      maxIterations: normalizedInput.maxIterations,
-      delegateTaskHandler: null,
+function printFileRestore(outcome, emptyMessage) {
+  if (!outcome || !outcome.paths.length) {
+    console.log(theme.muted(emptyMessage));
+  } else {
+    const label = outcome.label ? ` ${theme.muted(`(${outcome.label})`)}` : '';
+    console.log(`${theme.heading('Restored:')}${label}`);
+    outcome.paths.forEach((filePath) => {
+      console.log(`  ${path.relative(process.cwd(), filePath) || '.'}`);
     });
-
-    const delegatePrompt = buildDelegateUserPrompt(normalizedInput);
-    await delegateSession.submit(delegatePrompt);
-
-    const result = parseDelegateAgentResult(delegateSession.messages);
-    console.log(`${theme.label('[delegate] done>')} ${result.summary}`);
-    return result;
-  };
-}
-
-function normalizeDelegateTaskInput(rawInput, maxIterationsCap = 6) {
-  if (!rawInput || typeof rawInput !== 'object') {
-    throw new Error('sdk.delegateTask requires an input object.');
   }
-  const task = typeof rawInput.task === 'string' ? rawInput.task.trim() : '';
-  if (!task) {
-    throw new Error('sdk.delegateTask requires a non-empty task string.');
+  if (outcome?.unrestorable?.length) {
+    console.warn(theme.warning(`Too large to snapshot, left as is: ${outcome.unrestorable.map((filePath) => path.relative(process.cwd(), filePath)).join(', ')}`));
   }
-
-  const cap = (() => {
-    const numericCap = Number(maxIterationsCap);
-    if (Number.isFinite(numericCap) && numericCap > 0) {
-      return Math.floor(numericCap);
-    }
-    return 6;
-  })();
-
-  const requestedIterations = Number(rawInput.maxIterations);
-  const fallbackIterations = cap;
-  const normalizedIterations = Number.isFinite(requestedIterations) && requestedIterations > 0
-    ? Math.floor(requestedIterations)
-    : fallbackIterations;
-  const effectiveIterations = Math.max(1, Math.min(normalizedIterations, cap));
-
-  const contextArtifacts = Array.isArray(rawInput.contextArtifacts)
-    ? rawInput.contextArtifacts
-      .map((artifact) => {
-        if (!artifact || typeof artifact !== 'object') {
-          return null;
-        }
-        const pathText = typeof artifact.path === 'string' ? artifact.path.trim() : '';
-        if (!pathText) {
-          return null;
-        }
-        const descriptionText = typeof artifact.description === 'string'
-          ? artifact.description.trim()
-          : '';
-        const updatedText = typeof artifact.last_updated === 'string'
-          ? artifact.last_updated.trim()
-          : '';
-        return {
-          path: pathText,
-          description: descriptionText || undefined,
-          last_updated: updatedText || undefined,
-        };
-      })
-      .filter(Boolean)
-    : [];
-
-  return {
-    task,
-    contextArtifacts,
-    maxIterations: effectiveIterations,
-  };
-}
-
-function buildDelegateUserPrompt(input) {
-  const lines = [];
-  lines.push('You are a delegated sub-agent. Complete the assigned task end-to-end.');
-  lines.push('');
-  lines.push('Task:');
-  lines.push(input.task);
-  lines.push('');
-  if (input.contextArtifacts.length) {
-    lines.push('Relevant artifacts (read via sdk.readFile as needed):');
-    input.contextArtifacts.forEach((artifact, index) => {
-      const desc = artifact.description ? ` — ${artifact.description}` : '';
-      const updated = artifact.last_updated ? ` (last updated ${artifact.last_updated})` : '';
-      lines.push(`  ${index + 1}. ${artifact.path}${desc}${updated}`);
-    });
-    lines.push('');
-  }
-  lines.push(`You have up to ${input.maxIterations} agent iterations.`);
-  lines.push('Write or update Markdown artifacts under artifacts/ for any non-trivial work.');
-  lines.push('Do not call sdk.delegateTask (it is unavailable).');
-  lines.push('When finished, respond with JSON (no code fence) shaped as:');
-  lines.push('{"success": boolean, "summary": string, "artifacts": [{"path": string, "description"?: string, "last_updated"?: string}] }');
-  lines.push('The summary should be a concise status update for the delegating agent.');
-  lines.push('List every artifact you created or touched in the array (empty array if none).');
-  return lines.join('\n');
-}
-
-function parseDelegateAgentResult(messages) {
-  const lastAssistant = [...messages]
-    .reverse()
-    .find((message) => message.role === 'assistant');
-  if (!lastAssistant) {
-    return {
-      success: false,
-      summary: 'Delegate agent did not produce a final response.',
-      artifacts: [],
-    };
+  if (outcome?.kept?.length) {
+    console.warn(theme.warning(`Not written by SDK calls, left in place: ${outcome.kept.map((filePath) => path.relative(process.cwd(), filePath)).join(', ')}`));
   }
-
-  const rawText = coerceContentToText(lastAssistant.content).trim();
-  const parsed = tryParseDelegateJson(rawText);
-  if (!parsed) {
-    return {
-      success: false,
-      summary: rawText || 'Delegate agent returned an empty response.',
-      artifacts: [],
-    };
+  if (outcome?.incomplete) {
+    console.warn(theme.warning('Older snapshots were dropped to stay under the memory cap; some earlier changes could not be reverted.'));
   }
-
-  const summary = typeof parsed.summary === 'string' && parsed.summary.trim()
-    ? parsed.summary.trim()
-    : rawText;
-  const artifacts = Array.isArray(parsed.artifacts)
-    ? parsed.artifacts
-      .map(normalizeArtifactDescriptor)
-      .filter(Boolean)
-    : [];
-  const success = typeof parsed.success === 'boolean' ? parsed.success : true;
-
-  return { success, summary, artifacts };
-}
-
-function tryParseDelegateJson(text) {
-  if (!text) {
-    return null;
-  }
-  const fenceMatch = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
-  const payload = fenceMatch ? fenceMatch[1].trim() : text;
-  try {
-    return JSON.parse(payload);
-  } catch (error) {
-    return null;
-  }
-}
-
-function normalizeArtifactDescriptor(value) {
-  if (!value || typeof value !== 'object') {
-    return null;
-  }
-  const pathText = typeof value.path === 'string' ? value.path.trim() : '';
-  if (!pathText) {
-    return null;
-  }
-  const descriptionText = typeof value.description === 'string' ? value.description.trim() : '';
-  const lastUpdatedText = typeof value.last_updated === 'string' ? value.last_updated.trim() : '';
-  return {
-    path: pathText,
-    description: descriptionText || undefined,
-    last_updated: lastUpdatedText || undefined,
-  };
-}
-
-function coerceContentToText(content) {
-  if (typeof content === 'string') {
-    return content;
-  }
-  if (Array.isArray(content)) {
-    return content
-      .map((part) => {
-        if (typeof part === 'string') {
-          return part;
-        }
-        if (part && typeof part === 'object' && 'text' in part) {
-          return part.text;
-        }
-        return '';
-      })
-      .join('');
-  }
-  if (content && typeof content === 'object' && 'text' in content) {
-    return content.text;
-  }
-  return '';
 }
 
-const EDITOR_SEPARATOR_LINE = '--- assistant context (read-only) ---';
-const EDITOR_USER_BUFFER_LINES = 6;
-
-function resolveEditorCommand() {
-  const editor = process.env.VISUAL?.trim()
-    || process.env.EDITOR?.trim()
-    || 'nano';
-  return editor;
-}
-
-async function captureInputViaEditor({ assistantMessage = '', editorCommand }) {
-  const tokens = splitEditorCommand(editorCommand);
-  if (!tokens.length) {
-    throw new Error('No editor command configured. Set $VISUAL or $EDITOR.');
-  }
-
-  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'code-loop-input-'));
-  const tempFile = path.join(tempDir, 'message.txt');
-  await fs.writeFile(tempFile, buildEditorTemplate(assistantMessage), 'utf8');
-
-  try {
-    await launchEditorProcess(tokens, tempFile);
-    const finalText = await fs.readFile(tempFile, 'utf8');
-    return extractEditorUserInput(finalText);
-  } finally {
-    await fs.rm(tempDir, { recursive: true, force: true });
+function printUsageReport(usageLedger) {
+  const scopes = usageLedger.list();
+  if (!scopes.length) {
+    console.log(theme.muted('No model calls yet.'));
+    return;
   }
-}
-
-function buildEditorTemplate(assistantMessage) {
-  const normalizedAssistant = assistantMessage.replace(/\r\n/g, '\n');
-  const lines = Array.from({ length: EDITOR_USER_BUFFER_LINES }, () => '');
-  lines.push(EDITOR_SEPARATOR_LINE);
-  if (normalizedAssistant) {
-    lines.push('# Last assistant message (read-only)');
-    normalizedAssistant.split('\n').forEach((line) => {
-      lines.push(`# ${line}`);
-    });
-  } else {
-    lines.push('# No assistant message yet.');
+  console.log(theme.heading('Token usage:'));
+  scopes.forEach((scope) => {
+    console.log(`  ${theme.accent(scope.label)} ${theme.muted(`[${scope.models.join(', ')}]`)}`);
+    console.log(`    ${formatUsage(scope.totals)}`);
+  });
+  console.log(`  ${theme.strong('total')} ${formatUsage(usageLedger.totals())}`);
+  const { maxTokens, maxCostUsd } = usageLedger.budget;
+  if (maxTokens || maxCostUsd) {
+    const limits = [maxTokens ? `${maxTokens} tokens` : null, maxCostUsd ? `$${maxCostUsd}` : null]
+      .filter(Boolean)
+      .join(', ');
+    const status = usageLedger.checkBudget();
+    console.log(`  ${theme.strong('budget')} ${limits}${status.exceeded ? ` ${theme.warning(`(${status.reason})`)}` : ''}`);
   }
-  lines.push('');
-  return `${lines.join('\n')}\n`;
-}
-
-function extractEditorUserInput(rawText) {
-  const normalized = rawText.replace(/\r\n/g, '\n');
-  const lines = normalized.split('\n');
-  const separatorIndex = lines.findIndex((line) => line.trim() === EDITOR_SEPARATOR_LINE);
-  const contentLines = separatorIndex >= 0
-    ? lines.slice(0, separatorIndex)
-    : lines;
-  return contentLines.join('\n').trim();
 }
 
-function splitEditorCommand(command) {
-  const trimmed = command?.trim();
-  if (!trimmed) {
-    return [];
+async function handleSessionsCommand(session, sessionStore, sessionId) {
+  if (!sessionStore) {
+    console.log(theme.muted('Session persistence is disabled.'));
+    return;
   }
 
-  const tokens = [];
-  let current = '';
-  let quote = null;
-
-  for (let i = 0; i < trimmed.length; i += 1) {
-    const char = trimmed[i];
-    if (quote) {
-      if (char === '\\' && i + 1 < trimmed.length) {
-        current += trimmed[i + 1];
-        i += 1;
-        continue;
-      }
-      if (char === quote) {
-        quote = null;
-        continue;
-      }
-      current += char;
-      continue;
-    }
-
-    if (char === '"' || char === '\'') {
-      quote = char;
-      continue;
-    }
-
-    if (/\s/.test(char)) {
-      if (current) {
-        tokens.push(current);
-        current = '';
-      }
-      continue;
-    }
-
-    if (char === '\\' && i + 1 < trimmed.length) {
-      current += trimmed[i + 1];
-      i += 1;
-      continue;
+  if (sessionId) {
+    const record = await sessionStore.load(sessionId);
+    session.restore(record);
+    console.log(`${theme.heading('Reopened session:')} ${theme.strong(session.id)} ${theme.muted(`(${record.messages.length} messages)`)}`);
+    const lastAssistant = session.getLastAssistantMessage();
+    if (lastAssistant) {
+      console.log(`${theme.label('assistant>')} ${lastAssistant}`);
     }
-
-    current += char;
+    return;
   }
 
-  if (current) {
-    tokens.push(current);
+  const sessions = await sessionStore.list();
+  if (!sessions.length) {
+    console.log(theme.muted(`No saved sessions in ${sessionStore.directory}.`));
+    return;
   }
-
-  return tokens;
-}
-
-function launchEditorProcess(tokens, filePath) {
-  return new Promise((resolve, reject) => {
-    const child = spawn(tokens[0], [...tokens.slice(1), filePath], {
-      stdio: 'inherit',
-    });
-    child.on('error', reject);
-    child.on('exit', (code, signal) => {
-      if (code === 0) {
-        resolve();
-        return;
-      }
-      if (signal) {
-        reject(new Error(`Editor terminated with signal ${signal}`));
-        return;
-      }
-      reject(new Error(`Editor exited with code ${code}`));
-    });
+  console.log(theme.heading('Saved sessions (most recent first):'));
+  sessions.forEach((summary) => {
+    const marker = summary.id === session.id ? theme.success('*') : ' ';
+    const updated = summary.updatedAt ? summary.updatedAt.replace('T', ' ').slice(0, 19) : 'unknown';
+    console.log(`${marker} ${theme.accent(summary.id)} ${theme.muted(`${updated} · ${summary.messageCount} messages`)} ${summary.title || theme.muted('(empty)')}`);
   });
+  console.log(theme.muted('Reopen one with :sessions <id>.'));
 }
 
 async function withReadlineSuspended(rl, fn) {
@@ -1,11 +1,82 @@
-const DEFAULT_MAIN_AGENT_MODEL = process.env.MAIN_AGENT_MODEL ?? 'gpt-5.1';
-const DEFAULT_DELEGATE_MODEL = process.env.CODE_LOOP_MODEL ?? 'gpt-5.1-codex-mini';
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+
+const DEFAULT_MAIN_AGENT_MODEL = process.env.MAIN_AGENT_MODEL ?? 'openai:gpt-5.1';
+const DEFAULT_DELEGATE_MODEL = process.env.CODE_LOOP_MODEL ?? 'openai:gpt-5.1-codex-mini';
 const DEFAULT_MAX_ITERATIONS = Number(process.env.CODE_LOOP_MAX_ITERATIONS ?? 100);
 const DEFAULT_EXEC_TIMEOUT = Number(process.env.CODE_LOOP_TIMEOUT_MS ?? 1800000); // 30 minutes
+const DEFAULT_COMPACT_THRESHOLD = Number(process.env.CODE_LOOP_COMPACT_THRESHOLD ?? 150000);
+const DEFAULT_COMPACT_KEEP_TURNS = Number(process.env.CODE_LOOP_COMPACT_KEEP_TURNS ?? 2);
+const DEFAULT_TOOL_RESULT_MAX_CHARS = Number(process.env.CODE_LOOP_TOOL_RESULT_MAX_CHARS ?? 4000);
+const DEFAULT_PERSISTENT_SANDBOX = ['1', 'true', 'yes'].includes(String(process.env.CODE_LOOP_PERSISTENT_SANDBOX ?? '').toLowerCase());
+const DEFAULT_SANDBOX_MEMORY_CAP_MB = Number(process.env.CODE_LOOP_SANDBOX_MEMORY_CAP_MB ?? 256);
+const DEFAULT_MEMORY_LIMIT_MB = Number(process.env.CODE_LOOP_MEMORY_LIMIT_MB ?? 512);
+const DEFAULT_MAX_STACK_KB = Number(process.env.CODE_LOOP_MAX_STACK_KB ?? 256);
+const MAX_SAFE_STACK_KB = 384; // larger QuickJS stacks overflow Node's native stack first
+const DEFAULT_EXEC_MAX_OUTPUT_CHARS = Number(process.env.CODE_LOOP_EXEC_MAX_OUTPUT ?? 30000);
+const DEFAULT_APPROVAL_MODE = process.env.CODE_LOOP_APPROVAL ?? 'never';
+const DEFAULT_GIT_CHECKPOINTS = ['1', 'true', 'yes'].includes(String(process.env.CODE_LOOP_GIT_CHECKPOINTS ?? '').toLowerCase());
+const DEFAULT_WORKSPACE = process.env.CODE_LOOP_WORKSPACE
+  ?? path.join(process.cwd(), 'workspace');
+const DEFAULT_MOUNTS = (process.env.CODE_LOOP_MOUNTS ?? '')
+  .split(',')
+  .map((spec) => spec.trim())
+  .filter(Boolean);
+const DEFAULT_SYMLINK_POLICY = process.env.CODE_LOOP_SYMLINKS ?? 'within';
+const DEFAULT_SESSIONS_DIR = process.env.CODE_LOOP_SESSIONS_DIR
+  ?? path.join(process.cwd(), '.code-loop', 'sessions');
+const DEFAULT_CONFIG_PATH = process.env.CODE_LOOP_CONFIG
+  ?? path.join(process.cwd(), '.code-loop', 'config.json');
+const DEFAULT_POLICY_PATH = process.env.CODE_LOOP_POLICY
+  ?? path.join(process.cwd(), '.code-loop', 'policy.json');
+const DEFAULT_SERVER_HOST = process.env.CODE_LOOP_HOST ?? '127.0.0.1';
+const DEFAULT_SERVER_PORT = Number(process.env.CODE_LOOP_PORT ?? 4317);
+
+function loadProjectConfig(filePath = DEFAULT_CONFIG_PATH) {
+  let raw;
+  try {
+    raw = readFileSync(filePath, 'utf8');
+  } catch (error) {
+    if (error && error.code === 'ENOENT') {
+      return {};
+    }
+    throw error;
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`Config file ${filePath} is not valid JSON: ${error.message}`);
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error(`Config file ${filePath} must contain a JSON object.`);
+  }
+  return parsed;
+}
 
 export {
   DEFAULT_MAIN_AGENT_MODEL,
   DEFAULT_DELEGATE_MODEL,
   DEFAULT_MAX_ITERATIONS,
   DEFAULT_EXEC_TIMEOUT,
+  DEFAULT_COMPACT_THRESHOLD,
+  DEFAULT_COMPACT_KEEP_TURNS,
+  DEFAULT_TOOL_RESULT_MAX_CHARS,
+  DEFAULT_PERSISTENT_SANDBOX,
+  DEFAULT_SANDBOX_MEMORY_CAP_MB,
+  DEFAULT_MEMORY_LIMIT_MB,
+  DEFAULT_MAX_STACK_KB,
+  MAX_SAFE_STACK_KB,
+  DEFAULT_EXEC_MAX_OUTPUT_CHARS,
+  DEFAULT_APPROVAL_MODE,
+  DEFAULT_GIT_CHECKPOINTS,
+  DEFAULT_WORKSPACE,
+  DEFAULT_MOUNTS,
+  DEFAULT_SYMLINK_POLICY,
+  DEFAULT_SESSIONS_DIR,
+  DEFAULT_CONFIG_PATH,
+  DEFAULT_POLICY_PATH,
+  DEFAULT_SERVER_HOST,
+  DEFAULT_SERVER_PORT,
+  loadProjectConfig,
 };
@@ -0,0 +1,302 @@
+import { readFileSync } from 'node:fs';
+
+import { findMatchingPattern } from './patterns.js';
+
+const POLICY_SECTIONS = ['commands', 'env', 'cwd'];
+
+class ExecPolicyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ExecPolicyError';
+  }
+}
+
+function loadExecPolicy(filePath) {
+  let raw;
+  try {
+    raw = readFileSync(filePath, 'utf8');
+  } catch (error) {
+    if (error && error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`Policy file ${filePath} is not valid JSON: ${error.message}`);
+  }
+  return createExecPolicy(parsed, filePath);
+}
+
+function createExecPolicy(definition, source = 'policy') {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw new Error(`Policy ${source} must contain a JSON object.`);
+  }
+  Object.keys(definition).forEach((key) => {
+    if (!POLICY_SECTIONS.includes(key)) {
+      throw new Error(`Policy ${source} has unknown section "${key}". Use: ${POLICY_SECTIONS.join(', ')}.`);
+    }
+  });
+
+  const commands = {
+    allow: readPatternList(definition.commands?.allow, `${source}: commands.allow`),
+    deny: readPatternList(definition.commands?.deny, `${source}: commands.deny`),
+  };
+  const cwd = {
+    allow: readPatternList(definition.cwd?.allow, `${source}: cwd.allow`),
+    deny: readPatternList(definition.cwd?.deny, `${source}: cwd.deny`),
+  };
+  const envAllow = definition.env?.allow === undefined
+    ? null
+    : readPatternList(definition.env.allow, `${source}: env.allow`);
+  const envSet = readEnvAssignments(definition.env?.set, `${source}: env.set`);
+
+  function block(fnName, reason) {
+    throw new ExecPolicyError(`sdk.${fnName} was blocked by the exec policy (${source}): ${reason}`);
+  }
+
+  function assertCommandAllowed(command, relativeCwd, fnName = 'exec') {
+    const cwdText = relativeCwd || '.';
+    const deniedCwd = findMatchingPattern(cwd.deny, cwdText);
+    if (deniedCwd) {
+      block(fnName, `working directory "${cwdText}" matches denied pattern "${deniedCwd}".`);
+    }
+    if (cwd.allow.length && !findMatchingPattern(cwd.allow, cwdText)) {
+      block(fnName, `working directory "${cwdText}" is not in the allowed list (${cwd.allow.join(', ')}).`);
+    }
+
+    const commandText = command.trim();
+    const { segments, substitution } = expandShellCommand(commandText);
+    [commandText, ...segments].forEach((segment) => {
+      const denied = findMatchingPattern(commands.deny, segment);
+      if (denied) {
+        block(fnName, `"${segment}" matches denied pattern "${denied}".`);
+      }
+    });
+    if (!commands.allow.length) {
+      return;
+    }
+    if (substitution) {
+      block(fnName, 'command substitution ($(...) or backticks) is not allowed when an allow list is configured.');
+    }
+    segments.forEach((segment) => {
+      if (!findMatchingPattern(commands.allow, segment)) {
+        block(fnName, `"${segment}" does not match any allowed pattern (${commands.allow.join(', ')}).`);
+      }
+    });
+  }
+
+  function buildEnv(baseEnv = process.env) {
+    const env = envAllow === null
+      ? { ...baseEnv }
+      : Object.fromEntries(Object.entries(baseEnv)
+        .filter(([name]) => findMatchingPattern(envAllow, name)));
+    return { ...env, ...envSet };
+  }
+
+  return {
+    source,
+    assertCommandAllowed,
+    buildEnv,
+  };
+}
+
+function readPatternList(value, label) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  if (!Array.isArray(value) || value.some((item) => typeof item !== 'string' || !item.trim())) {
+    throw new Error(`Policy ${label} must be an array of non-empty strings.`);
+  }
+  return value.map((item) => item.trim());
+}
+
+function readEnvAssignments(value, label) {
+  if (value === undefined || value === null) {
+    return {};
+  }
+  if (typeof value !== 'object' || Array.isArray(value)
+    || Object.values(value).some((item) => typeof item !== 'string')) {
+    throw new Error(`Policy ${label} must be an object of string values.`);
+  }
+  return { ...value };
+}
+
+function splitShellCommand(command) {
+  const segments = [];
+  const nested = [];
+  let current = '';
+  let quote = null;
+  let substitution = false;
+
+  const pushSegment = () => {
+    const trimmed = current.trim();
+    if (trimmed) {
+      segments.push(trimmed);
+    }
+    current = '';
+  };
+
+  for (let i = 0; i < command.length; i += 1) {
+    const char = command[i];
+    const next = command[i + 1];
+    if (quote === '\'') {
+      current += char;
+      if (char === '\'') {
+        quote = null;
+      }
+      continue;
+    }
+    if (char === '\\' && next !== undefined) {
+      current += char + next;
+      i += 1;
+      continue;
+    }
+    if (char === '`' || (char === '$' && next === '(')) {
+      substitution = true;
+      const start = char === '`' ? i + 1 : i + 2;
+      const end = char === '`' ? findClosingBacktick(command, start) : findClosingParen(command, start);
+      nested.push(command.slice(start, end));
+      current += command.slice(i, end + 1);
+      i = end;
+      continue;
+    }
+    if (quote === '"') {
+      current += char;
+      if (char === '"') {
+        quote = null;
+      }
+      continue;
+    }
+    if (char === '\'' || char === '"') {
+      quote = char;
+      current += char;
+      continue;
+    }
+    if (char === ';' || char === '\n' || char === '(' || char === ')') {
+      pushSegment();
+      continue;
+    }
+    if ((char === '{' || char === '}') && !current.trim() && (next === undefined || /[\s;]/.test(next))) {
+      continue;
+    }
+    if ((char === '&' || char === '|') && next === char) {
+      pushSegment();
+      i += 1;
+      continue;
+    }
+    if (char === '|' || (char === '&' && next !== '>' && command[i - 1] !== '>')) {
+      pushSegment();
+      continue;
+    }
+    current += char;
+  }
+  pushSegment();
+  return { segments, substitution, nested };
+}
+
+function expandShellCommand(command) {
+  const { segments, substitution, nested } = splitShellCommand(command);
+  const expanded = { segments: [...segments], substitution };
+  const innerCommands = [...nested, ...segments.map(unwrapShellInvocation).filter(Boolean)];
+  innerCommands.forEach((inner) => {
+    const result = expandShellCommand(inner);
+    expanded.segments.push(...result.segments);
+    expanded.substitution ||= result.substitution;
+  });
+  return expanded;
+}
+
+function unwrapShellInvocation(segment) {
+  const shell = segment.match(/^(?:\S*\/)?(?:ba|da|k|z)?sh\s+(?:-[A-Za-z]+\s+)*?-[A-Za-z]*c[A-Za-z]*\s+([\s\S]+)$/);
+  if (shell) {
+    return readShellWords(shell[1])[0] ?? null;
+  }
+  const evaluated = segment.match(/^eval\s+([\s\S]+)$/);
+  return evaluated ? readShellWords(evaluated[1]).join(' ') : null;
+}
+
+function readShellWords(text) {
+  const words = [];
+  let word = null;
+  let quote = null;
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      } else if (char === '\\' && quote === '"' && /["\\$`]/.test(text[i + 1] ?? '')) {
+        word += text[i + 1];
+        i += 1;
+      } else {
+        word += char;
+      }
+      continue;
+    }
+    if (/\s/.test(char)) {
+      if (word !== null) {
+        words.push(word);
+        word = null;
+      }
+      continue;
+    }
+    word ??= '';
+    if (char === '\'' || char === '"') {
+      quote = char;
+    } else if (char === '\\' && i + 1 < text.length) {
+      word += text[i + 1];
+      i += 1;
+    } else {
+      word += char;
+    }
+  }
+  if (word !== null) {
+    words.push(word);
+  }
+  return words;
+}
+
+function findClosingParen(command, start) {
+  let depth = 1;
+  let quote = null;
+  for (let i = start; i < command.length; i += 1) {
+    const char = command[i];
+    if (char === '\\' && quote !== '\'') {
+      i += 1;
+    } else if (quote) {
+      if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '\'' || char === '"') {
+      quote = char;
+    } else if (char === '(') {
+      depth += 1;
+    } else if (char === ')') {
+      depth -= 1;
+      if (depth === 0) {
+        return i;
+      }
+    }
+  }
+  return command.length;
+}
+
+function findClosingBacktick(command, start) {
+  for (let i = start; i < command.length; i += 1) {
+    if (command[i] === '\\') {
+      i += 1;
+    } else if (command[i] === '`') {
+      return i;
+    }
+  }
+  return command.length;
+}
+
+export {
+  ExecPolicyError,
+  createExecPolicy,
+  loadExecPolicy,
+  splitShellCommand,
+};
@@ -0,0 +1,352 @@
+const CONTEXT_RADIUS = 3;
+const MAX_CANDIDATES = 3;
+const SIMILARITY_THRESHOLD = 0.6;
+
+function applyEdits(originalText, rawEdits) {
+  const edits = normalizeEdits(rawEdits);
+  const usesCrlf = /\r\n/.test(originalText);
+  let text = usesCrlf ? originalText.replace(/\r\n/g, '\n') : originalText;
+  const applied = [];
+  const failures = [];
+
+  edits.forEach((edit, index) => {
+    const outcome = applyEdit(text, edit);
+    if (outcome.failures.length) {
+      outcome.failures.forEach((failure) => failures.push({ index, type: edit.type, ...failure }));
+      return;
+    }
+    text = outcome.text;
+    outcome.applied.forEach((entry) => applied.push({ index, type: edit.type, ...entry }));
+  });
+
+  return {
+    text: usesCrlf ? text.replace(/\n/g, '\r\n') : text,
+    applied,
+    failures,
+  };
+}
+
+function normalizeEdits(rawEdits) {
+  const list = Array.isArray(rawEdits) ? rawEdits : [rawEdits];
+  if (!list.length) {
+    throw new Error('editFile requires at least one edit.');
+  }
+  return list.map((edit, index) => {
+    if (!edit || typeof edit !== 'object') {
+      throw new Error(`editFile edit #${index} must be an object.`);
+    }
+    if (typeof edit.patch === 'string') {
+      return { type: 'patch', patch: edit.patch };
+    }
+    if (typeof edit.search === 'string') {
+      if (!edit.search) {
+        throw new Error(`editFile edit #${index}: search must not be empty.`);
+      }
+      if (typeof edit.replace !== 'string') {
+        throw new Error(`editFile edit #${index}: search edits need a replace string.`);
+      }
+      return { type: 'replace', search: edit.search, replace: edit.replace, replaceAll: Boolean(edit.replaceAll) };
+    }
+    if (edit.startLine !== undefined) {
+      const startLine = Number(edit.startLine);
+      const endLine = edit.endLine === undefined ? startLine : Number(edit.endLine);
+      if (!Number.isInteger(startLine) || startLine < 1 || !Number.isInteger(endLine) || endLine < startLine - 1) {
+        throw new Error(`editFile edit #${index}: startLine must be a positive integer and endLine >= startLine - 1.`);
+      }
+      if (typeof edit.replace !== 'string') {
+        throw new Error(`editFile edit #${index}: line edits need a replace string.`);
+      }
+      return { type: 'lines', startLine, endLine, replace: edit.replace };
+    }
+    throw new Error(`editFile edit #${index} must have search/replace, startLine/endLine/replace, or patch.`);
+  });
+}
+
+function applyEdit(text, edit) {
+  switch (edit.type) {
+    case 'replace':
+      return applySearchReplace(text, edit);
+    case 'lines':
+      return applyLineRange(text, edit);
+    default:
+      return applyPatch(text, edit.patch);
+  }
+}
+
+function applySearchReplace(text, edit) {
+  const search = edit.search.replace(/\r\n/g, '\n');
+  const replace = edit.replace.replace(/\r\n/g, '\n');
+  const offsets = findOccurrences(text, search);
+  if (!offsets.length) {
+    return {
+      failures: [{
+        reason: 'search text not found',
+        candidates: findSimilarLines(text, search),
+      }],
+    };
+  }
+  if (offsets.length > 1 && !edit.replaceAll) {
+    return {
+      failures: [{
+        reason: `search text matches ${offsets.length} times; add surrounding lines to make it unique or pass replaceAll: true`,
+        matchLines: offsets.map((offset) => lineNumberAt(text, offset)),
+      }],
+    };
+  }
+
+  let result = '';
+  let cursor = 0;
+  const applied = [];
+  let lineShift = 0;
+  const addedLines = countLines(replace);
+  const removedLines = countLines(search);
+  offsets.forEach((offset) => {
+    result += text.slice(cursor, offset) + replace;
+    cursor = offset + search.length;
+    const startLine = lineNumberAt(text, offset) + lineShift;
+    applied.push({ startLine, endLine: startLine + addedLines - 1 });
+    lineShift += addedLines - removedLines;
+  });
+  result += text.slice(cursor);
+  return { text: result, applied, failures: [] };
+}
+
+function applyLineRange(text, edit) {
+  const lines = splitLines(text);
+  if (edit.startLine > lines.length + 1 || edit.endLine > lines.length) {
+    return {
+      failures: [{
+        reason: `line range ${edit.startLine}-${edit.endLine} is outside the file (${lines.length} lines)`,
+        context: formatContext(lines, Math.max(0, lines.length - CONTEXT_RADIUS), lines.length),
+      }],
+    };
+  }
+  const replacement = edit.replace === '' ? [] : splitLines(edit.replace.replace(/\r\n/g, '\n'));
+  lines.splice(edit.startLine - 1, edit.endLine - edit.startLine + 1, ...replacement);
+  return {
+    text: joinLines(lines, text),
+    applied: [{ startLine: edit.startLine, endLine: edit.startLine + replacement.length - 1 }],
+    failures: [],
+  };
+}
+
+function applyPatch(text, patch) {
+  let hunks;
+  try {
+    hunks = parseUnifiedDiff(patch);
+  } catch (error) {
+    return { failures: [{ reason: error.message }] };
+  }
+
+  const lines = splitLines(text);
+  const applied = [];
+  const failures = [];
+  let offset = 0;
+  hunks.forEach((hunk, hunkIndex) => {
+    const expected = Math.max(0, hunk.oldStart - 1 + offset);
+    const position = locateHunk(lines, hunk.oldLines, expected);
+    if (position === -1) {
+      failures.push({
+        hunk: hunkIndex,
+        reason: `hunk @@ -${hunk.oldStart},${hunk.oldLines.length} @@ does not match the file`,
+        expected: hunk.oldLines.join('\n'),
+        context: formatContext(lines, Math.max(0, expected - CONTEXT_RADIUS), expected + hunk.oldLines.length + CONTEXT_RADIUS),
+      });
+      return;
+    }
+    lines.splice(position, hunk.oldLines.length, ...hunk.newLines);
+    offset += hunk.newLines.length - hunk.oldLines.length;
+    applied.push({
+      hunk: hunkIndex,
+      startLine: position + 1,
+      endLine: position + hunk.newLines.length,
+      shiftedBy: position - expected,
+    });
+  });
+
+  if (failures.length) {
+    return { applied: [], failures };
+  }
+  return { text: joinLines(lines, text), applied, failures };
+}
+
+function parseUnifiedDiff(patch) {
+  const lines = patch.replace(/\r\n/g, '\n').split('\n');
+  const hunks = [];
+  let current = null;
+  let fileHeaders = 0;
+
+  lines.forEach((line) => {
+    if (line.startsWith('--- ') && (!current || current.remainingOld === 0)) {
+      fileHeaders += 1;
+      current = null;
+      return;
+    }
+    if (line.startsWith('+++ ') && !current) {
+      return;
+    }
+    const header = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+    if (header) {
+      current = {
+        oldStart: Number(header[1]),
+        remainingOld: header[2] === undefined ? 1 : Number(header[2]),
+        oldLines: [],
+        newLines: [],
+      };
+      if (current.remainingOld === 0) {
+        current.oldStart += 1;
+      }
+      hunks.push(current);
+      return;
+    }
+    if (!current || line.startsWith('\\')) {
+      return;
+    }
+    const marker = line[0];
+    const body = line.slice(1);
+    if (marker === ' ' || (line === '' && current.remainingOld > 0)) {
+      current.oldLines.push(body);
+      current.newLines.push(body);
+      current.remainingOld -= 1;
+    } else if (marker === '-') {
+      current.oldLines.push(body);
+      current.remainingOld -= 1;
+    } else if (marker === '+') {
+      current.newLines.push(body);
+    }
+  });
+
+  if (fileHeaders > 1) {
+    throw new Error('patch touches more than one file; call sdk.editFile once per file');
+  }
+  if (!hunks.length) {
+    throw new Error('patch has no @@ hunks');
+  }
+  return hunks;
+}
+
+function locateHunk(lines, oldLines, expected) {
+  const matchesAt = (position, compare) => oldLines.every((line, index) => compare(lines[position + index], line));
+  const exact = (a, b) => a === b;
+  const trimmedEnd = (a, b) => a !== undefined && a.trimEnd() === b.trimEnd();
+  const lastStart = lines.length - oldLines.length;
+  if (lastStart < 0) {
+    return -1;
+  }
+
+  for (const compare of [exact, trimmedEnd]) {
+    for (let distance = 0; distance <= lines.length; distance += 1) {
+      const candidates = distance === 0 ? [expected] : [expected - distance, expected + distance];
+      const found = candidates.find((position) => position >= 0 && position <= lastStart && matchesAt(position, compare));
+      if (found !== undefined) {
+        return found;
+      }
+      if (expected - distance < 0 && expected + distance > lastStart) {
+        break;
+      }
+    }
+  }
+  return -1;
+}
+
+function findOccurrences(text, search) {
+  const offsets = [];
+  let index = text.indexOf(search);
+  while (index !== -1) {
+    offsets.push(index);
+    index = text.indexOf(search, index + search.length);
+  }
+  return offsets;
+}
+
+function findSimilarLines(text, search) {
+  const probe = normalizeWhitespace(search.split('\n').find((line) => line.trim()) ?? '');
+  if (!probe) {
+    return [];
+  }
+  const lines = splitLines(text);
+  const scored = lines
+    .map((line, index) => {
+      const normalized = normalizeWhitespace(line);
+      const score = normalized && normalized.includes(probe) ? 1 : diceCoefficient(normalized, probe);
+      return { index, score };
+    })
+    .filter(({ score }) => score >= SIMILARITY_THRESHOLD)
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, MAX_CANDIDATES);
+  return scored.map(({ index }) => ({
+    line: index + 1,
+    context: formatContext(lines, index - 1, index + countLines(search) + 1),
+  }));
+}
+
+function normalizeWhitespace(text) {
+  return text.trim().replace(/\s+/g, ' ');
+}
+
+function diceCoefficient(a, b) {
+  if (a.length < 2 || b.length < 2) {
+    return a === b ? 1 : 0;
+  }
+  const bigrams = new Map();
+  for (let i = 0; i < a.length - 1; i += 1) {
+    const pair = a.slice(i, i + 2);
+    bigrams.set(pair, (bigrams.get(pair) ?? 0) + 1);
+  }
+  let overlap = 0;
+  for (let i = 0; i < b.length - 1; i += 1) {
+    const pair = b.slice(i, i + 2);
+    const count = bigrams.get(pair) ?? 0;
+    if (count > 0) {
+      bigrams.set(pair, count - 1);
+      overlap += 1;
+    }
+  }
+  return (2 * overlap) / (a.length + b.length - 2);
+}
+
+function formatContext(lines, start, end) {
+  const from = Math.max(0, start);
+  const to = Math.min(lines.length, end);
+  return lines
+    .slice(from, to)
+    .map((line, index) => `${String(from + index + 1).padStart(5)}| ${line}`)
+    .join('\n');
+}
+
+function lineNumberAt(text, offset) {
+  let line = 1;
+  for (let i = 0; i < offset; i += 1) {
+    if (text.charCodeAt(i) === 10) {
+      line += 1;
+    }
+  }
+  return line;
+}
+
+function countLines(text) {
+  return splitLines(text).length || 1;
+}
+
+function splitLines(text) {
+  if (!text) {
+    return [];
+  }
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+  return lines;
+}
+
+function joinLines(lines, originalText) {
+  if (!lines.length) {
+    return '';
+  }
+  const trailingNewline = !originalText || originalText.endsWith('\n');
+  return `${lines.join('\n')}${trailingNewline ? '\n' : ''}`;
+}
+
+export {
+  applyEdits,
+};
@@ -0,0 +1,251 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+const DEFAULT_MAX_JOURNAL_BYTES = 256 * 1024 * 1024;
+const DEFAULT_MAX_CAPTURE_BYTES = 64 * 1024 * 1024;
+
+class SnapshotTooLargeError extends Error {}
+
+function createFileSnapshotJournal(options = {}) {
+  const maxJournalBytes = options.maxJournalBytes ?? DEFAULT_MAX_JOURNAL_BYTES;
+  const maxCaptureBytes = options.maxCaptureBytes ?? DEFAULT_MAX_CAPTURE_BYTES;
+  const entries = [];
+  let nextEntryId = 1;
+  let nextCaptureSeq = 1;
+  let totalBytes = 0;
+  let evictedThrough = 0;
+
+  function position() {
+    return nextEntryId;
+  }
+
+  function begin(label) {
+    const entry = { id: nextEntryId, label, records: [], written: new Set(), bytes: 0 };
+    nextEntryId += 1;
+    return {
+      id: entry.id,
+      capture: (absolutePath, root) => capture(entry, absolutePath, root),
+      recordWritten: (absolutePath) => recordWritten(entry, absolutePath),
+    };
+  }
+
+  async function capture(entry, absolutePath, root) {
+    const target = await topmostMissingAncestor(absolutePath, root);
+    const covered = entry.records.some((record) => record.path === target
+      || (record.node.kind === 'directory' && target.startsWith(`${record.path}${path.sep}`)));
+    if (covered) {
+      return;
+    }
+    const budget = { remaining: maxCaptureBytes };
+    let node;
+    try {
+      node = await snapshotNode(target, budget);
+    } catch (error) {
+      if (!(error instanceof SnapshotTooLargeError)) {
+        throw error;
+      }
+      node = { kind: 'unsaved' };
+    }
+    const bytes = maxCaptureBytes - budget.remaining;
+    entry.records.push({ seq: nextCaptureSeq, path: target, node });
+    nextCaptureSeq += 1;
+    entry.bytes += bytes;
+    totalBytes += bytes;
+    if (!entries.includes(entry)) {
+      entries.push(entry);
+      entries.sort((a, b) => a.id - b.id);
+    }
+    evictOldEntries();
+  }
+
+  async function recordWritten(entry, absolutePath) {
+    const stats = await lstatOrNull(absolutePath);
+    if (!stats) {
+      return;
+    }
+    entry.written.add(absolutePath);
+    if (stats.isDirectory()) {
+      for (const name of await fs.readdir(absolutePath)) {
+        await recordWritten(entry, path.join(absolutePath, name));
+      }
+    }
+  }
+
+  function evictOldEntries() {
+    while (totalBytes > maxJournalBytes && entries.length > 1) {
+      const evicted = entries.shift();
+      totalBytes -= evicted.bytes;
+      evictedThrough = Math.max(evictedThrough, evicted.id);
+    }
+  }
+
+  async function undo() {
+    const entry = entries.pop();
+    if (!entry) {
+      return null;
+    }
+    totalBytes -= entry.bytes;
+    const outcome = await restoreRecords(entry.records, entry.written);
+    return { label: entry.label, ...outcome };
+  }
+
+  async function revertTo(targetPosition) {
+    const reverted = entries.filter((entry) => entry.id >= targetPosition);
+    if (!reverted.length) {
+      return { entries: 0, paths: [], unrestorable: [], kept: [], incomplete: evictedThrough >= targetPosition };
+    }
+    entries.splice(entries.indexOf(reverted[0]), reverted.length);
+    reverted.forEach((entry) => {
+      totalBytes -= entry.bytes;
+    });
+    const records = reverted.flatMap((entry) => entry.records);
+    const written = new Set(reverted.flatMap((entry) => [...entry.written]));
+    const outcome = await restoreRecords(records, written);
+    return { entries: reverted.length, ...outcome, incomplete: evictedThrough >= targetPosition };
+  }
+
+  function size() {
+    return entries.length;
+  }
+
+  return {
+    begin,
+    position,
+    undo,
+    revertTo,
+    size,
+  };
+}
+
+async function topmostMissingAncestor(absolutePath, root) {
+  let current = absolutePath;
+  let missing = null;
+  while (current !== root && current.startsWith(`${root}${path.sep}`)) {
+    if (await lstatOrNull(current)) {
+      break;
+    }
+    missing = current;
+    current = path.dirname(current);
+  }
+  return missing ?? absolutePath;
+}
+
+async function snapshotNode(absolutePath, budget) {
+  const stats = await lstatOrNull(absolutePath);
+  if (!stats) {
+    return { kind: 'missing' };
+  }
+  if (stats.isSymbolicLink()) {
+    return { kind: 'symlink', target: await fs.readlink(absolutePath) };
+  }
+  if (stats.isDirectory()) {
+    const children = new Map();
+    const names = await fs.readdir(absolutePath);
+    for (const name of names) {
+      children.set(name, await snapshotNode(path.join(absolutePath, name), budget));
+    }
+    return { kind: 'directory', mode: stats.mode, children };
+  }
+  if (!stats.isFile()) {
+    return { kind: 'unsaved' };
+  }
+  budget.remaining -= stats.size;
+  if (budget.remaining < 0) {
+    throw new SnapshotTooLargeError();
+  }
+  return { kind: 'file', mode: stats.mode, data: await fs.readFile(absolutePath) };
+}
+
+async function restoreRecords(records, written) {
+  const ordered = [...records].sort((a, b) => b.seq - a.seq);
+  const paths = [];
+  const context = { written, unrestorable: [], kept: [] };
+  for (const record of ordered) {
+    if (record.node.kind === 'unsaved') {
+      context.unrestorable.push(record.path);
+      continue;
+    }
+    await restoreNode(record.path, record.node, context);
+    if (!paths.includes(record.path)) {
+      paths.push(record.path);
+    }
+  }
+  return { paths: paths.reverse(), unrestorable: context.unrestorable, kept: context.kept };
+}
+
+async function restoreNode(absolutePath, node, context) {
+  const current = await lstatOrNull(absolutePath);
+  switch (node.kind) {
+    case 'missing':
+      if (current) {
+        await removeWritten(absolutePath, current, context);
+      }
+      return;
+    case 'unsaved':
+      context.unrestorable.push(absolutePath);
+      return;
+    case 'symlink':
+      if (current && !(await removeWritten(absolutePath, current, context, true))) {
+        return;
+      }
+      await fs.mkdir(path.dirname(absolutePath), { recursive: true });
+      await fs.symlink(node.target, absolutePath);
+      return;
+    case 'file':
+      if (current && !current.isFile() && !(await removeWritten(absolutePath, current, context, true))) {
+        return;
+      }
+      await fs.mkdir(path.dirname(absolutePath), { recursive: true });
+      await fs.writeFile(absolutePath, node.data);
+      await fs.chmod(absolutePath, node.mode & 0o7777);
+      return;
+    default:
+      if (current && !current.isDirectory()) {
+        await fs.rm(absolutePath, { force: true });
+      }
+      await fs.mkdir(absolutePath, { recursive: true });
+      for (const name of await fs.readdir(absolutePath)) {
+        if (!node.children.has(name)) {
+          const childPath = path.join(absolutePath, name);
+          await removeWritten(childPath, await fs.lstat(childPath), context);
+        }
+      }
+      for (const [name, child] of node.children) {
+        await restoreNode(path.join(absolutePath, name), child, context);
+      }
+      await fs.chmod(absolutePath, node.mode & 0o7777);
+  }
+}
+
+async function removeWritten(absolutePath, stats, context, overwrite = false) {
+  if (!stats.isDirectory()) {
+    if (overwrite || context.written.has(absolutePath)) {
+      await fs.rm(absolutePath, { force: true });
+      return true;
+    }
+    context.kept.push(absolutePath);
+    return false;
+  }
+  let empty = true;
+  for (const name of await fs.readdir(absolutePath)) {
+    const childPath = path.join(absolutePath, name);
+    empty = (await removeWritten(childPath, await fs.lstat(childPath), context)) && empty;
+  }
+  if (empty) {
+    await fs.rmdir(absolutePath);
+  }
+  return empty;
+}
+
+async function lstatOrNull(absolutePath) {
+  try {
+    return await fs.lstat(absolutePath);
+  } catch (error) {
+    if (error && (error.code === 'ENOENT' || error.code === 'ENOTDIR')) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+export { createFileSnapshotJournal };
@@ -0,0 +1,413 @@
+import { execFile } from 'node:child_process';
+import path from 'node:path';
+
+const DEFAULT_LOG_COUNT = 20;
+const DEFAULT_MAX_OUTPUT_CHARS = 30000;
+const FIELD_SEPARATOR = '\x1f';
+const RECORD_SEPARATOR = '\x1e';
+const CHECKPOINT_IDENTITY = {
+  GIT_AUTHOR_NAME: 'code-loop',
+  GIT_AUTHOR_EMAIL: 'code-loop@localhost',
+  GIT_COMMITTER_NAME: 'code-loop',
+  GIT_COMMITTER_EMAIL: 'code-loop@localhost',
+};
+
+class GitError extends Error {
+  constructor(args, result) {
+    const detail = (result.stderr || result.stdout || '').trim();
+    super(`git ${args[0]} failed${detail ? `: ${detail}` : ` with exit code ${result.code}`}`);
+    this.name = 'GitError';
+    this.code = result.code;
+  }
+}
+
+function createGitClient(options = {}) {
+  const {
+    cwd,
+    signal,
+    beforeRun = async () => {},
+    resolvePath = (value) => value,
+    baseEnv = process.env,
+    extraEnv = {},
+  } = options;
+  const maxOutputChars = options.maxOutputChars ?? DEFAULT_MAX_OUTPUT_CHARS;
+
+  async function git(args, { mutating = false, allowFailure = false } = {}) {
+    await beforeRun(args, mutating);
+    const result = await runGit(args, {
+      cwd,
+      signal,
+      env: {
+        ...baseEnv,
+        GIT_CEILING_DIRECTORIES: path.dirname(cwd),
+        GIT_TERMINAL_PROMPT: '0',
+        GIT_PAGER: 'cat',
+        ...extraEnv,
+      },
+    });
+    if (result.code !== 0 && !allowFailure) {
+      if (/not a git repository/i.test(result.stderr)) {
+        throw new Error('The workspace is not a git repository. Call sdk.git.init() first.');
+      }
+      throw new GitError(args, result);
+    }
+    return result;
+  }
+
+  function toPathArgs(paths) {
+    if (paths === undefined || paths === null) {
+      return [];
+    }
+    const list = Array.isArray(paths) ? paths : [paths];
+    return list.map((item) => {
+      if (typeof item !== 'string' || !item.trim()) {
+        throw new Error('git paths must be non-empty strings.');
+      }
+      return resolvePath(item.trim());
+    });
+  }
+
+  async function isRepository() {
+    const result = await git(['rev-parse', '--is-inside-work-tree'], { allowFailure: true });
+    return result.code === 0 && result.stdout.trim() === 'true';
+  }
+
+  async function init() {
+    if (await isRepository()) {
+      return { created: false };
+    }
+    await git(['init'], { mutating: true });
+    return { created: true };
+  }
+
+  async function status() {
+    const { stdout } = await git(['status', '--porcelain=v2', '--branch', '-z', '--untracked-files=all']);
+    return parseStatus(stdout);
+  }
+
+  async function diff(diffOptions = {}) {
+    const opts = requireObject(diffOptions, 'git.diff');
+    const args = ['diff'];
+    if (opts.staged) {
+      args.push('--cached');
+    }
+    if (opts.ref) {
+      args.push(requireRef(opts.ref));
+    }
+    if (opts.context !== undefined) {
+      args.push(`--unified=${Math.max(0, Math.floor(Number(opts.context) || 0))}`);
+    }
+    const pathArgs = toPathArgs(opts.paths);
+    const numstat = await git([...args, '--numstat', '-z', '--', ...pathArgs]);
+    const files = parseNumstat(numstat.stdout);
+    if (opts.stat) {
+      return { files };
+    }
+    const patch = await git([...args, '--', ...pathArgs]);
+    return { files, ...clip(patch.stdout, 'patch', maxOutputChars) };
+  }
+
+  async function log(logOptions = {}) {
+    const opts = requireObject(logOptions, 'git.log');
+    const maxCount = Math.max(1, Math.floor(Number(opts.maxCount) || DEFAULT_LOG_COUNT));
+    const args = ['log', `--max-count=${maxCount}`, `--format=${LOG_FORMAT}`];
+    if (opts.ref) {
+      args.push(requireRef(opts.ref));
+    }
+    const result = await git([...args, '--', ...toPathArgs(opts.paths)], { allowFailure: true });
+    if (result.code !== 0) {
+      if (/does not have any commits/i.test(result.stderr)) {
+        return [];
+      }
+      if (/not a git repository/i.test(result.stderr)) {
+        throw new Error('The workspace is not a git repository. Call sdk.git.init() first.');
+      }
+      throw new GitError(args, result);
+    }
+    return parseLog(result.stdout);
+  }
+
+  async function add(paths, addOptions = {}) {
+    const opts = requireObject(addOptions, 'git.add');
+    if (opts.all || paths === '.' || paths === undefined) {
+      await git(['add', '--all'], { mutating: true });
+    } else {
+      await git(['add', '--', ...toPathArgs(paths)], { mutating: true });
+    }
+    return status();
+  }
+
+  async function commit(message, commitOptions = {}) {
+    const opts = requireObject(commitOptions, 'git.commit');
+    if (typeof message !== 'string' || !message.trim()) {
+      throw new Error('git.commit requires a non-empty message.');
+    }
+    const args = ['commit', '-m', message];
+    if (opts.all) {
+      args.push('--all');
+    }
+    if (opts.allowEmpty) {
+      args.push('--allow-empty');
+    }
+    await git(args, { mutating: true });
+    const [latest] = parseLog((await git(['log', '--max-count=1', `--format=${LOG_FORMAT}`])).stdout);
+    return latest;
+  }
+
+  async function branches() {
+    const { stdout } = await git(['branch', `--format=%(refname:short)${FIELD_SEPARATOR}%(HEAD)${FIELD_SEPARATOR}%(objectname:short)${FIELD_SEPARATOR}%(upstream:short)`]);
+    return stdout.split('\n').filter(Boolean).map((line) => {
+      const [name, head, commitHash, upstream] = line.split(FIELD_SEPARATOR);
+      return { name, current: head === '*', commit: commitHash, upstream: upstream || null };
+    });
+  }
+
+  async function createBranch(name, branchOptions = {}) {
+    const opts = requireObject(branchOptions, 'git.createBranch');
+    const branchName = requireRef(name);
+    const startPoint = opts.startPoint ? [requireRef(opts.startPoint)] : [];
+    if (opts.checkout === false) {
+      await git(['branch', branchName, ...startPoint], { mutating: true });
+    } else {
+      await git(['switch', '-c', branchName, ...startPoint], { mutating: true });
+    }
+    return { branch: branchName, checkedOut: opts.checkout !== false };
+  }
+
+  async function switchBranch(name) {
+    const branchName = requireRef(name);
+    await git(['switch', branchName], { mutating: true });
+    return { branch: branchName };
+  }
+
+  async function stash(stashOptions = {}) {
+    const opts = requireObject(stashOptions, 'git.stash');
+    const args = ['stash', 'push'];
+    if (opts.includeUntracked) {
+      args.push('--include-untracked');
+    }
+    if (opts.message) {
+      args.push('-m', String(opts.message));
+    }
+    const { stdout } = await git(args, { mutating: true });
+    const created = !/no local changes to save/i.test(stdout);
+    return { created, ref: created ? 'stash@{0}' : null };
+  }
+
+  async function stashPop(ref) {
+    await git(['stash', 'pop', ...(ref ? [requireRef(ref)] : [])], { mutating: true });
+    return status();
+  }
+
+  async function stashList() {
+    const result = await git(['stash', 'list', `--format=%gd${FIELD_SEPARATOR}%H${FIELD_SEPARATOR}%s`]);
+    return result.stdout.split('\n').filter(Boolean).map((line) => {
+      const [ref, hash, subject] = line.split(FIELD_SEPARATOR);
+      return { ref, hash, subject };
+    });
+  }
+
+  async function show(ref = 'HEAD', showOptions = {}) {
+    const opts = requireObject(showOptions, 'git.show');
+    const revision = requireRef(ref);
+    if (opts.path) {
+      const [relativePath] = toPathArgs(opts.path);
+      const { stdout } = await git(['show', `${revision}:${relativePath}`]);
+      return clip(stdout, 'contents', maxOutputChars);
+    }
+    const [commitInfo] = parseLog((await git(['log', '--max-count=1', `--format=${LOG_FORMAT}`, revision, '--'])).stdout);
+    const numstat = await git(['show', '--numstat', '-z', '--format=', revision, '--']);
+    const patch = await git(['show', '--format=', revision, '--']);
+    return {
+      ...commitInfo,
+      files: parseNumstat(numstat.stdout),
+      ...clip(patch.stdout, 'patch', maxOutputChars),
+    };
+  }
+
+  async function checkpoint(message) {
+    if (!(await isRepository())) {
+      throw new Error('The workspace is not a git repository; run git init in it (or call sdk.git.init()) to enable checkpoints.');
+    }
+    await git(['add', '--all'], { mutating: true });
+    const { files } = await status();
+    if (!files.some((file) => file.staged)) {
+      return null;
+    }
+    await git(['commit', '--no-verify', '-m', message], { mutating: true });
+    const [latest] = parseLog((await git(['log', '--max-count=1', `--format=${LOG_FORMAT}`])).stdout);
+    return latest;
+  }
+
+  return {
+    init,
+    isRepository,
+    status,
+    diff,
+    log,
+    add,
+    commit,
+    branches,
+    createBranch,
+    switchBranch,
+    stash,
+    stashPop,
+    stashList,
+    show,
+    checkpoint,
+  };
+}
+
+const LOG_FORMAT = ['%H', '%h', '%an', '%ae', '%aI', '%s', '%b'].join('%x1f') + '%x1e';
+
+function runGit(args, { cwd, env, signal }) {
+  return new Promise((resolve, reject) => {
+    execFile('git', args, {
+      cwd,
+      env,
+      signal,
+      maxBuffer: 64 * 1024 * 1024,
+      encoding: 'utf8',
+    }, (error, stdout, stderr) => {
+      if (error && typeof error.code !== 'number') {
+        reject(error.code === 'ENOENT' ? new Error('git is not installed or not on PATH.') : error);
+        return;
+      }
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+  });
+}
+
+function parseStatus(output) {
+  const tokens = output.split('\0');
+  const result = {
+    branch: null,
+    commit: null,
+    upstream: null,
+    ahead: 0,
+    behind: 0,
+    detached: false,
+    files: [],
+    clean: true,
+  };
+  for (let i = 0; i < tokens.length; i += 1) {
+    const token = tokens[i];
+    if (!token) {
+      continue;
+    }
+    if (token.startsWith('# branch.oid ')) {
+      const oid = token.slice('# branch.oid '.length);
+      result.commit = oid === '(initial)' ? null : oid;
+    } else if (token.startsWith('# branch.head ')) {
+      const head = token.slice('# branch.head '.length);
+      result.detached = head === '(detached)';
+      result.branch = result.detached ? null : head;
+    } else if (token.startsWith('# branch.upstream ')) {
+      result.upstream = token.slice('# branch.upstream '.length);
+    } else if (token.startsWith('# branch.ab ')) {
+      const match = token.match(/\+(\d+) -(\d+)/);
+      if (match) {
+        result.ahead = Number(match[1]);
+        result.behind = Number(match[2]);
+      }
+    } else if (token.startsWith('? ')) {
+      result.files.push(describeFile(token.slice(2), '?', '?', { untracked: true }));
+    } else if (token.startsWith('1 ') || token.startsWith('2 ') || token.startsWith('u ')) {
+      const fields = token.split(' ');
+      const [kind, xy] = fields;
+      const pathFieldIndex = { 1: 8, 2: 9, u: 10 }[kind];
+      const filePath = fields.slice(pathFieldIndex).join(' ');
+      const extra = { conflicted: kind === 'u' };
+      if (kind === '2') {
+        extra.originalPath = tokens[i + 1];
+        i += 1;
+      }
+      result.files.push(describeFile(filePath, xy[0], xy[1], extra));
+    }
+  }
+  result.clean = result.files.length === 0;
+  return result;
+}
+
+function describeFile(filePath, indexCode, worktreeCode, extra = {}) {
+  const untracked = Boolean(extra.untracked);
+  return {
+    path: filePath,
+    index: indexCode,
+    worktree: worktreeCode,
+    staged: !untracked && indexCode !== '.',
+    unstaged: !untracked && worktreeCode !== '.',
+    untracked,
+    conflicted: Boolean(extra.conflicted),
+    ...(extra.originalPath ? { originalPath: extra.originalPath } : {}),
+  };
+}
+
+function parseNumstat(output) {
+  const tokens = output.split('\0');
+  const files = [];
+  for (let i = 0; i < tokens.length; i += 1) {
+    const token = tokens[i].replace(/^\n+/, '');
+    if (!token) {
+      continue;
+    }
+    const [added, deleted, filePath] = token.split('\t');
+    const entry = {
+      path: filePath,
+      additions: added === '-' ? null : Number(added),
+      deletions: deleted === '-' ? null : Number(deleted),
+      binary: added === '-',
+    };
+    if (!filePath) {
+      entry.originalPath = tokens[i + 1];
+      entry.path = tokens[i + 2];
+      i += 2;
+    }
+    files.push(entry);
+  }
+  return files;
+}
+
+function parseLog(output) {
+  return output
+    .split(RECORD_SEPARATOR)
+    .map((record) => record.replace(/^\n+/, ''))
+    .filter(Boolean)
+    .map((record) => {
+      const [hash, shortHash, author, email, date, subject, body] = record.split(FIELD_SEPARATOR);
+      return { hash, shortHash, author, email, date, subject, body: (body ?? '').trim() };
+    });
+}
+
+function clip(text, key, maxChars) {
+  if (text.length <= maxChars) {
+    return { [key]: text, truncated: false };
+  }
+  return {
+    [key]: `${text.slice(0, maxChars)}\n[... ${text.length - maxChars} characters truncated ...]`,
+    truncated: true,
+  };
+}
+
+function requireObject(value, label) {
+  if (value === undefined || value === null) {
+    return {};
+  }
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error(`${label} options must be an object.`);
+  }
+  return value;
+}
+
+function requireRef(value) {
+  if (typeof value !== 'string' || !value.trim() || value.trim().startsWith('-')) {
+    throw new Error(`Invalid git ref or branch name: ${JSON.stringify(value)}.`);
+  }
+  return value.trim();
+}
+
+export {
+  CHECKPOINT_IDENTITY,
+  GitError,
+  createGitClient,
+};
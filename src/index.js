@@ -0,0 +1,210 @@
+import { AgentSession } from './agent/session.js';
+import { createDelegateTaskHandler } from './agent/delegate.js';
+import { createEventChannel, stampEvent, summarizeRun } from './agent/events.js';
+import { assertProviderCredentials } from './agent/providers.js';
+import { createUsageLedger } from './agent/usage.js';
+import { createApprovalGate } from './approvals.js';
+import { loadExecPolicy } from './exec-policy.js';
+import { createFileSnapshotJournal } from './file-snapshots.js';
+import { createDefaultOptions, normalizeAgentOptions, parseBudget } from './options.js';
+import { loadSdkPlugins } from './plugins.js';
+import { systemPrompt } from './prompts.js';
+import {
+  createPersistentSandbox,
+  createSessionWorkspace,
+  executeCodeBlock,
+  normalizeSdkExtensions,
+} from './runtime/quickjs-runner.js';
+
+const SILENT_LOGGER = {
+  log() {},
+  info() {},
+  warn() {},
+  error() {},
+};
+const PASSTHROUGH_OPTIONS = [
+  'delegateModel',
+  'maxIterations',
+  'executionTimeoutMs',
+  'reasoningEffort',
+  'verbosity',
+  'temperature',
+  'maxOutputTokens',
+  'compactThresholdTokens',
+  'compactKeepTurns',
+  'toolResultMaxChars',
+  'persistentSandbox',
+  'sandboxMemoryCapMb',
+  'memoryLimitMb',
+  'maxStackKb',
+  'approval',
+  'gitCheckpoints',
+  'symlinks',
+];
+
+function createAgent(config = {}) {
+  const options = resolveAgentOptions(config);
+  const onEvent = typeof config.onEvent === 'function' ? config.onEvent : null;
+  let activeRun = null;
+  let closed = false;
+
+  options.events = {
+    emit(event) {
+      const entry = stampEvent(event);
+      if (onEvent) {
+        try {
+          onEvent(entry);
+        } catch (error) {
+          options.logger.warn(`onEvent handler failed: ${error?.message ?? error}`);
+        }
+      }
+      if (activeRun) {
+        activeRun.channel.push(entry);
+      }
+    },
+  };
+
+  const session = new AgentSession({
+    ...options,
+    model: options.mainAgentModel,
+    systemPrompt: typeof config.systemPrompt === 'string'
+      ? config.systemPrompt
+      : systemPrompt({
+        persistentSandbox: options.persistentSandbox,
+        workspace: options.workspace,
+        mounts: options.mounts,
+        symlinks: options.symlinks,
+        sdkExtensions: options.sdkExtensions,
+      }),
+    delegateTaskHandler: createDelegateTaskHandler(options),
+    sessionStore: config.sessionStore ?? null,
+  });
+
+  async function execute(prompt, channel) {
+    options.events.emit({
+      type: 'start',
+      sessionId: session.id,
+      model: options.mainAgentModel,
+      delegateModel: options.delegateModel,
+      workspace: options.workspace.path,
+    });
+    let outcome;
+    let failure = null;
+    try {
+      outcome = await session.submit(prompt);
+    } catch (error) {
+      failure = error;
+      options.events.emit({ type: 'error', scope: 'main', message: error?.message ?? String(error) });
+      outcome = { finishReason: 'error', iteration: null };
+    }
+    const summary = summarizeRun(session, outcome);
+    options.events.emit({ type: 'finish', ...summary });
+    channel.close();
+    return failure ? { ...summary, error: failure } : summary;
+  }
+
+  return {
+    get id() {
+      return session.id;
+    },
+    get messages() {
+      return session.messages;
+    },
+    get running() {
+      return activeRun !== null;
+    },
+    usage() {
+      return options.usageLedger.totals();
+    },
+    run(prompt) {
+      if (closed) {
+        throw new Error('This agent has been closed.');
+      }
+      if (activeRun) {
+        throw new Error('The agent is already running; wait for the current run to finish.');
+      }
+      if (typeof prompt !== 'string' || !prompt.trim()) {
+        throw new Error('agent.run requires a non-empty prompt.');
+      }
+      const channel = createEventChannel();
+      const run = { channel };
+      activeRun = run;
+      run.result = execute(prompt.trim(), channel).finally(() => {
+        activeRun = null;
+      });
+      return {
+        result: run.result,
+        [Symbol.asyncIterator]: () => channel.iterator,
+      };
+    },
+    cancel() {
+      return session.cancel();
+    },
+    async close() {
+      if (closed) {
+        return;
+      }
+      closed = true;
+      if (activeRun) {
+        await activeRun.result;
+      }
+      await session.workspaceSdk.stopBackgroundProcesses();
+      session.dispose();
+    },
+  };
+}
+
+function resolveAgentOptions(config) {
+  const options = createDefaultOptions();
+  PASSTHROUGH_OPTIONS
+    .filter((key) => config[key] !== undefined)
+    .forEach((key) => {
+      options[key] = config[key];
+    });
+  if (config.model !== undefined) {
+    options.mainAgentModel = config.model;
+  }
+  if (config.workspace !== undefined) {
+    options.workspace = typeof config.workspace === 'object'
+      ? `${config.workspace.path}:${config.workspace.access ?? 'rw'}`
+      : config.workspace;
+  }
+  if (config.mounts !== undefined) {
+    options.mounts = config.mounts.map((mount) => (typeof mount === 'object'
+      ? `${mount.name}=${mount.path}:${mount.access ?? 'ro'}`
+      : mount));
+  }
+  normalizeAgentOptions(options);
+
+  options.stream = false;
+  options.logger = config.logger ?? SILENT_LOGGER;
+  options.providers = config.providers ?? {};
+  options.languageModel = config.languageModel;
+  options.sdkExtensions = normalizeSdkExtensions(config.sdkExtensions);
+  options.fileSnapshots = createFileSnapshotJournal();
+  options.usageLedger = createUsageLedger({
+    prices: config.prices ?? {},
+    budget: typeof config.budget === 'string' ? parseBudget(config.budget) : config.budget ?? {},
+  });
+  options.execPolicy = typeof config.execPolicy === 'string' ? loadExecPolicy(config.execPolicy) : config.execPolicy;
+  if (options.approval !== 'never') {
+    if (typeof config.onApproval !== 'function') {
+      throw new Error(`approval "${options.approval}" needs an onApproval(request) callback.`);
+    }
+    options.approvalGate = createApprovalGate({ mode: options.approval, prompt: config.onApproval });
+  }
+  if (!options.languageModel) {
+    assertProviderCredentials([options.mainAgentModel, options.delegateModel], options.providers);
+  }
+  return options;
+}
+
+export {
+  AgentSession,
+  createAgent,
+  createPersistentSandbox,
+  createSessionWorkspace,
+  executeCodeBlock,
+  loadSdkPlugins,
+  systemPrompt,
+};
@@ -1,8 +1,27 @@
+import { normalizeApprovalMode } from './approvals.js';
+import { normalizeOutputFormat } from './agent/events.js';
+import { normalizeSymlinkPolicy, parseMountSpec, parseWorkspaceSpec } from './workspace-sdk.js';
 import {
+  DEFAULT_APPROVAL_MODE,
+  DEFAULT_COMPACT_KEEP_TURNS,
+  DEFAULT_CONFIG_PATH,
+  DEFAULT_COMPACT_THRESHOLD,
   DEFAULT_DELEGATE_MODEL,
   DEFAULT_EXEC_TIMEOUT,
+  DEFAULT_GIT_CHECKPOINTS,
   DEFAULT_MAIN_AGENT_MODEL,
   DEFAULT_MAX_ITERATIONS,
+  DEFAULT_MAX_STACK_KB,
+  DEFAULT_MEMORY_LIMIT_MB,
+  DEFAULT_MOUNTS,
+  DEFAULT_PERSISTENT_SANDBOX,
+  DEFAULT_SANDBOX_MEMORY_CAP_MB,
+  DEFAULT_SERVER_HOST,
+  DEFAULT_SERVER_PORT,
+  DEFAULT_SYMLINK_POLICY,
+  DEFAULT_TOOL_RESULT_MAX_CHARS,
+  DEFAULT_WORKSPACE,
+  MAX_SAFE_STACK_KB,
 } from './config.js';
 import { theme } from './ui/theme.js';
 
@@ -14,20 +33,104 @@ function ensurePositiveInteger(value, fallback) {
   return fallback;
 }
 
-function parseCliArgs(argv) {
-  const options = {
+function ensureNonNegativeInteger(value, fallback) {
+  const parsed = Number(value);
+  if (Number.isFinite(parsed) && parsed >= 0) {
+    return Math.floor(parsed);
+  }
+  return fallback;
+}
+
+function parseBudget(rawValue, budget = {}) {
+  const text = typeof rawValue === 'string' ? rawValue.trim().toLowerCase() : '';
+  if (!text) {
+    return budget;
+  }
+  const next = { ...budget };
+  text.split(',').forEach((part) => {
+    const limit = part.trim();
+    const costMatch = limit.match(/^\$\s*(\d+(?:\.\d+)?)$|^(\d+(?:\.\d+)?)\s*usd$/);
+    if (costMatch) {
+      next.maxCostUsd = Number(costMatch[1] ?? costMatch[2]);
+      return;
+    }
+    const tokenMatch = limit.match(/^(\d+(?:\.\d+)?)\s*([km]?)$/);
+    if (!tokenMatch) {
+      throw new Error(`Invalid budget "${part.trim()}". Use a token count (e.g. 500k) or a dollar amount (e.g. $5).`);
+    }
+    const multiplier = { '': 1, k: 1_000, m: 1_000_000 }[tokenMatch[2]];
+    next.maxTokens = Math.floor(Number(tokenMatch[1]) * multiplier);
+  });
+  return next;
+}
+
+function createDefaultOptions() {
+  return {
+    command: null,
     prompt: null,
     mainAgentModel: DEFAULT_MAIN_AGENT_MODEL,
     delegateModel: DEFAULT_DELEGATE_MODEL,
+    configPath: DEFAULT_CONFIG_PATH,
     maxIterations: DEFAULT_MAX_ITERATIONS,
     executionTimeoutMs: DEFAULT_EXEC_TIMEOUT,
     stream: true,
+    output: 'text',
     reasoningEffort: process.env.CODE_LOOP_REASONING ?? 'medium',
     verbosity: process.env.CODE_LOOP_VERBOSITY ?? 'low',
     temperature: Number(process.env.CODE_LOOP_TEMPERATURE ?? 0),
     maxOutputTokens: Number(process.env.CODE_LOOP_MAX_OUTPUT ?? 1024),
+    compactThresholdTokens: DEFAULT_COMPACT_THRESHOLD,
+    compactKeepTurns: DEFAULT_COMPACT_KEEP_TURNS,
+    toolResultMaxChars: DEFAULT_TOOL_RESULT_MAX_CHARS,
+    persistentSandbox: DEFAULT_PERSISTENT_SANDBOX,
+    sandboxMemoryCapMb: DEFAULT_SANDBOX_MEMORY_CAP_MB,
+    memoryLimitMb: DEFAULT_MEMORY_LIMIT_MB,
+    maxStackKb: DEFAULT_MAX_STACK_KB,
+    budget: parseBudget(process.env.CODE_LOOP_BUDGET),
+    approval: DEFAULT_APPROVAL_MODE,
+    gitCheckpoints: DEFAULT_GIT_CHECKPOINTS,
+    workspace: DEFAULT_WORKSPACE,
+    mounts: [...DEFAULT_MOUNTS],
+    symlinks: DEFAULT_SYMLINK_POLICY,
+    resume: null,
+    continueLast: false,
+    recordFile: null,
+    replayFile: null,
+    replayExecute: false,
+    host: DEFAULT_SERVER_HOST,
+    port: DEFAULT_SERVER_PORT,
+    token: process.env.CODE_LOOP_SERVER_TOKEN ?? null,
     help: false,
   };
+}
+
+function normalizeAgentOptions(options) {
+  options.maxIterations = ensurePositiveInteger(options.maxIterations, DEFAULT_MAX_ITERATIONS);
+  options.executionTimeoutMs = ensurePositiveInteger(options.executionTimeoutMs, DEFAULT_EXEC_TIMEOUT);
+  options.maxOutputTokens = ensurePositiveInteger(options.maxOutputTokens, 1024);
+  options.temperature = Number.isFinite(options.temperature) ? options.temperature : 0;
+  options.compactThresholdTokens = ensureNonNegativeInteger(options.compactThresholdTokens, 150000);
+  options.compactKeepTurns = ensurePositiveInteger(options.compactKeepTurns, 2);
+  options.toolResultMaxChars = ensurePositiveInteger(options.toolResultMaxChars, 4000);
+  options.sandboxMemoryCapMb = ensurePositiveInteger(options.sandboxMemoryCapMb, 256);
+  options.sandboxMemoryCapBytes = options.sandboxMemoryCapMb * 1024 * 1024;
+  options.memoryLimitMb = ensureNonNegativeInteger(options.memoryLimitMb, 512);
+  options.maxStackKb = Math.min(ensurePositiveInteger(options.maxStackKb, 256), MAX_SAFE_STACK_KB);
+  options.sandboxLimits = {
+    memoryLimitBytes: options.memoryLimitMb * 1024 * 1024,
+    maxStackSizeBytes: options.maxStackKb * 1024,
+  };
+
+  options.approval = normalizeApprovalMode(options.approval);
+  options.workspace = parseWorkspaceSpec(options.workspace);
+  options.mounts = options.mounts.map(parseMountSpec);
+  options.symlinks = normalizeSymlinkPolicy(options.symlinks);
+  return options;
+}
+
+function parseCliArgs(argv) {
+  const options = createDefaultOptions();
+  const serverFlags = [];
 
   for (let i = 0; i < argv.length; i += 1) {
     const arg = argv[i];
@@ -43,6 +146,14 @@ function parseCliArgs(argv) {
         options.mainAgentModel = argv[i + 1] ?? options.mainAgentModel;
         i += 1;
         break;
+      case '--delegate-model':
+        options.delegateModel = argv[i + 1] ?? options.delegateModel;
+        i += 1;
+        break;
+      case '--config':
+        options.configPath = argv[i + 1] ?? options.configPath;
+        i += 1;
+        break;
       case '--max-iterations':
         options.maxIterations = Number(argv[i + 1] ?? options.maxIterations);
         i += 1;
@@ -54,6 +165,13 @@ function parseCliArgs(argv) {
       case '--no-stream':
         options.stream = false;
         break;
+      case '--output':
+        options.output = argv[i + 1] ?? options.output;
+        i += 1;
+        break;
+      case '--json':
+        options.output = 'json';
+        break;
       case '--reasoning':
         options.reasoningEffort = argv[i + 1] ?? options.reasoningEffort;
         i += 1;
@@ -70,6 +188,89 @@ function parseCliArgs(argv) {
         options.maxOutputTokens = Number(argv[i + 1] ?? options.maxOutputTokens);
         i += 1;
         break;
+      case '--compact-threshold':
+        options.compactThresholdTokens = Number(argv[i + 1] ?? options.compactThresholdTokens);
+        i += 1;
+        break;
+      case '--compact-keep-turns':
+        options.compactKeepTurns = Number(argv[i + 1] ?? options.compactKeepTurns);
+        i += 1;
+        break;
+      case '--persistent-sandbox':
+        options.persistentSandbox = true;
+        break;
+      case '--sandbox-memory-cap':
+        options.sandboxMemoryCapMb = Number(argv[i + 1] ?? options.sandboxMemoryCapMb);
+        i += 1;
+        break;
+      case '--memory-limit':
+        options.memoryLimitMb = Number(argv[i + 1] ?? options.memoryLimitMb);
+        i += 1;
+        break;
+      case '--max-stack-size':
+        options.maxStackKb = Number(argv[i + 1] ?? options.maxStackKb);
+        i += 1;
+        break;
+      case '--budget':
+        options.budget = parseBudget(argv[i + 1] ?? '', options.budget);
+        i += 1;
+        break;
+      case '--approval':
+        options.approval = argv[i + 1] ?? options.approval;
+        i += 1;
+        break;
+      case '--workspace':
+      case '-w':
+        options.workspace = argv[i + 1] ?? options.workspace;
+        i += 1;
+        break;
+      case '--mount':
+        if (argv[i + 1]) {
+          options.mounts.push(argv[i + 1]);
+        }
+        i += 1;
+        break;
+      case '--symlinks':
+        options.symlinks = argv[i + 1] ?? options.symlinks;
+        i += 1;
+        break;
+      case '--record':
+        options.recordFile = argv[i + 1] ?? '';
+        i += 1;
+        break;
+      case '--replay':
+        options.replayFile = argv[i + 1] ?? '';
+        i += 1;
+        break;
+      case '--replay-exec':
+        options.replayExecute = true;
+        break;
+      case '--host':
+        options.host = argv[i + 1] ?? '';
+        serverFlags.push(arg);
+        i += 1;
+        break;
+      case '--port':
+        options.port = Number(argv[i + 1]);
+        serverFlags.push(arg);
+        i += 1;
+        break;
+      case '--token':
+        options.token = argv[i + 1] ?? '';
+        serverFlags.push(arg);
+        i += 1;
+        break;
+      case '--git-checkpoints':
+        options.gitCheckpoints = true;
+        break;
+      case '--resume':
+        options.resume = argv[i + 1] ?? null;
+        i += 1;
+        break;
+      case '--continue':
+      case '-c':
+        options.continueLast = true;
+        break;
       case '--help':
       case '-h':
         options.help = true;
@@ -78,36 +279,119 @@ function parseCliArgs(argv) {
         if (arg.startsWith('-')) {
           throw new Error(`Unknown flag: ${arg}`);
         }
+        if (arg === 'serve' && i === 0) {
+          options.command = 'serve';
+          break;
+        }
         console.warn(theme.warning(`Ignoring positional argument: ${arg}. Use --prompt/-p for single-shot mode.`));
         break;
     }
   }
 
-  options.maxIterations = ensurePositiveInteger(options.maxIterations, DEFAULT_MAX_ITERATIONS);
-  options.executionTimeoutMs = ensurePositiveInteger(options.executionTimeoutMs, DEFAULT_EXEC_TIMEOUT);
-  options.maxOutputTokens = ensurePositiveInteger(options.maxOutputTokens, 1024);
-  options.temperature = Number.isFinite(options.temperature) ? options.temperature : 0;
+  const requestedStackKb = ensurePositiveInteger(options.maxStackKb, 256);
+  if (requestedStackKb > MAX_SAFE_STACK_KB) {
+    console.warn(theme.warning(`--max-stack-size ${requestedStackKb} is above the safe ceiling; using ${MAX_SAFE_STACK_KB} KB.`));
+  }
+  normalizeAgentOptions(options);
+  options.output = normalizeOutputFormat(options.output);
+  if (options.output !== 'text') {
+    if (!options.prompt) {
+      throw new Error(`--output ${options.output} needs a single-shot --prompt.`);
+    }
+    options.stream = false;
+  }
+
+  if (options.resume !== null && !options.resume.trim()) {
+    throw new Error('--resume requires a session id.');
+  }
+  if (options.resume && options.continueLast) {
+    throw new Error('Use either --resume <id> or --continue, not both.');
+  }
+  if (options.recordFile !== null && !options.recordFile.trim()) {
+    throw new Error('--record requires a file path.');
+  }
+  if (options.replayFile !== null && !options.replayFile.trim()) {
+    throw new Error('--replay requires a recording file.');
+  }
+  if (options.replayExecute && !options.replayFile) {
+    throw new Error('--replay-exec only works together with --replay <file>.');
+  }
+  if (options.replayFile && (options.recordFile || options.prompt || options.resume || options.continueLast)) {
+    throw new Error('--replay runs the recorded prompts on its own; drop --record, --prompt, --resume and --continue.');
+  }
+  if (options.command === 'serve') {
+    validateServeOptions(options);
+  } else if (serverFlags.length) {
+    throw new Error(`${serverFlags[0]} only applies to code-loop serve.`);
+  }
 
   return options;
 }
 
+function validateServeOptions(options) {
+  if (options.prompt || options.resume || options.continueLast || options.recordFile || options.replayFile) {
+    throw new Error('code-loop serve takes messages over HTTP; drop --prompt, --resume, --continue, --record and --replay.');
+  }
+  if (options.output !== 'text') {
+    throw new Error('code-loop serve streams events over HTTP; drop --output.');
+  }
+  if (options.approval !== 'never') {
+    throw new Error('code-loop serve cannot ask for approvals; use an exec policy instead of --approval.');
+  }
+  if (!Number.isInteger(options.port) || options.port < 0 || options.port > 65535) {
+    throw new Error('--port must be a number between 0 and 65535.');
+  }
+  if (!options.host.trim()) {
+    throw new Error('--host requires an address.');
+  }
+  if (options.token !== null && !options.token.trim()) {
+    throw new Error('--token must not be empty.');
+  }
+  options.stream = false;
+}
+
 function printHelp() {
   const rows = [
     ['-p, --prompt <text>', 'Run a single-shot prompt and exit when no more code blocks'],
-    ['--main-model <model>', 'Override the main agent OpenAI model (alias --model)'],
+    ['--main-model <model>', 'Main agent model as provider:model, e.g. openai:gpt-5.1 (alias --model)'],
+    ['--delegate-model <model>', 'Delegate sub-agent model as provider:model'],
+    ['--config <file>', 'Project config file with providers, prices and plugins (default .code-loop/config.json)'],
     ['--max-iterations <n>', 'Cap the agent loop iterations (default 12)'],
     ['--timeout <ms>', 'Per-code-block execution timeout (default 8000)'],
     ['--no-stream', 'Disable token streaming'],
+    ['--output <format>', 'With --prompt: text, json (one document at the end) or jsonl (one event per line)'],
+    ['--json', 'Shorthand for --output json'],
     ['--reasoning <level>', 'Set provider reasoning effort (default medium)'],
     ['--verbosity <level>', 'Set provider verbosity hint (default medium)'],
     ['--temperature <value>', 'Sampling temperature (default 0)'],
     ['--max-output-tokens <n>', 'Upper bound for model tokens (default 1024)'],
+    ['--compact-threshold <tokens>', 'Compact the transcript above this estimate (0 disables, default 150000)'],
+    ['--compact-keep-turns <n>', 'Recent user turns kept verbatim when compacting (default 2)'],
+    ['--persistent-sandbox', 'Keep one QuickJS context per session so globals survive between code blocks'],
+    ['--sandbox-memory-cap <mb>', 'Reset the persistent sandbox once it uses more memory (default 256)'],
+    ['--memory-limit <mb>', 'Per-execution QuickJS memory limit (0 disables, default 512)'],
+    ['--max-stack-size <kb>', `QuickJS stack size limit (default 256, max ${MAX_SAFE_STACK_KB})`],
+    ['--budget <limit>', 'Stop when a token count (500k) or dollar amount ($5) is reached; comma-separate both'],
+    ['--approval <mode>', 'Ask before SDK calls: never, writes, exec or all (default never)'],
+    ['-w, --workspace <dir[:ro]>', 'Directory the agent works in (default ./workspace); append :ro to make it read-only'],
+    ['--mount <name=dir[:rw]>', 'Expose another directory as name:path (read-only unless :rw); repeatable'],
+    ['--symlinks <policy>', 'Symlinks in SDK paths: within (stay inside the root), deny or follow (default within)'],
+    ['--git-checkpoints', 'Commit the workspace to git after every agent turn'],
+    ['--resume <id>', 'Reopen a saved session by id'],
+    ['-c, --continue', 'Reopen the most recently updated session'],
+    ['--record <file>', 'Write every model request, streamed response and code result to a JSONL file'],
+    ['--replay <file>', 'Re-run a recording offline, feeding the recorded model responses back in'],
+    ['--replay-exec', 'With --replay, execute code blocks again and report where results diverge'],
+    ['--port <n>', 'With serve: port to listen on (default 4317)'],
+    ['--host <address>', 'With serve: address to bind (default 127.0.0.1)'],
+    ['--token <secret>', 'With serve: bearer token clients must send (default: generated at startup)'],
     ['-h, --help', 'Show this message'],
   ];
 
   const flagWidth = rows.reduce((max, [flag]) => Math.max(max, flag.length), 0) + 2;
 
   console.log(`${theme.heading('Usage:')} ${theme.strong('code-loop [options]')}`);
+  console.log(`       ${theme.strong('code-loop serve [--port <n>] [options]')}`);
   console.log();
   console.log(theme.heading('Options:'));
   rows.forEach(([flag, description]) => {
@@ -115,4 +399,10 @@ function printHelp() {
   });
 }
 
-export { parseCliArgs, printHelp };
+export {
+  createDefaultOptions,
+  normalizeAgentOptions,
+  parseBudget,
+  parseCliArgs,
+  printHelp,
+};
@@ -0,0 +1,124 @@
+function patternToRegExp(pattern) {
+  const source = String(pattern)
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}$`);
+}
+
+function findMatchingPattern(patterns, value) {
+  return patterns.find((pattern) => patternToRegExp(pattern).test(value)) ?? null;
+}
+
+function globToRegExp(pattern, options = {}) {
+  const dot = Boolean(options.dot);
+  const segmentStart = dot ? '' : '(?!\\.)';
+  let source = '';
+  let braceDepth = 0;
+  let atSegmentStart = true;
+
+  for (let i = 0; i < pattern.length; i += 1) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*' && atSegmentStart
+      && (pattern[i + 2] === '/' || i + 2 === pattern.length)) {
+      if (pattern[i + 2] === '/') {
+        source += `(?:${segmentStart}[^/]*/)*`;
+        i += 2;
+      } else {
+        source += `(?:${segmentStart}[^/]*(?:/|$))*`;
+        i += 1;
+      }
+      continue;
+    }
+    if (char === '*') {
+      source += `${atSegmentStart ? segmentStart : ''}[^/]*`;
+      while (pattern[i + 1] === '*') {
+        i += 1;
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', i + 2);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        const body = pattern.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\');
+        source += `[${body}]`;
+        i = end;
+      }
+    } else if (char === '{') {
+      braceDepth += 1;
+      source += '(?:';
+    } else if (char === '}' && braceDepth > 0) {
+      braceDepth -= 1;
+      source += ')';
+    } else if (char === ',' && braceDepth > 0) {
+      source += '|';
+    } else if (char === '\\' && i + 1 < pattern.length) {
+      source += pattern[i + 1].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+      i += 1;
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+    atSegmentStart = char === '/';
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function parseGitignore(text, baseDir = '') {
+  return text
+    .split(/\r?\n/)
+    .map((line) => line.replace(/(?<!\\)\s+$/, ''))
+    .filter((line) => line && !line.startsWith('#'))
+    .map((line) => {
+      let pattern = line;
+      const negate = pattern.startsWith('!');
+      if (negate) {
+        pattern = pattern.slice(1);
+      }
+      pattern = pattern.replace(/^\\([#!])/, '$1');
+      const dirOnly = pattern.endsWith('/');
+      if (dirOnly) {
+        pattern = pattern.replace(/\/+$/, '');
+      }
+      const anchored = pattern.includes('/');
+      pattern = pattern.replace(/^\//, '');
+      if (!anchored && !pattern.startsWith('**/')) {
+        pattern = `**/${pattern}`;
+      }
+      return {
+        baseDir,
+        negate,
+        dirOnly,
+        regex: globToRegExp(pattern, { dot: true }),
+      };
+    });
+}
+
+function isIgnored(rules, relativePath, isDirectory) {
+  let ignored = false;
+  rules.forEach((rule) => {
+    if (rule.dirOnly && !isDirectory) {
+      return;
+    }
+    let candidate = relativePath;
+    if (rule.baseDir) {
+      if (!relativePath.startsWith(`${rule.baseDir}/`)) {
+        return;
+      }
+      candidate = relativePath.slice(rule.baseDir.length + 1);
+    }
+    if (rule.regex.test(candidate)) {
+      ignored = !rule.negate;
+    }
+  });
+  return ignored;
+}
+
+export {
+  findMatchingPattern,
+  globToRegExp,
+  isIgnored,
+  parseGitignore,
+  patternToRegExp,
+};
@@ -0,0 +1,58 @@
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+
+import { normalizeSdkExtensions } from './runtime/quickjs-runner.js';
+
+const RESERVED_EXPORTS = new Set(['default', 'namespace']);
+
+async function loadSdkPlugins(entries, options = {}) {
+  if (entries === undefined || entries === null) {
+    return [];
+  }
+  if (!Array.isArray(entries)) {
+    throw new Error('"plugins" must be an array of module paths or { path, namespace } objects.');
+  }
+  const baseDir = options.baseDir ?? process.cwd();
+  const extensions = [];
+  for (const entry of entries) {
+    const spec = typeof entry === 'string' ? { path: entry } : entry;
+    if (!spec || typeof spec.path !== 'string' || !spec.path.trim()) {
+      throw new Error('Each SDK plugin needs a module path.');
+    }
+    const filePath = path.resolve(baseDir, spec.path.trim());
+    let pluginModule;
+    try {
+      pluginModule = await import(pathToFileURL(filePath).href);
+    } catch (error) {
+      throw new Error(`Failed to load SDK plugin ${filePath}: ${error?.message ?? error}`);
+    }
+    const namespace = spec.namespace
+      ?? pluginModule.namespace
+      ?? path.basename(filePath).replace(/\.[^.]+$/, '');
+    const functions = Object.entries(pluginModule)
+      .filter(([name, value]) => !RESERVED_EXPORTS.has(name)
+        && (typeof value === 'function' || typeof value?.handler === 'function'));
+    if (!functions.length) {
+      throw new Error(`SDK plugin ${filePath} exports no functions; export { description, args, handler } objects or plain functions.`);
+    }
+    functions.forEach(([name, definition]) => {
+      extensions.push({
+        ...(typeof definition === 'function'
+          ? { handler: definition, description: definition.description, args: definition.args }
+          : definition),
+        name,
+        namespace,
+        source: filePath,
+      });
+    });
+  }
+  try {
+    return normalizeSdkExtensions(extensions);
+  } catch (error) {
+    throw new Error(`Invalid SDK plugin: ${error.message}`);
+  }
+}
+
+export {
+  loadSdkPlugins,
+};
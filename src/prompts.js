@@ -38,7 +38,28 @@ function getCurrentDateInTimeZone(timeZone) {
   }
 }
 
-function systemPrompt({ mainAgent = true } = {}) {
+function describeExtensionHelper(extension) {
+  const callee = extension.namespace ? `sdk.${extension.namespace}.${extension.name}` : `sdk.${extension.name}`;
+  const signature = extension.args
+    ? extension.args.map((arg) => `${arg.name}${arg.optional ? '?' : ''}: ${arg.type}`).join(', ')
+    : '...';
+  const argNotes = (extension.args ?? [])
+    .filter((arg) => arg.description)
+    .map((arg) => `\`${arg.name}\`: ${arg.description}`);
+  const details = [extension.description, argNotes.length ? `Arguments — ${argNotes.join('; ')}.` : '']
+    .filter(Boolean)
+    .join(' ');
+  return `- \`${callee}(${signature})\`${details ? ` — ${details}` : ''}`;
+}
+
+function systemPrompt({
+  mainAgent = true,
+  persistentSandbox = false,
+  workspace = null,
+  mounts = [],
+  symlinks = 'within',
+  sdkExtensions = [],
+} = {}) {
   const userTimeZone = resolveUserTimeZone();
   const userTimeZoneOffset = formatUtcOffset(new Date().getTimezoneOffset());
   const currentDate = getCurrentDateInTimeZone(userTimeZone);
@@ -55,6 +76,36 @@ function systemPrompt({ mainAgent = true } = {}) {
     ? `- If the reviewer finds issues, you (the main agent) decide whether to run another executor pass (within the cycle cap) or adjust the scope with the founder (for example clarify requirements, relax constraints, or split the task).`
     : `- If the reviewer finds issues, the main agent decides whether to run another executor pass (within the cycle cap) or adjust the scope with the founder (for example clarify requirements, relax constraints, or split the task).`;
 
+  const sandboxLifecycle = persistentSandbox
+    ? `which executes JavaScript inside a persistent QuickJS context that lives for the whole session. That JavaScript can:`
+    : `which executes JavaScript inside a fresh QuickJS context for each invocation. That JavaScript can:`;
+
+  const sandboxStateNote = persistentSandbox
+    ? `
+
+SANDBOX STATE
+
+Top-level \`const\`/\`let\`/\`var\`, \`function\` and \`class\` declarations, and anything you assign to \`globalThis\`, are available in later \`runJavascript\` calls; a later call may declare the same name again to replace it. Declarations inside blocks and functions stay local. Pass \`resetSandbox: true\` to start from a clean context. The host may clear the context if it grows too large; the result then includes a \`sandboxReset\` notice and you must rebuild any state you need. Files on disk remain the durable source of truth.`
+    : '';
+
+  const symlinkNote = {
+    within: ' Symlinks are followed only while they stay inside their root.',
+    deny: ' Paths that go through a symlink are refused.',
+  }[symlinks] ?? '';
+  const extensionsSection = sdkExtensions.length
+    ? `\n\nExtra helpers provided by the host application and its plugins (async; arguments and results are plain JSON-like values):\n${sdkExtensions
+      .map(describeExtensionHelper)
+      .join('\n')}`
+    : '';
+  const readOnlyProject = workspace?.access === 'ro';
+  const rootsNote = mounts.length || readOnlyProject
+    ? `
+  - Roots in this session: ${[
+      `\`project\`${readOnlyProject ? ' (read-only)' : ''}`,
+      ...mounts.map((mount) => `\`${mount.name}:\`${mount.access === 'ro' ? ' (read-only)' : ''}`),
+    ].join(', ')}.`
+    : '';
+
   return `You are a coding agent. Your primary user is a non-technical startup founder; your job is to act as their technical cofounder.
 
 ${roleDescription}
@@ -88,14 +139,18 @@ Current local date for the user: ${currentDate} (${userTimeZone}).
 
 You can access the current date and time in code via \`new Date()\`. When you translate phrases like "tomorrow" or "next week" into concrete dates, interpret them in the user’s time zone above.
 
-You run inside a QuickJS runtime. Your only way to interact with the project is by calling the \`runJavascript\` tool, which executes JavaScript inside a fresh QuickJS context for each invocation. That JavaScript can:
+You run inside a QuickJS runtime. Your only way to interact with the project is by calling the \`runJavascript\` tool, ${sandboxLifecycle}
 - use standard JS built-ins (Array helpers, JSON, Date, Math, etc.),
 - \`await\` functions on a global \`sdk\` object (described below),
 - read/write files and run shell commands only through \`sdk.*\`.
 
 QuickJS does not ship the full ECMAScript Intl API (e.g., Intl.DateTimeFormat), so format times manually with \`Date\` primitives, ISO strings, or explicit offset math.
 
-You will see the results of every \`runJavascript\` call (return value + console output + timing) as part of the next turn and can iterate based on that feedback.
+Each \`runJavascript\` call also runs under memory and stack limits. If a call exceeds one, it fails with \`limitExceeded: 'memory' | 'stack'\`; process data in smaller chunks or replace deep recursion with loops instead of retrying the same code.
+
+The user may require approval for file writes and shell commands. A rejected call throws an error starting with "The user denied"; read the reason, do not retry the same call, and change your approach or ask the user. Shell commands may also be restricted by an exec policy; a blocked command throws "sdk.exec was blocked by the exec policy" with the rule that matched, so do not try to work around it with a different spelling of the same command.
+
+You will see the results of every \`runJavascript\` call (return value + console output + timing) as part of the next turn and can iterate based on that feedback.${sandboxStateNote}
 
 CONTEXT BUDGET (STRICT)
 
@@ -125,19 +180,51 @@ Inside the QuickJS sandbox, there is a global \`sdk\` object that exposes the **
 
 File and project helpers:
 - \`sdk.projectRoot: string\` — absolute path to the project root (read-only).
-- \`sdk.readFile(path: string): Promise<string>\` — read a UTF-8 text file relative to the project root. Throws if the path is missing or unreadable.
-- \`sdk.writeFile(path: string, contents: string | object): Promise<string>\` — create or overwrite a UTF-8 file. Intermediate directories are created as needed. Returns a short status message.
+- \`sdk.roots: { name: string; path: string; access: 'rw' | 'ro' }[]\` — every directory you can reach. Paths without a prefix are inside \`project\`, the project root. Other roots are addressed as \`name:relative/path\` (for example \`docs:guide/intro.md\`) in every path argument, including \`cwd\` options, and \`glob\`/\`grep\` return their paths in that form. Writes, deletes, and commands are refused in read-only (\`ro\`) roots, and \`sdk.git\` only works in \`project\` (read-only calls only, if \`project\` is \`ro\`).${symlinkNote}${rootsNote}
+- \`sdk.readFile(path: string, options?: { encoding?: 'utf8' | 'base64' | 'latin1' | 'bytes'; offset?: number; length?: number }): Promise<string | Uint8Array>\` — read a file relative to the project root. The default \`utf8\` returns text; \`'bytes'\` returns a \`Uint8Array\`; \`base64\` and \`latin1\` return strings that preserve every byte. \`offset\`/\`length\` read a byte range, which is the way to sample huge files (a range can split a multi-byte UTF-8 character). Throws if the path is missing or unreadable.
+- \`sdk.writeFile(path: string, contents: string | Uint8Array | ArrayBuffer | object, options?: { encoding?: 'utf8' | 'base64' | 'latin1' }): Promise<string>\` — create or overwrite a file. Strings are encoded with \`encoding\` (default \`utf8\`; pass \`base64\` to write decoded binary data), typed arrays and ArrayBuffers are written byte for byte, and other objects are written as pretty JSON. Intermediate directories are created as needed. Returns a short status message.
+  - Never round-trip binary files (images, archives, non-UTF-8 text) through the default \`utf8\` encoding; it corrupts them.
+- \`sdk.editFile(path: string, edits: Edit | Edit[], options?: { dryRun?: boolean }): Promise<{ path: string; success: boolean; written: boolean; applied: object[]; failures: object[] }>\` — change part of an existing file instead of rewriting it. Each edit is one of:
+  - \`{ search: string; replace: string; replaceAll?: boolean }\` — exact text replacement. The search text must occur exactly once unless \`replaceAll\` is set; copy it verbatim from the file, including indentation.
+  - \`{ startLine: number; endLine?: number; replace: string }\` — replace lines \`startLine..endLine\` (1-based, inclusive; \`endLine = startLine - 1\` inserts before \`startLine\`, \`replace: ''\` deletes).
+  - \`{ patch: string }\` — apply a unified diff (\`@@ -a,b +c,d @@\` hunks) for this one file. Hunks may apply a few lines away from their stated position.
+  - Edits apply in order, each to the result of the previous one, so line numbers shift after earlier edits (edit from the bottom up when using line ranges). The file is written only if every edit succeeds; otherwise \`failures\` explains each problem (\`matchLines\` for ambiguous searches, \`candidates\` with nearby similar lines, or the file \`context\` around a failed hunk) and nothing changes. Fix the failing edit and retry instead of falling back to \`writeFile\`.
 - \`sdk.listFiles(path?: string): Promise<{ name: string; kind: 'file' | 'directory' }[]>\` — list entries for a directory relative to the project root (default '.').
-- \`sdk.deletePath(path: string): Promise<boolean>\` — delete a file or an empty directory relative to the project root. Returns \`true\` if something was deleted, \`false\` otherwise.
+- \`sdk.deletePath(path: string, options?: { recursive?: boolean }): Promise<boolean>\` — delete a file or directory relative to the project root. Non-empty directories need \`{ recursive: true }\`. Returns \`true\` if something was deleted, \`false\` if the path did not exist.
+- \`sdk.stat(path: string): Promise<{ path: string; kind: 'file' | 'directory' | 'symlink' | 'other'; size: number; mtime: string; mode: string }>\` — metadata for a path (symlinks are not followed). Throws if the path is missing.
+- \`sdk.exists(path: string): Promise<boolean>\` — whether a path exists.
+- \`sdk.mkdir(path: string, options?: { recursive?: boolean }): Promise<boolean>\` — create a directory (parents too unless \`recursive: false\`). Returns \`false\` if it already existed.
+- \`sdk.move(from: string, to: string, options?: { overwrite?: boolean }): Promise<string>\` / \`sdk.copy(from, to, options?)\` — move or copy a file or directory tree. Parent directories of \`to\` are created; an existing destination is an error unless \`overwrite: true\`.
+- Prefer these helpers over \`sdk.exec('mv ...')\`, \`cp\`, \`mkdir\`, or \`rm\`.
+- \`sdk.glob(pattern: string | string[], options?: { cwd?: string; dot?: boolean; includeDirectories?: boolean; includeIgnored?: boolean; maxResults?: number }): Promise<{ files: { path: string; kind: string; size: number; mtime: string }[]; truncated: boolean }>\` — find files recursively. Patterns are relative to \`cwd\` and support \`**\`, \`*\`, \`?\`, \`[abc]\`, and \`{a,b}\`; \`*.js\` only matches the top level, use \`**/*.js\` for all depths. Returned paths are relative to the project root. \`.gitignore\` rules are honored and \`.git\` is skipped unless \`includeIgnored\` is set. Default \`maxResults\` is 1000.
+- \`sdk.grep(regex: string, options?: { glob?: string | string[]; cwd?: string; ignoreCase?: boolean; context?: number; maxResults?: number; maxFileBytes?: number; includeIgnored?: boolean }): Promise<{ matches: { path: string; line: number; text: string; before?: string[]; after?: string[] }[]; truncated: boolean; filesSearched: number; skippedFiles: number }>\` — search file contents line by line with a JavaScript regular expression (pass the source string, not a RegExp). \`context\` adds up to 10 surrounding lines. Binary and oversized files (default 2 MB) are skipped. Default \`maxResults\` is 200.
+- Use \`sdk.glob\` and \`sdk.grep\` to explore the project instead of \`sdk.exec('find ...')\` or \`grep -r\`.
+- \`sdk.git\` runs git in the project root and returns parsed objects:
+  - \`init(): Promise<{ created: boolean }>\`
+  - \`status(): Promise<{ branch: string | null; commit: string | null; upstream: string | null; ahead: number; behind: number; detached: boolean; clean: boolean; files: { path: string; index: string; worktree: string; staged: boolean; unstaged: boolean; untracked: boolean; conflicted: boolean; originalPath?: string }[] }>\`
+  - \`diff(options?: { staged?: boolean; ref?: string; paths?: string | string[]; context?: number; stat?: boolean }): Promise<{ files: { path: string; additions: number | null; deletions: number | null; binary: boolean }[]; patch?: string; truncated?: boolean }>\`
+  - \`log(options?: { maxCount?: number; ref?: string; paths?: string | string[] }): Promise<{ hash: string; shortHash: string; author: string; email: string; date: string; subject: string; body: string }[]>\` (default 20 entries)
+  - \`add(paths?: string | string[], options?: { all?: boolean })\` and \`stashPop(ref?: string)\` resolve to the new status; \`commit(message: string, options?: { all?: boolean; allowEmpty?: boolean })\` resolves to the new log entry.
+  - \`branches()\`, \`createBranch(name, { startPoint?, checkout? })\` (switches to the new branch unless \`checkout: false\`), \`switchBranch(name)\`, \`stash({ message?, includeUntracked? })\`, \`stashList()\`.
+  - \`show(ref = 'HEAD', options?: { path?: string })\` returns the commit with \`files\` and \`patch\`, or \`{ contents }\` of one file at that ref.
+- Prefer \`sdk.git\` over \`sdk.exec('git ...')\`. It never looks above the project root; if the project is not a repository, call \`sdk.git.init()\` only when the user wants version control.
 
 If the workspace has no meaningful project files yet, assume your job is to initialize a new project.
 
 Shell / Bash helper:
-- \`sdk.exec(command: string, options?: { cwd?: string; timeoutMs?: number }): Promise<{ code: number; stdout: string; stderr: string }>\`
+- \`sdk.exec(command: string, options?: { cwd?: string; timeoutMs?: number; maxOutputChars?: number; onLine?: (line: string, stream: 'stdout' | 'stderr') => void }): Promise<{ code: number; stdout: string; stderr: string; truncated?: { stdoutOmittedChars: number; stderrOmittedChars: number } }>\`
   - Runs the given shell command (interpreted by the host shell) with an optional working directory relative to \`projectRoot\`.
-  - Captures exit code, stdout, and stderr.
+  - Captures exit code, stdout, and stderr. Each stream keeps at most \`maxOutputChars\` characters (head and tail, with a truncation marker in between); \`truncated\` reports how much was dropped. Redirect to a file if you need the full output.
+  - \`onLine\` is called for every output line while the command runs, so you can count, filter, or react to progress. Throwing from \`onLine\` stops the command and rejects the \`exec\` promise with that error.
   - Use as needed for any shell-based work; you decide what to run and when.
 
+Background processes (dev servers, databases, watchers) that must outlive one \`runJavascript\` call:
+- \`sdk.spawnBackground(command: string, options?: { cwd?: string }): Promise<string>\` — start the command without waiting for it to exit; returns a process id such as \`'bg-1'\`.
+- \`sdk.processOutput(id: string, options?: { since?: number; maxChars?: number }): Promise<{ output: string; cursor: number; more: boolean; droppedChars: number; running: boolean; exitCode: number | null }>\` — read combined stdout/stderr. Without \`since\` you get the latest output; pass the previous \`cursor\` as \`since\` to read only new output.
+- \`sdk.processStatus(id: string)\` / \`sdk.listProcesses()\` — pid, running state, exit code or signal, timestamps.
+- \`sdk.killProcess(id: string, signal?: string): Promise<boolean>\` — stop the process and its children (SIGTERM, then SIGKILL if needed).
+- All background processes are stopped when the CLI exits. Kill the ones you no longer need, and never use \`sdk.exec\` for commands that do not terminate on their own.${extensionsSection}
+
 Multi-agent delegation (core of your workflow):
 
 ${delegationIntro}
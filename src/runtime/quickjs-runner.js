@@ -1,20 +1,105 @@
 import { performance } from 'node:perf_hooks';
-import path from 'node:path';
 
-import { getQuickJS, shouldInterruptAfterDeadline } from 'quickjs-emscripten';
+import { getQuickJS } from 'quickjs-emscripten';
 
-import { createWorkspaceSdk } from '../workspace-sdk.js';
+import { DEFAULT_EXEC_MAX_OUTPUT_CHARS, DEFAULT_POLICY_PATH, DEFAULT_SYMLINK_POLICY, DEFAULT_WORKSPACE } from '../config.js';
+import { loadExecPolicy } from '../exec-policy.js';
+import { createWorkspaceSdk, parseWorkspaceSpec } from '../workspace-sdk.js';
 
-const repoRoot = process.cwd();
-const workspaceRoot = path.join(repoRoot, 'workspace');
-const workspaceSdk = createWorkspaceSdk({ workspaceRoot, withDeadline });
+const DEFAULT_MAX_STACK_SIZE_BYTES = 256 * 1024;
+const STACK_LINES_KEPT_ON_LIMIT = 10;
+const PAUSED_DEADLINE_POLL_MS = 1000;
+const BINARY_VIEW_TAGS = new Set([
+  '[object Uint8Array]',
+  '[object Uint8ClampedArray]',
+  '[object Int8Array]',
+  '[object Uint16Array]',
+  '[object Int16Array]',
+  '[object Uint32Array]',
+  '[object Int32Array]',
+  '[object Float32Array]',
+  '[object Float64Array]',
+  '[object DataView]',
+]);
+const BUILTIN_SDK_NAMES = new Set([
+  'projectRoot', 'roots', 'readFile', 'writeFile', 'editFile', 'listFiles', 'deletePath', 'stat', 'exists', 'glob', 'grep',
+  'mkdir', 'move', 'copy', 'exec', 'spawnBackground', 'git', 'processOutput', 'processStatus', 'killProcess', 'listProcesses',
+  'delegateTask',
+]);
+const SDK_EXTENSION_NAME_PATTERN = /^[A-Za-z_$][\w$]*$/;
+const SDK_ARG_TYPES = new Set(['string', 'number', 'boolean', 'object', 'array', 'any']);
 let quickjsModulePromise = null;
 
 async function executeCodeBlock(source, timeoutMs, sandboxOptions = {}) {
-  const logs = [];
   const quickjs = await loadQuickjsModule();
   const vm = quickjs.newContext();
-  const deadlineInfo = createDeadlineInfo(timeoutMs);
+  try {
+    return await runInContext(vm, source, timeoutMs, sandboxOptions);
+  } finally {
+    vm.dispose();
+  }
+}
+
+function createPersistentSandbox(options = {}) {
+  const memoryCapBytes = Number.isFinite(options.memoryCapBytes) && options.memoryCapBytes > 0
+    ? options.memoryCapBytes
+    : null;
+  let vm = null;
+  let executions = 0;
+  let queue = Promise.resolve();
+
+  async function ensureContext() {
+    if (!vm) {
+      const quickjs = await loadQuickjsModule();
+      vm = quickjs.newContext();
+      executions = 0;
+    }
+    return vm;
+  }
+
+  async function executeNow(source, timeoutMs, sandboxOptions) {
+    const context = await ensureContext();
+    const result = await runInContext(context, source, timeoutMs, sandboxOptions, { persistBindings: true });
+    executions += 1;
+    const memoryUsedBytes = result.limitExceeded ? null : measureMemoryUsage(context);
+    result.sandbox = { persistent: true, executions, memoryUsedBytes };
+    if (result.limitExceeded) {
+      reset();
+      result.sandbox.reset = `The ${result.limitExceeded} limit was hit, so the sandbox context was discarded; all globals were cleared.`;
+    } else if (memoryCapBytes && memoryUsedBytes > memoryCapBytes) {
+      reset();
+      result.sandbox.reset = `Sandbox memory (${formatBytes(memoryUsedBytes)}) exceeded the ${formatBytes(memoryCapBytes)} cap; all globals were cleared.`;
+    }
+    return result;
+  }
+
+  function execute(source, timeoutMs, sandboxOptions = {}) {
+    const run = queue.then(() => executeNow(source, timeoutMs, sandboxOptions));
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  function reset() {
+    if (vm) {
+      vm.dispose();
+      vm = null;
+    }
+    executions = 0;
+  }
+
+  return {
+    execute,
+    reset,
+    dispose: reset,
+    get executions() {
+      return executions;
+    },
+  };
+}
+
+async function runInContext(vm, source, timeoutMs, sandboxOptions = {}, contextOptions = {}) {
+  const logs = [];
+  const deadlineInfo = createDeadlineInfo(timeoutMs, sandboxOptions.signal);
   const pendingSdkOperations = new Set();
   const trackSdkOperation = (promise) => {
     if (!promise || typeof promise.then !== 'function') {
@@ -25,11 +110,13 @@ async function executeCodeBlock(source, timeoutMs, sandboxOptions = {}) {
     });
     pendingSdkOperations.add(tracked);
   };
+  const limits = normalizeRuntimeLimits(sandboxOptions.limits);
   const start = performance.now();
 
   try {
+    applyRuntimeLimits(vm, limits);
     if (deadlineInfo) {
-      vm.runtime.setInterruptHandler(shouldInterruptAfterDeadline(deadlineInfo.deadline));
+      vm.runtime.setInterruptHandler(() => Date.now() > deadlineInfo.deadline || Boolean(deadlineInfo.signal?.aborted));
     } else {
       vm.runtime.removeInterruptHandler();
     }
@@ -37,7 +124,7 @@ async function executeCodeBlock(source, timeoutMs, sandboxOptions = {}) {
     installConsole(vm, logs);
     installSdk(vm, deadlineInfo, trackSdkOperation, sandboxOptions);
 
-    const program = wrapUserSource(source);
+    const program = wrapUserSource(source, contextOptions.persistBindings);
     const evalResult = vm.evalCode(program, { filename: 'code-loop-block.js' });
 
     if (evalResult.error) {
@@ -48,9 +135,13 @@ async function executeCodeBlock(source, timeoutMs, sandboxOptions = {}) {
 
     const promiseHandle = evalResult.value;
     const stopJobPump = startQuickjsJobPump(vm);
+    const resultPromise = vm.resolvePromise(promiseHandle);
     let settledResult;
     try {
-      settledResult = await withDeadline(vm.resolvePromise(promiseHandle), deadlineInfo, 'code execution');
+      settledResult = await withDeadline(resultPromise, deadlineInfo, 'code execution');
+    } catch (error) {
+      resultPromise.then((lateResult) => disposeLateResult(vm, lateResult));
+      throw error;
     } finally {
       stopJobPump();
       promiseHandle.dispose();
@@ -76,6 +167,26 @@ async function executeCodeBlock(source, timeoutMs, sandboxOptions = {}) {
     };
   } catch (error) {
     const durationMs = performance.now() - start;
+    const limitExceeded = detectLimitError(error, limits);
+    if (limitExceeded) {
+      return {
+        success: false,
+        logs,
+        limitExceeded: limitExceeded.kind,
+        errorMessage: limitExceeded.message,
+        errorStack: truncateStack(error.quickjsStack ?? error.stack ?? null),
+        durationMs,
+      };
+    }
+    if (sandboxOptions.signal?.aborted) {
+      return {
+        success: false,
+        logs,
+        errorMessage: 'Code execution was cancelled.',
+        errorStack: null,
+        durationMs,
+      };
+    }
     return {
       success: false,
       logs,
@@ -85,12 +196,262 @@ async function executeCodeBlock(source, timeoutMs, sandboxOptions = {}) {
     };
   } finally {
     await waitForPendingOperations(pendingSdkOperations);
-    vm.dispose();
   }
 }
 
-function wrapUserSource(source) {
-  return `'use strict';\n(async () => {\n${source}\n})()`;
+function disposeLateResult(vm, result) {
+  const handle = result.error ?? result.value;
+  if (handle && vm.alive && handle.alive) {
+    handle.dispose();
+  }
+}
+
+function normalizeRuntimeLimits(limits = {}) {
+  const memoryLimitBytes = Number(limits.memoryLimitBytes);
+  const maxStackSizeBytes = Number(limits.maxStackSizeBytes);
+  return {
+    memoryLimitBytes: Number.isFinite(memoryLimitBytes) && memoryLimitBytes > 0 ? memoryLimitBytes : null,
+    maxStackSizeBytes: Number.isFinite(maxStackSizeBytes) && maxStackSizeBytes > 0
+      ? maxStackSizeBytes
+      : DEFAULT_MAX_STACK_SIZE_BYTES,
+  };
+}
+
+function applyRuntimeLimits(vm, limits) {
+  vm.runtime.setMemoryLimit(limits.memoryLimitBytes ?? -1);
+  vm.runtime.setMaxStackSize(limits.maxStackSizeBytes);
+}
+
+function detectLimitError(error, limits) {
+  const message = String(error?.message ?? '');
+  if (/out of memory/i.test(message)) {
+    const limitText = limits.memoryLimitBytes ? ` of ${formatBytes(limits.memoryLimitBytes)}` : '';
+    return {
+      kind: 'memory',
+      message: `Sandbox memory limit${limitText} exceeded (${message}). Hold less data in memory at once: process files in chunks, avoid building huge arrays or strings, and write intermediate results to disk.`,
+    };
+  }
+  if (/stack overflow|maximum call stack/i.test(message)) {
+    return {
+      kind: 'stack',
+      message: `Sandbox stack limit of ${formatBytes(limits.maxStackSizeBytes)} exceeded (${message}). Look for unbounded recursion or rewrite deep recursion as a loop.`,
+    };
+  }
+  return null;
+}
+
+function truncateStack(stack) {
+  if (typeof stack !== 'string') {
+    return stack;
+  }
+  const lines = stack.split('\n');
+  if (lines.length <= STACK_LINES_KEPT_ON_LIMIT) {
+    return stack;
+  }
+  return [
+    ...lines.slice(0, STACK_LINES_KEPT_ON_LIMIT),
+    `    ... ${lines.length - STACK_LINES_KEPT_ON_LIMIT} more frames`,
+  ].join('\n');
+}
+
+function measureMemoryUsage(vm) {
+  const usageHandle = vm.runtime.computeMemoryUsage();
+  try {
+    const usage = vm.dump(usageHandle);
+    return Number(usage?.memory_used_size) || 0;
+  } finally {
+    usageHandle.dispose();
+  }
+}
+
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) {
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+  return `${Math.round(bytes / 1024)} KB`;
+}
+
+function wrapUserSource(source, persistBindings = false) {
+  const names = persistBindings ? findTopLevelBindings(source) : [];
+  if (!names.length) {
+    return `'use strict';\n(async () => {\n${source}\n})()`;
+  }
+  const assignments = names.map((name) => `try { globalThis.${name} = ${name}; } catch {}`).join(' ');
+  return `'use strict';\n(async () => { let __codeLoopPersist = () => {}; try { __codeLoopPersist = () => { ${assignments} };\n${source}\n} finally { __codeLoopPersist(); }\n})()`;
+}
+
+const DECLARATION_KEYWORDS = new Set(['const', 'let', 'var']);
+const REGEX_PRECEDING_WORDS = new Set([
+  'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw', 'case', 'do', 'else', 'yield', 'await',
+]);
+
+function findTopLevelBindings(source) {
+  const tokens = tokenizeSource(source);
+  const names = new Set();
+  for (let index = 0; index < tokens.length; index += 1) {
+    const token = tokens[index];
+    if (token.depth !== 0 || token.type !== 'name') {
+      continue;
+    }
+    if (DECLARATION_KEYWORDS.has(token.value)) {
+      index = collectDeclarators(tokens, index + 1, names);
+    } else if ((token.value === 'function' || token.value === 'class') && tokens[index + 1]) {
+      const nameToken = tokens[index + 1].value === '*' ? tokens[index + 2] : tokens[index + 1];
+      if (nameToken?.type === 'name') {
+        names.add(nameToken.value);
+      }
+    }
+  }
+  return [...names];
+}
+
+function collectDeclarators(tokens, start, names) {
+  let index = start;
+  while (index < tokens.length) {
+    const target = tokens[index];
+    if (target.type === 'name') {
+      names.add(target.value);
+      index += 1;
+    } else if (target.value === '{' || target.value === '[') {
+      index = collectPatternNames(tokens, index, names);
+    } else {
+      return index - 1;
+    }
+    if (tokens[index]?.value === '=') {
+      index += 1;
+      while (index < tokens.length && (tokens[index].depth > 0 || (tokens[index].value !== ',' && tokens[index].value !== ';'))) {
+        index += 1;
+      }
+    }
+    if (tokens[index]?.value !== ',') {
+      return index;
+    }
+    index += 1;
+  }
+  return index;
+}
+
+function collectPatternNames(tokens, start, names) {
+  const depth = tokens[start].depth;
+  let index = start + 1;
+  while (index < tokens.length && tokens[index].depth > depth) {
+    const token = tokens[index];
+    const previous = tokens[index - 1].value;
+    const next = tokens[index + 1]?.value;
+    if (token.type === 'name' && ['{', '[', ',', ':', '...'].includes(previous) && [',', '}', ']', '='].includes(next)) {
+      names.add(token.value);
+    }
+    index += 1;
+  }
+  return index + 1;
+}
+
+function tokenizeSource(source) {
+  const tokens = [];
+  const braces = [];
+  let depth = 0;
+  let index = 0;
+  const push = (type, value, tokenDepth = depth) => tokens.push({ type, value, depth: tokenDepth });
+  const regexAllowed = () => {
+    const previous = tokens[tokens.length - 1];
+    if (!previous) {
+      return true;
+    }
+    if (previous.type === 'name') {
+      return REGEX_PRECEDING_WORDS.has(previous.value);
+    }
+    return previous.type === 'punct' && previous.value !== ')' && previous.value !== ']';
+  };
+  const skipTemplate = () => {
+    while (index < source.length) {
+      const char = source[index];
+      if (char === '\\') {
+        index += 2;
+      } else if (char === '`') {
+        index += 1;
+        return;
+      } else if (char === '$' && source[index + 1] === '{') {
+        index += 2;
+        braces.push('template');
+        depth += 1;
+        return;
+      } else {
+        index += 1;
+      }
+    }
+  };
+
+  while (index < source.length) {
+    const char = source[index];
+    const next = source[index + 1];
+    if (/\s/.test(char)) {
+      index += 1;
+    } else if (char === '/' && next === '/') {
+      const end = source.indexOf('\n', index);
+      index = end === -1 ? source.length : end;
+    } else if (char === '/' && next === '*') {
+      const end = source.indexOf('*/', index + 2);
+      index = end === -1 ? source.length : end + 2;
+    } else if (char === '\'' || char === '"') {
+      index += 1;
+      while (index < source.length && source[index] !== char && source[index] !== '\n') {
+        index += source[index] === '\\' ? 2 : 1;
+      }
+      index += 1;
+      push('string', char);
+    } else if (char === '`') {
+      index += 1;
+      push('string', char);
+      skipTemplate();
+    } else if (char === '/' && regexAllowed()) {
+      let inClass = false;
+      index += 1;
+      while (index < source.length && source[index] !== '\n' && (inClass || source[index] !== '/')) {
+        if (source[index] === '\\') {
+          index += 1;
+        } else if (source[index] === '[') {
+          inClass = true;
+        } else if (source[index] === ']') {
+          inClass = false;
+        }
+        index += 1;
+      }
+      index += 1;
+      while (/[\w$]/.test(source[index] ?? '')) {
+        index += 1;
+      }
+      push('regex', '/');
+    } else if (/[A-Za-z_$\d]/.test(char)) {
+      const match = source.slice(index).match(/^[\w$.]+/);
+      const value = /^\d/.test(char) ? match[0] : match[0].split('.')[0];
+      index += value.length;
+      push(/^\d/.test(char) ? 'number' : 'name', value);
+    } else if (char === '(' || char === '[' || char === '{') {
+      push('punct', char);
+      braces.push(char);
+      depth += 1;
+      index += 1;
+    } else if (char === ')' || char === ']' || char === '}') {
+      const opener = braces.pop();
+      depth = Math.max(0, depth - 1);
+      index += 1;
+      if (opener === 'template') {
+        skipTemplate();
+      } else {
+        push('punct', char);
+      }
+    } else if (source.startsWith('...', index)) {
+      push('punct', '...');
+      index += 3;
+    } else if (char === '=' && (next === '=' || next === '>')) {
+      push('punct', `=${next}`);
+      index += 2;
+    } else {
+      push('punct', char);
+      index += 1;
+    }
+  }
+  return tokens;
 }
 
 function startQuickjsJobPump(vm) {
@@ -155,32 +516,179 @@ function installConsole(vm, logs) {
 }
 
 function installSdk(vm, deadlineInfo, trackPendingOperation = () => {}, sandboxOptions = {}) {
+  const { workspaceSdk } = sandboxOptions;
+  if (!workspaceSdk) {
+    throw new Error('Sandbox execution requires sandboxOptions.workspaceSdk.');
+  }
   const sdkHandle = vm.newObject();
 
   const projectRootHandle = vm.newString(workspaceSdk.projectRoot);
   vm.setProp(sdkHandle, 'projectRoot', projectRootHandle);
   projectRootHandle.dispose();
+  const rootsHandle = convertToQuickjsHandle(vm, workspaceSdk.roots);
+  vm.setProp(sdkHandle, 'roots', rootsHandle);
+  rootsHandle.dispose();
 
-  defineAsyncFunction(vm, sdkHandle, 'readFile', async ([maybePath]) => {
-    return workspaceSdk.readFile(maybePath, deadlineInfo);
+  defineAsyncFunction(vm, sdkHandle, 'readFile', async ([maybePath, readOptions]) => {
+    return workspaceSdk.readFile(maybePath, readOptions, deadlineInfo);
   }, trackPendingOperation);
 
-  defineAsyncFunction(vm, sdkHandle, 'writeFile', async ([maybePath, contents = '']) => {
-    return workspaceSdk.writeFile(maybePath, contents, deadlineInfo);
+  defineAsyncFunction(vm, sdkHandle, 'writeFile', async ([maybePath, contents = '', writeOptions]) => {
+    await requestApproval(sandboxOptions, deadlineInfo, {
+      operation: 'writeFile',
+      path: maybePath,
+      contents,
+      encoding: writeOptions?.encoding ?? 'utf8',
+      loadCurrentContents: () => workspaceSdk.readFile(maybePath).catch(() => null),
+    });
+    const captured = await captureSnapshot(sandboxOptions, deadlineInfo, [maybePath]);
+    return recordWrites(sandboxOptions, captured, () => workspaceSdk.writeFile(maybePath, contents, writeOptions, deadlineInfo));
+  }, trackPendingOperation);
+
+  defineAsyncFunction(vm, sdkHandle, 'editFile', async ([maybePath, edits, editOptions]) => {
+    return workspaceSdk.editFile(maybePath, edits, editOptions, deadlineInfo, {
+      beforeWrite: async (current, next) => {
+        await requestApproval(sandboxOptions, deadlineInfo, {
+          operation: 'editFile',
+          path: maybePath,
+          contents: next,
+          loadCurrentContents: async () => current,
+        });
+        await captureSnapshot(sandboxOptions, deadlineInfo, [maybePath]);
+      },
+    });
   }, trackPendingOperation);
 
   defineAsyncFunction(vm, sdkHandle, 'listFiles', async ([maybePath]) => {
     return workspaceSdk.listFiles(maybePath, deadlineInfo);
   }, trackPendingOperation);
 
-  defineAsyncFunction(vm, sdkHandle, 'deletePath', async ([maybePath]) => {
-    return workspaceSdk.deletePath(maybePath, deadlineInfo);
+  defineAsyncFunction(vm, sdkHandle, 'deletePath', async ([maybePath, deleteOptions]) => {
+    await requestApproval(sandboxOptions, deadlineInfo, {
+      operation: 'deletePath',
+      path: maybePath,
+      recursive: Boolean(deleteOptions?.recursive),
+    });
+    await captureSnapshot(sandboxOptions, deadlineInfo, [maybePath]);
+    return workspaceSdk.deletePath(maybePath, deleteOptions, deadlineInfo);
+  }, trackPendingOperation);
+
+  defineAsyncFunction(vm, sdkHandle, 'stat', async ([maybePath]) => {
+    return workspaceSdk.stat(maybePath, deadlineInfo);
+  }, trackPendingOperation);
+
+  defineAsyncFunction(vm, sdkHandle, 'exists', async ([maybePath]) => {
+    return workspaceSdk.exists(maybePath, deadlineInfo);
+  }, trackPendingOperation);
+
+  defineAsyncFunction(vm, sdkHandle, 'glob', async ([patterns, globOptions]) => {
+    return workspaceSdk.glob(patterns, globOptions, deadlineInfo);
+  }, trackPendingOperation);
+
+  defineAsyncFunction(vm, sdkHandle, 'grep', async ([pattern, grepOptions]) => {
+    return workspaceSdk.grep(pattern, grepOptions, deadlineInfo);
   }, trackPendingOperation);
 
-  defineAsyncFunction(vm, sdkHandle, 'exec', async ([command, execOptions]) => {
-    return workspaceSdk.exec(command, execOptions, deadlineInfo);
+  defineAsyncFunction(vm, sdkHandle, 'mkdir', async ([maybePath, mkdirOptions]) => {
+    await requestApproval(sandboxOptions, deadlineInfo, { operation: 'mkdir', path: maybePath });
+    const captured = await captureSnapshot(sandboxOptions, deadlineInfo, [maybePath]);
+    return recordWrites(sandboxOptions, captured, () => workspaceSdk.mkdir(maybePath, mkdirOptions, deadlineInfo));
   }, trackPendingOperation);
 
+  defineAsyncFunction(vm, sdkHandle, 'move', async ([fromPath, toPath, moveOptions]) => {
+    await requestApproval(sandboxOptions, deadlineInfo, { operation: 'move', paths: [fromPath, toPath] });
+    const captured = await captureSnapshot(sandboxOptions, deadlineInfo, [fromPath, toPath]);
+    return recordWrites(sandboxOptions, captured, () => workspaceSdk.move(fromPath, toPath, moveOptions, deadlineInfo));
+  }, trackPendingOperation);
+
+  defineAsyncFunction(vm, sdkHandle, 'copy', async ([fromPath, toPath, copyOptions]) => {
+    await requestApproval(sandboxOptions, deadlineInfo, { operation: 'copy', paths: [fromPath, toPath] });
+    const captured = await captureSnapshot(sandboxOptions, deadlineInfo, [toPath]);
+    return recordWrites(sandboxOptions, captured, () => workspaceSdk.copy(fromPath, toPath, copyOptions, deadlineInfo));
+  }, trackPendingOperation);
+
+  defineAsyncFunction(vm, sdkHandle, 'exec', async ([command, execOptions], callbacks) => {
+    workspaceSdk.assertCommandAllowed(command, execOptions, 'exec');
+    await requestApproval(sandboxOptions, deadlineInfo, {
+      operation: 'exec',
+      command,
+      cwd: execOptions?.cwd,
+    });
+    const onChunk = typeof sandboxOptions.onExecOutput === 'function'
+      ? (stream, chunk) => sandboxOptions.onExecOutput(stream, chunk, command)
+      : undefined;
+    return workspaceSdk.exec(command, execOptions, deadlineInfo, {
+      onChunk,
+      onLine: callbacks.onLine,
+    });
+  }, trackPendingOperation, { callbackOptions: { 1: ['onLine'] } });
+
+  defineAsyncFunction(vm, sdkHandle, 'spawnBackground', async ([command, spawnOptions]) => {
+    workspaceSdk.assertCommandAllowed(command, spawnOptions, 'spawnBackground');
+    await requestApproval(sandboxOptions, deadlineInfo, {
+      operation: 'spawnBackground',
+      command,
+      cwd: spawnOptions?.cwd,
+    });
+    return workspaceSdk.spawnBackground(command, spawnOptions, deadlineInfo);
+  }, trackPendingOperation);
+
+  const gitHandle = vm.newObject();
+  workspaceSdk.gitMethods.forEach((method) => {
+    defineAsyncFunction(vm, gitHandle, method, async (args) => {
+      return workspaceSdk.git(method, args, deadlineInfo, {
+        beforeMutation: (command) => requestApproval(sandboxOptions, deadlineInfo, {
+          operation: 'git',
+          command,
+        }),
+      });
+    }, trackPendingOperation);
+  });
+  vm.setProp(sdkHandle, 'git', gitHandle);
+  gitHandle.dispose();
+
+  defineAsyncFunction(vm, sdkHandle, 'processOutput', async ([id, outputOptions]) => {
+    return workspaceSdk.processOutput(id, outputOptions);
+  }, trackPendingOperation);
+
+  defineAsyncFunction(vm, sdkHandle, 'processStatus', async ([id]) => {
+    return workspaceSdk.processStatus(id);
+  }, trackPendingOperation);
+
+  defineAsyncFunction(vm, sdkHandle, 'killProcess', async ([id, signal]) => {
+    return workspaceSdk.killProcess(id, signal, deadlineInfo);
+  }, trackPendingOperation);
+
+  defineAsyncFunction(vm, sdkHandle, 'listProcesses', async () => {
+    return workspaceSdk.listProcesses();
+  }, trackPendingOperation);
+
+  const namespaceHandles = new Map();
+  (sandboxOptions.sdkExtensions ?? []).forEach((extension) => {
+    let targetHandle = sdkHandle;
+    if (extension.namespace) {
+      if (!namespaceHandles.has(extension.namespace)) {
+        namespaceHandles.set(extension.namespace, vm.newObject());
+      }
+      targetHandle = namespaceHandles.get(extension.namespace);
+    }
+    const label = describeSdkExtension(extension);
+    defineAsyncFunction(vm, targetHandle, extension.name, async (args) => {
+      return withDeadline(
+        Promise.resolve().then(() => {
+          checkSdkExtensionArgs(extension, args, label);
+          return extension.handler(...args);
+        }),
+        deadlineInfo,
+        label,
+      );
+    }, trackPendingOperation);
+  });
+  namespaceHandles.forEach((namespaceHandle, namespace) => {
+    vm.setProp(sdkHandle, namespace, namespaceHandle);
+    namespaceHandle.dispose();
+  });
+
   if (typeof sandboxOptions.delegateTaskHandler === 'function') {
     defineAsyncFunction(vm, sdkHandle, 'delegateTask', async ([rawInput]) => {
       const payload = rawInput ?? {};
@@ -196,9 +704,156 @@ function installSdk(vm, deadlineInfo, trackPendingOperation = () => {}, sandboxO
   sdkHandle.dispose();
 }
 
-function defineAsyncFunction(vm, targetHandle, name, handler, trackPendingOperation = () => {}) {
+async function requestApproval(sandboxOptions, deadlineInfo, request) {
+  const gate = sandboxOptions.approvalGate;
+  if (!gate) {
+    return;
+  }
+  const { workspaceSdk } = sandboxOptions;
+  const resumeDeadline = pauseDeadline(deadlineInfo);
+  try {
+    await gate.check(request, {
+      resolvePath: workspaceSdk ? (value) => workspaceSdk.describeRealPath(value, 'approval') : undefined,
+    });
+  } finally {
+    resumeDeadline();
+  }
+}
+
+async function captureSnapshot(sandboxOptions, deadlineInfo, paths) {
+  const snapshot = sandboxOptions.fileSnapshot;
+  const captured = [];
+  if (!snapshot) {
+    return captured;
+  }
+  for (const candidate of paths) {
+    if (typeof candidate !== 'string' || !candidate.trim()) {
+      continue;
+    }
+    let location;
+    try {
+      location = await sandboxOptions.workspaceSdk.resolveSafeLocation(candidate.trim(), 'snapshot', { followLeaf: false });
+    } catch (error) {
+      continue;
+    }
+    if (location.real !== location.rootReal && location.root.access === 'rw') {
+      await withDeadline(snapshot.capture(location.real, location.rootReal), deadlineInfo, 'snapshot');
+      captured.push(location.real);
+    }
+  }
+  return captured;
+}
+
+async function recordWrites(sandboxOptions, capturedPaths, write) {
+  try {
+    return await write();
+  } finally {
+    for (const absolutePath of capturedPaths) {
+      await sandboxOptions.fileSnapshot.recordWritten(absolutePath);
+    }
+  }
+}
+
+function normalizeSdkExtensions(extensions) {
+  if (!extensions) {
+    return [];
+  }
+  const entries = Array.isArray(extensions)
+    ? extensions.map((extension) => [extension?.name, extension])
+    : Object.entries(extensions);
+  const labels = new Set();
+  const normalized = entries.map(([name, definition]) => {
+    const namespace = definition?.namespace ?? null;
+    if (typeof name !== 'string' || !SDK_EXTENSION_NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid SDK extension name "${name}"; use a JavaScript identifier.`);
+    }
+    if (namespace !== null && (typeof namespace !== 'string' || !SDK_EXTENSION_NAME_PATTERN.test(namespace))) {
+      throw new Error(`Invalid SDK namespace "${namespace}" for ${name}; use a JavaScript identifier.`);
+    }
+    const topLevelName = namespace ?? name;
+    if (BUILTIN_SDK_NAMES.has(topLevelName)) {
+      throw new Error(`SDK extension "${topLevelName}" would replace the built-in sdk.${topLevelName}.`);
+    }
+    const label = describeSdkExtension({ name, namespace });
+    if (labels.has(label)) {
+      throw new Error(`SDK extension "${label.slice('sdk.'.length)}" is defined twice.`);
+    }
+    const handler = typeof definition === 'function' ? definition : definition?.handler;
+    if (typeof handler !== 'function') {
+      throw new Error(`SDK extension "${label.slice('sdk.'.length)}" needs a handler function.`);
+    }
+    labels.add(label);
+    const description = typeof definition?.description === 'string' ? definition.description.trim() : '';
+    const args = normalizeSdkExtensionArgs(definition?.args, label);
+    const source = typeof definition?.source === 'string' ? definition.source : null;
+    return { name, namespace, handler, description, args, source };
+  });
+  normalized
+    .filter((extension) => extension.namespace && labels.has(`sdk.${extension.namespace}`))
+    .forEach((extension) => {
+      throw new Error(`SDK extension "${extension.namespace}" clashes with the plugin namespace sdk.${extension.namespace}.`);
+    });
+  return normalized;
+}
+
+function normalizeSdkExtensionArgs(args, label) {
+  if (args === undefined || args === null) {
+    return null;
+  }
+  if (!Array.isArray(args)) {
+    throw new Error(`${label} args must be an array of { name, type } entries.`);
+  }
+  let sawOptional = false;
+  return args.map((arg) => {
+    if (!arg || typeof arg.name !== 'string' || !SDK_EXTENSION_NAME_PATTERN.test(arg.name)) {
+      throw new Error(`${label} has an argument without a valid name.`);
+    }
+    const type = arg.type ?? 'any';
+    if (!SDK_ARG_TYPES.has(type)) {
+      throw new Error(`${label} argument "${arg.name}" has unknown type "${type}"; use ${[...SDK_ARG_TYPES].join(', ')}.`);
+    }
+    const optional = Boolean(arg.optional);
+    if (sawOptional && !optional) {
+      throw new Error(`${label} argument "${arg.name}" is required but follows an optional one.`);
+    }
+    sawOptional ||= optional;
+    const description = typeof arg.description === 'string' ? arg.description.trim() : '';
+    return { name: arg.name, type, optional, description };
+  });
+}
+
+function checkSdkExtensionArgs(extension, values, label) {
+  if (!extension.args) {
+    return;
+  }
+  if (values.length > extension.args.length) {
+    throw new Error(`${label} takes at most ${extension.args.length} argument(s) but got ${values.length}.`);
+  }
+  extension.args.forEach((arg, index) => {
+    const value = values[index];
+    if (value === undefined || value === null) {
+      if (!arg.optional) {
+        throw new Error(`${label} is missing the required argument "${arg.name}".`);
+      }
+      return;
+    }
+    const actual = Array.isArray(value) ? 'array' : typeof value;
+    if (arg.type !== 'any' && actual !== arg.type) {
+      throw new Error(`${label} argument "${arg.name}" must be ${arg.type === 'array' || arg.type === 'object' ? 'an' : 'a'} ${arg.type}, got ${actual}.`);
+    }
+  });
+}
+
+function describeSdkExtension(extension) {
+  return extension.namespace ? `sdk.${extension.namespace}.${extension.name}` : `sdk.${extension.name}`;
+}
+
+function defineAsyncFunction(vm, targetHandle, name, handler, trackPendingOperation = () => {}, options = {}) {
   const fnHandle = vm.newFunction(name, (...handles) => {
+    const callbackHandles = extractCallbackHandles(vm, handles, options.callbackOptions);
     const args = handlesToNativeValues(vm, handles);
+    const callbacks = Object.fromEntries(Object.entries(callbackHandles)
+      .map(([key, callbackHandle]) => [key, createHostCallback(vm, callbackHandle)]));
     const deferred = vm.newPromise();
     const settlement = deferred.settled.then(() => {
       try {
@@ -211,7 +866,7 @@ function defineAsyncFunction(vm, targetHandle, name, handler, trackPendingOperat
 
     (async () => {
       try {
-        const value = await handler(args);
+        const value = await handler(args, callbacks);
         const handle = convertToQuickjsHandle(vm, value);
         deferred.resolve(handle);
         disposeHandle(vm, handle);
@@ -219,6 +874,8 @@ function defineAsyncFunction(vm, targetHandle, name, handler, trackPendingOperat
         const quickjsError = buildQuickjsErrorHandle(vm, error);
         deferred.reject(quickjsError);
         quickjsError.dispose();
+      } finally {
+        Object.values(callbackHandles).forEach((callbackHandle) => callbackHandle.dispose());
       }
     })();
 
@@ -229,14 +886,160 @@ function defineAsyncFunction(vm, targetHandle, name, handler, trackPendingOperat
   fnHandle.dispose();
 }
 
+function extractCallbackHandles(vm, handles, callbackOptions = {}) {
+  const callbackHandles = {};
+  Object.entries(callbackOptions).forEach(([argIndex, keys]) => {
+    const argHandle = handles[Number(argIndex)];
+    if (!argHandle || vm.typeof(argHandle) !== 'object') {
+      return;
+    }
+    keys.forEach((key) => {
+      const propHandle = vm.getProp(argHandle, key);
+      if (vm.typeof(propHandle) === 'function') {
+        callbackHandles[key] = propHandle;
+      } else {
+        propHandle.dispose();
+      }
+    });
+  });
+  return callbackHandles;
+}
+
+function createHostCallback(vm, callbackHandle) {
+  return (...values) => {
+    if (!callbackHandle.alive) {
+      return undefined;
+    }
+    const argHandles = values.map((value) => convertToQuickjsHandle(vm, value));
+    const result = vm.callFunction(callbackHandle, vm.undefined, ...argHandles);
+    argHandles.forEach((handle) => disposeHandle(vm, handle));
+    const value = unwrapCallResult(vm, result);
+    vm.runtime.executePendingJobs();
+    return value;
+  };
+}
+
 function handlesToNativeValues(vm, handles) {
   return handles.map((handle) => {
-    const value = vm.dump(handle);
+    const value = readStringHandle(vm, handle) ?? readBinaryHandle(vm, handle) ?? vm.dump(handle);
     handle.dispose();
     return value;
   });
 }
 
+function readStringHandle(vm, handle) {
+  if (vm.typeof(handle) !== 'string') {
+    return null;
+  }
+  const value = vm.getString(handle);
+  const length = vm.getProp(handle, 'length').consume((lengthHandle) => vm.getNumber(lengthHandle));
+  if (value.length === length) {
+    return value;
+  }
+  return JSON.parse(callJsonMethod(vm, 'stringify', handle));
+}
+
+function newStringHandle(vm, value) {
+  if (!value.includes('\u0000')) {
+    return vm.newString(value);
+  }
+  const jsonHandle = vm.newString(JSON.stringify(value));
+  try {
+    return callJsonMethod(vm, 'parse', jsonHandle, { keepHandle: true });
+  } finally {
+    jsonHandle.dispose();
+  }
+}
+
+function callJsonMethod(vm, method, argHandle, options = {}) {
+  const jsonHandle = vm.getProp(vm.global, 'JSON');
+  const methodHandle = vm.getProp(jsonHandle, method);
+  try {
+    return unwrapCallResult(vm, vm.callFunction(methodHandle, jsonHandle, argHandle), options);
+  } finally {
+    methodHandle.dispose();
+    jsonHandle.dispose();
+  }
+}
+
+function readBinaryHandle(vm, handle) {
+  if (vm.typeof(handle) !== 'object') {
+    return null;
+  }
+  const tag = describeObjectTag(vm, handle);
+  if (tag === '[object ArrayBuffer]') {
+    return copyArrayBuffer(vm, handle, 0, null);
+  }
+  if (!BINARY_VIEW_TAGS.has(tag)) {
+    return null;
+  }
+  const bufferHandle = vm.getProp(handle, 'buffer');
+  try {
+    const byteOffset = vm.getProp(handle, 'byteOffset').consume((offsetHandle) => vm.getNumber(offsetHandle));
+    const byteLength = vm.getProp(handle, 'byteLength').consume((lengthHandle) => vm.getNumber(lengthHandle));
+    return copyArrayBuffer(vm, bufferHandle, byteOffset, byteLength);
+  } finally {
+    bufferHandle.dispose();
+  }
+}
+
+function describeObjectTag(vm, handle) {
+  const objectHandle = vm.getProp(vm.global, 'Object');
+  const prototypeHandle = vm.getProp(objectHandle, 'prototype');
+  const toStringHandle = vm.getProp(prototypeHandle, 'toString');
+  try {
+    return unwrapCallResult(vm, vm.callFunction(toStringHandle, handle));
+  } finally {
+    toStringHandle.dispose();
+    prototypeHandle.dispose();
+    objectHandle.dispose();
+  }
+}
+
+function copyArrayBuffer(vm, bufferHandle, byteOffset, byteLength) {
+  const lifetime = vm.getArrayBuffer(bufferHandle);
+  try {
+    const view = lifetime.value;
+    const end = byteLength === null ? view.length : byteOffset + byteLength;
+    return new Uint8Array(view.slice(byteOffset, end));
+  } finally {
+    lifetime.dispose();
+  }
+}
+
+function newUint8ArrayHandle(vm, bytes) {
+  const bufferHandle = vm.newArrayBuffer(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength));
+  const argsHandle = vm.newArray();
+  vm.setProp(argsHandle, 0, bufferHandle);
+  bufferHandle.dispose();
+  const reflectHandle = vm.getProp(vm.global, 'Reflect');
+  const constructHandle = vm.getProp(reflectHandle, 'construct');
+  const uint8ArrayHandle = vm.getProp(vm.global, 'Uint8Array');
+  try {
+    const result = vm.callFunction(constructHandle, reflectHandle, uint8ArrayHandle, argsHandle);
+    return unwrapCallResult(vm, result, { keepHandle: true });
+  } finally {
+    uint8ArrayHandle.dispose();
+    constructHandle.dispose();
+    reflectHandle.dispose();
+    argsHandle.dispose();
+  }
+}
+
+function unwrapCallResult(vm, result, options = {}) {
+  if (result.error) {
+    const errorInfo = convertQuickjsError(vm, result.error);
+    result.error.dispose();
+    throw new QuickJSExecutionError(errorInfo.message, errorInfo.stack);
+  }
+  if (options.keepHandle) {
+    return result.value;
+  }
+  const value = vm.dump(result.value);
+  result.value.dispose();
+  return value;
+}
+
 function convertToQuickjsHandle(vm, value) {
   if (value === undefined) {
     return vm.undefined;
@@ -245,7 +1048,7 @@ function convertToQuickjsHandle(vm, value) {
     return vm.null;
   }
   if (typeof value === 'string') {
-    return vm.newString(value);
+    return newStringHandle(vm, value);
   }
   if (typeof value === 'number') {
     return vm.newNumber(value);
@@ -253,6 +1056,12 @@ function convertToQuickjsHandle(vm, value) {
   if (typeof value === 'boolean') {
     return value ? vm.true : vm.false;
   }
+  if (value instanceof Uint8Array) {
+    return newUint8ArrayHandle(vm, value);
+  }
+  if (value instanceof ArrayBuffer) {
+    return vm.newArrayBuffer(value);
+  }
   if (Array.isArray(value)) {
     const arrayHandle = vm.newArray();
     value.forEach((item, index) => {
@@ -325,13 +1134,39 @@ class QuickJSExecutionError extends Error {
   }
 }
 
-function createDeadlineInfo(timeoutMs) {
-  if (!Number.isFinite(timeoutMs) || timeoutMs <= 0) {
+function createDeadlineInfo(timeoutMs, signal = null) {
+  const hasTimeout = Number.isFinite(timeoutMs) && timeoutMs > 0;
+  if (!hasTimeout && !signal) {
     return null;
   }
   return {
-    timeoutMs,
-    deadline: Date.now() + timeoutMs,
+    timeoutMs: hasTimeout ? timeoutMs : 0,
+    deadline: hasTimeout ? Date.now() + timeoutMs : Infinity,
+    pauses: 0,
+    remainingAtPause: 0,
+    signal,
+  };
+}
+
+function pauseDeadline(deadlineInfo) {
+  if (!deadlineInfo) {
+    return () => {};
+  }
+  if (deadlineInfo.pauses === 0) {
+    deadlineInfo.remainingAtPause = Math.max(0, deadlineInfo.deadline - Date.now());
+    deadlineInfo.deadline = Infinity;
+  }
+  deadlineInfo.pauses += 1;
+  let resumed = false;
+  return () => {
+    if (resumed) {
+      return;
+    }
+    resumed = true;
+    deadlineInfo.pauses -= 1;
+    if (deadlineInfo.pauses === 0) {
+      deadlineInfo.deadline = Date.now() + deadlineInfo.remainingAtPause;
+    }
   };
 }
 
@@ -339,6 +1174,13 @@ function withDeadline(promise, deadlineInfo, contextLabel, options = {}) {
   if (!deadlineInfo) {
     return promise;
   }
+  const { signal } = deadlineInfo;
+  if (signal?.aborted) {
+    if (options.abortController) {
+      options.abortController.abort();
+    }
+    return Promise.reject(createCancelledError(contextLabel));
+  }
   const remaining = deadlineInfo.deadline - Date.now();
   if (remaining <= 0) {
     if (options.abortController) {
@@ -349,18 +1191,41 @@ function withDeadline(promise, deadlineInfo, contextLabel, options = {}) {
 
   let timeoutId = null;
   const timeoutPromise = new Promise((_, reject) => {
-    timeoutId = setTimeout(() => {
+    const onTimer = () => {
+      const left = deadlineInfo.deadline - Date.now();
+      if (left > 0) {
+        timeoutId = setTimeout(onTimer, Number.isFinite(left) ? left : PAUSED_DEADLINE_POLL_MS);
+        return;
+      }
       if (options.abortController) {
         options.abortController.abort();
       }
       reject(createTimeoutError(contextLabel, deadlineInfo.timeoutMs));
-    }, Math.max(1, remaining));
+    };
+    timeoutId = setTimeout(onTimer, Number.isFinite(remaining) ? Math.max(1, remaining) : PAUSED_DEADLINE_POLL_MS);
   });
 
-  return Promise.race([promise, timeoutPromise]).finally(() => {
+  let onAbort = null;
+  const cancelPromise = new Promise((_, reject) => {
+    if (!signal) {
+      return;
+    }
+    onAbort = () => {
+      if (options.abortController) {
+        options.abortController.abort();
+      }
+      reject(createCancelledError(contextLabel));
+    };
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+
+  return Promise.race([promise, timeoutPromise, cancelPromise]).finally(() => {
     if (timeoutId) {
       clearTimeout(timeoutId);
     }
+    if (onAbort) {
+      signal.removeEventListener('abort', onAbort);
+    }
   });
 }
 
@@ -369,6 +1234,10 @@ function createTimeoutError(contextLabel, timeoutMs) {
   return new Error(`${contextLabel ?? 'Execution'} timed out${suffix}`);
 }
 
+function createCancelledError(contextLabel) {
+  return new Error(`${contextLabel ?? 'Execution'} was cancelled`);
+}
+
 async function waitForPendingOperations(pendingOperations) {
   if (!pendingOperations || pendingOperations.size === 0) {
     return;
@@ -393,7 +1262,25 @@ function stringify(value) {
   }
 }
 
+function createSessionWorkspace(options = {}) {
+  const workspace = options.workspace ?? parseWorkspaceSpec(DEFAULT_WORKSPACE);
+  return createWorkspaceSdk({
+    workspaceRoot: workspace.path,
+    workspaceAccess: workspace.access,
+    mounts: options.mounts ?? [],
+    symlinks: options.symlinks ?? DEFAULT_SYMLINK_POLICY,
+    withDeadline,
+    execMaxOutputChars: options.execMaxOutputChars ?? DEFAULT_EXEC_MAX_OUTPUT_CHARS,
+    policy: options.execPolicy === undefined ? loadExecPolicy(DEFAULT_POLICY_PATH) : options.execPolicy,
+  });
+}
+
 export {
+  createDeadlineInfo,
+  createPersistentSandbox,
+  createSessionWorkspace,
   executeCodeBlock,
+  normalizeSdkExtensions,
+  requestApproval,
   withDeadline,
 };
@@ -0,0 +1,287 @@
+import http from 'node:http';
+import { randomBytes, timingSafeEqual } from 'node:crypto';
+
+import { createAgent } from './index.js';
+
+const MAX_BODY_BYTES = 1024 * 1024;
+const EVENT_HISTORY_LIMIT = 1000;
+const HEARTBEAT_INTERVAL_MS = 15000;
+const SILENT_LOGGER = {
+  log() {},
+  warn() {},
+  error() {},
+};
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+function createAgentServer(options = {}) {
+  const { host = '127.0.0.1', port = 0, agentConfig = {}, logger = SILENT_LOGGER } = options;
+  const token = options.token ?? randomBytes(24).toString('base64url');
+  const sessions = new Map();
+  const server = http.createServer((req, res) => {
+    handleRequest(req, res).catch((error) => {
+      if (!(error instanceof HttpError)) {
+        logger.error(`${req.method} ${req.url} failed: ${error?.message ?? error}`);
+      }
+      if (res.headersSent) {
+        res.end();
+        return;
+      }
+      sendJson(res, error.status ?? 500, { error: error.status ? error.message : 'Internal server error.' });
+    });
+  });
+
+  async function handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    if (!isAuthorized(req, url, token)) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      throw new HttpError(401, 'Missing or invalid token.');
+    }
+    const [collection, sessionId, action, ...rest] = url.pathname.split('/').filter(Boolean);
+    if (collection !== 'sessions' || rest.length) {
+      throw new HttpError(404, `No route for ${req.method} ${url.pathname}.`);
+    }
+
+    if (!sessionId) {
+      if (req.method === 'GET') {
+        sendJson(res, 200, { sessions: [...sessions.values()].map(describeSession) });
+        return;
+      }
+      if (req.method === 'POST') {
+        const body = await readJsonBody(req);
+        if (body.text !== undefined) {
+          requireTurnText(body.text);
+        }
+        const record = createSessionRecord();
+        if (body.text !== undefined) {
+          startTurn(record, body.text);
+        }
+        logger.log(`session ${record.agent.id} created`);
+        sendJson(res, 201, describeSession(record));
+        return;
+      }
+      throw methodNotAllowed(req);
+    }
+
+    const record = sessions.get(sessionId);
+    if (!record) {
+      throw new HttpError(404, `Unknown session ${sessionId}.`);
+    }
+
+    switch (action ?? '') {
+      case '':
+        if (req.method === 'GET') {
+          sendJson(res, 200, { ...describeSession(record), messages: record.agent.messages });
+          return;
+        }
+        if (req.method === 'DELETE') {
+          await closeSession(record);
+          logger.log(`session ${sessionId} closed`);
+          sendJson(res, 200, { id: sessionId, closed: true });
+          return;
+        }
+        throw methodNotAllowed(req);
+      case 'messages': {
+        if (req.method !== 'POST') {
+          throw methodNotAllowed(req);
+        }
+        const body = await readJsonBody(req);
+        startTurn(record, body.text);
+        sendJson(res, 202, describeSession(record));
+        return;
+      }
+      case 'cancel':
+        if (req.method !== 'POST') {
+          throw methodNotAllowed(req);
+        }
+        sendJson(res, 200, { id: sessionId, cancelled: record.agent.cancel() });
+        return;
+      case 'events':
+        if (req.method !== 'GET') {
+          throw methodNotAllowed(req);
+        }
+        streamEvents(record, req, res, url);
+        return;
+      default:
+        throw new HttpError(404, `No route for ${req.method} ${url.pathname}.`);
+    }
+  }
+
+  function createSessionRecord() {
+    const record = {
+      agent: null,
+      title: '',
+      createdAt: new Date().toISOString(),
+      turns: 0,
+      lastResult: null,
+      history: [],
+      nextEventId: 1,
+      clients: new Set(),
+    };
+    record.agent = createAgent({
+      ...agentConfig,
+      onEvent: (event) => publishEvent(record, event),
+    });
+    sessions.set(record.agent.id, record);
+    return record;
+  }
+
+  function startTurn(record, text) {
+    requireTurnText(text);
+    if (record.agent.running) {
+      throw new HttpError(409, 'This session is already running a turn; wait for it to finish or cancel it.');
+    }
+    const run = record.agent.run(text);
+    record.turns += 1;
+    record.title ||= text.trim().split('\n')[0].slice(0, 80);
+    record.lastResult = null;
+    run.result.then(({ error, ...result }) => {
+      record.lastResult = error ? { ...result, error: error.message ?? String(error) } : result;
+      logger.log(`session ${record.agent.id} turn ${record.turns}: ${result.status}`);
+    });
+  }
+
+  function publishEvent(record, event) {
+    const entry = { id: record.nextEventId, event };
+    record.nextEventId += 1;
+    record.history.push(entry);
+    if (record.history.length > EVENT_HISTORY_LIMIT) {
+      record.history.shift();
+    }
+    record.clients.forEach((client) => writeEvent(client, entry));
+  }
+
+  function streamEvents(record, req, res, url) {
+    const lastEventId = Number(req.headers['last-event-id'] ?? url.searchParams.get('after') ?? 0);
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+    });
+    res.write(': connected\n\n');
+    record.history
+      .filter((entry) => entry.id > lastEventId)
+      .forEach((entry) => writeEvent(res, entry));
+    record.clients.add(res);
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+    heartbeat.unref();
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      record.clients.delete(res);
+    });
+  }
+
+  async function closeSession(record) {
+    sessions.delete(record.agent.id);
+    record.agent.cancel();
+    await record.agent.close();
+    record.clients.forEach((client) => client.end());
+    record.clients.clear();
+  }
+
+  return {
+    token,
+    sessions,
+    server,
+    listen() {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+          server.off('error', reject);
+          const address = server.address();
+          resolve({ host: address.address, port: address.port });
+        });
+      });
+    },
+    async close() {
+      const closing = new Promise((resolve) => server.close(() => resolve()));
+      await Promise.all([...sessions.values()].map(closeSession));
+      server.closeAllConnections();
+      await closing;
+    },
+  };
+}
+
+function describeSession(record) {
+  return {
+    id: record.agent.id,
+    title: record.title,
+    createdAt: record.createdAt,
+    status: record.agent.running ? 'running' : 'idle',
+    turns: record.turns,
+    lastResult: record.lastResult,
+    usage: record.agent.usage(),
+  };
+}
+
+function requireTurnText(text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new HttpError(400, 'Send a JSON body with a non-empty "text" field.');
+  }
+}
+
+function isAuthorized(req, url, token) {
+  const header = req.headers.authorization ?? '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  const supplied = match ? match[1].trim() : url.searchParams.get('token');
+  if (!supplied) {
+    return false;
+  }
+  const expected = Buffer.from(token);
+  const actual = Buffer.from(supplied);
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+async function readJsonBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw new HttpError(413, `Request bodies are limited to ${MAX_BODY_BYTES} bytes.`);
+    }
+    chunks.push(chunk);
+  }
+  const raw = Buffer.concat(chunks).toString('utf8').trim();
+  if (!raw) {
+    return {};
+  }
+  let body;
+  try {
+    body = JSON.parse(raw);
+  } catch (error) {
+    throw new HttpError(400, `Request body is not valid JSON: ${error.message}`);
+  }
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new HttpError(400, 'Request body must be a JSON object.');
+  }
+  return body;
+}
+
+function methodNotAllowed(req) {
+  return new HttpError(405, `${req.method} is not supported here.`);
+}
+
+function sendJson(res, status, payload) {
+  const body = JSON.stringify(payload);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(body),
+  });
+  res.end(body);
+}
+
+function writeEvent(res, entry) {
+  res.write(`id: ${entry.id}\ndata: ${JSON.stringify(entry.event)}\n\n`);
+}
+
+export {
+  HttpError,
+  createAgentServer,
+};
@@ -0,0 +1,105 @@
+import readline from 'node:readline/promises';
+import { stdin, stdout } from 'node:process';
+
+import { encodeContents } from '../workspace-sdk.js';
+import { renderDiff } from './diff.js';
+import { theme } from './theme.js';
+
+function createTerminalApprovalPrompt(getActiveReadline = () => null, getSignal = () => null) {
+  return async function promptForApproval(request) {
+    if (!stdin.isTTY) {
+      console.log(theme.warning(`approval> ${describeRequest(request)} denied (stdin is not a terminal).`));
+      return { action: 'deny', reason: 'approval required but no interactive terminal is attached' };
+    }
+
+    console.log();
+    console.log(`${theme.heading('approval>')} ${theme.strong(describeRequest(request))}`);
+    await printRequestDetails(request);
+
+    const active = getActiveReadline();
+    const rl = active && !active.closed
+      ? active
+      : readline.createInterface({ input: stdin, output: stdout, terminal: true });
+    const signal = getSignal() ?? undefined;
+    const ask = (query) => rl.question(query, { signal });
+    try {
+      while (true) {
+        const answer = (await ask(`${theme.prompt('[y]es / [n]o / [a]lways>')} `)).trim().toLowerCase();
+        if (answer === 'y' || answer === 'yes') {
+          return { action: 'approve' };
+        }
+        if (answer === 'a' || answer === 'always') {
+          const pattern = (await ask(`${theme.prompt(`pattern [${request.suggestedPattern}]>`)} `)).trim();
+          return { action: 'always', pattern: pattern || request.suggestedPattern };
+        }
+        if (answer === 'n' || answer === 'no') {
+          const reason = (await ask(`${theme.prompt('reason (optional)>')} `)).trim();
+          return { action: 'deny', reason: reason || undefined };
+        }
+      }
+    } finally {
+      if (rl !== active) {
+        rl.close();
+      }
+    }
+  };
+}
+
+function describeRequest(request) {
+  switch (request.operation) {
+    case 'writeFile':
+      return `write ${request.path}`;
+    case 'editFile':
+      return `edit ${request.path}`;
+    case 'deletePath':
+      return `delete ${request.path}${request.recursive ? ' (recursive)' : ''}`;
+    case 'mkdir':
+      return `create directory ${request.path}`;
+    case 'move':
+      return `move ${request.paths[0]} to ${request.paths[1]}`;
+    case 'copy':
+      return `copy ${request.paths[0]} to ${request.paths[1]}`;
+    case 'spawnBackground':
+      return `start background process in ${request.cwd ?? '.'}`;
+    case 'git':
+      return 'run git in the workspace';
+    default:
+      return `run command in ${request.cwd ?? '.'}`;
+  }
+}
+
+async function printRequestDetails(request) {
+  if (request.operation === 'exec' || request.operation === 'spawnBackground' || request.operation === 'git') {
+    console.log(`  ${theme.accent('$')} ${request.command}`);
+    return;
+  }
+  if (request.operation === 'writeFile') {
+    let encoded;
+    try {
+      encoded = encodeContents(request.contents, request.encoding);
+    } catch (error) {
+      console.log(theme.muted(`  (${error.message})`));
+      return;
+    }
+    const isBinary = request.contents instanceof Uint8Array || request.contents instanceof ArrayBuffer;
+    if (isBinary || request.encoding !== 'utf8') {
+      console.log(theme.muted(`  (binary contents, ${encoded.length} ${encoded.unit})`));
+      return;
+    }
+    await printContentsDiff(request, encoded.data.toString('utf8'));
+    return;
+  }
+  if (request.operation === 'editFile') {
+    await printContentsDiff(request, request.contents);
+  }
+}
+
+async function printContentsDiff(request, contents) {
+  const current = await request.loadCurrentContents();
+  if (current === null) {
+    console.log(theme.muted(`  (new file, ${contents.length} characters)`));
+  }
+  console.log(renderDiff(current ?? '', contents, { label: request.path }));
+}
+
+export { createTerminalApprovalPrompt };
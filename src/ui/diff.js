@@ -0,0 +1,151 @@
+import { theme } from './theme.js';
+
+const DIFF_CONTEXT_LINES = 3;
+const MAX_DIFF_CELLS = 4_000_000;
+const MAX_RENDERED_LINES = 200;
+
+function diffLines(oldText, newText) {
+  const oldLines = splitLines(oldText);
+  const newLines = splitLines(newText);
+
+  let prefix = 0;
+  while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) {
+    prefix += 1;
+  }
+  let suffix = 0;
+  while (
+    suffix < oldLines.length - prefix
+    && suffix < newLines.length - prefix
+    && oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]
+  ) {
+    suffix += 1;
+  }
+
+  const oldMiddle = oldLines.slice(prefix, oldLines.length - suffix);
+  const newMiddle = newLines.slice(prefix, newLines.length - suffix);
+  if (oldMiddle.length * newMiddle.length > MAX_DIFF_CELLS) {
+    return null;
+  }
+
+  const ops = [];
+  oldLines.slice(0, prefix).forEach((line, index) => {
+    ops.push({ type: 'equal', line, oldNumber: index + 1, newNumber: index + 1 });
+  });
+  diffMiddle(oldMiddle, newMiddle).forEach((op) => {
+    ops.push({
+      ...op,
+      oldNumber: op.oldIndex === undefined ? undefined : prefix + op.oldIndex + 1,
+      newNumber: op.newIndex === undefined ? undefined : prefix + op.newIndex + 1,
+    });
+  });
+  oldLines.slice(oldLines.length - suffix).forEach((line, index) => {
+    ops.push({
+      type: 'equal',
+      line,
+      oldNumber: oldLines.length - suffix + index + 1,
+      newNumber: newLines.length - suffix + index + 1,
+    });
+  });
+  return ops;
+}
+
+function diffMiddle(oldLines, newLines) {
+  const rows = oldLines.length + 1;
+  const cols = newLines.length + 1;
+  const lengths = new Uint32Array(rows * cols);
+  for (let i = oldLines.length - 1; i >= 0; i -= 1) {
+    for (let j = newLines.length - 1; j >= 0; j -= 1) {
+      lengths[i * cols + j] = oldLines[i] === newLines[j]
+        ? lengths[(i + 1) * cols + j + 1] + 1
+        : Math.max(lengths[(i + 1) * cols + j], lengths[i * cols + j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < oldLines.length && j < newLines.length) {
+    if (oldLines[i] === newLines[j]) {
+      ops.push({ type: 'equal', line: oldLines[i], oldIndex: i, newIndex: j });
+      i += 1;
+      j += 1;
+    } else if (lengths[(i + 1) * cols + j] >= lengths[i * cols + j + 1]) {
+      ops.push({ type: 'remove', line: oldLines[i], oldIndex: i });
+      i += 1;
+    } else {
+      ops.push({ type: 'add', line: newLines[j], newIndex: j });
+      j += 1;
+    }
+  }
+  while (i < oldLines.length) {
+    ops.push({ type: 'remove', line: oldLines[i], oldIndex: i });
+    i += 1;
+  }
+  while (j < newLines.length) {
+    ops.push({ type: 'add', line: newLines[j], newIndex: j });
+    j += 1;
+  }
+  return ops;
+}
+
+function renderDiff(oldText, newText, { label = 'file' } = {}) {
+  const ops = diffLines(oldText ?? '', newText ?? '');
+  if (!ops) {
+    return theme.muted(`(${label}: change too large to diff; ${splitLines(oldText).length} -> ${splitLines(newText).length} lines)`);
+  }
+  const changed = ops
+    .map((op, index) => (op.type === 'equal' ? -1 : index))
+    .filter((index) => index !== -1);
+  if (!changed.length) {
+    return theme.muted(`(${label}: no changes)`);
+  }
+
+  const visible = new Set();
+  changed.forEach((index) => {
+    for (let k = index - DIFF_CONTEXT_LINES; k <= index + DIFF_CONTEXT_LINES; k += 1) {
+      if (k >= 0 && k < ops.length) {
+        visible.add(k);
+      }
+    }
+  });
+
+  const lines = [theme.error(`--- a/${label}`), theme.success(`+++ b/${label}`)];
+  let previous = -1;
+  [...visible].sort((a, b) => a - b).forEach((index) => {
+    if (index !== previous + 1) {
+      const op = ops[index];
+      lines.push(theme.accent(`@@ -${op.oldNumber ?? '?'} +${op.newNumber ?? '?'} @@`));
+    }
+    previous = index;
+    const op = ops[index];
+    if (op.type === 'add') {
+      lines.push(theme.success(`+${op.line}`));
+    } else if (op.type === 'remove') {
+      lines.push(theme.error(`-${op.line}`));
+    } else {
+      lines.push(theme.muted(` ${op.line}`));
+    }
+  });
+
+  if (lines.length > MAX_RENDERED_LINES) {
+    const hidden = lines.length - MAX_RENDERED_LINES;
+    return [...lines.slice(0, MAX_RENDERED_LINES), theme.muted(`... ${hidden} more diff lines`)].join('\n');
+  }
+  return lines.join('\n');
+}
+
+function splitLines(text) {
+  if (!text) {
+    return [];
+  }
+  const lines = String(text).replace(/\r\n/g, '\n').split('\n');
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+  return lines;
+}
+
+export {
+  diffLines,
+  renderDiff,
+};
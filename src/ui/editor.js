@@ -0,0 +1,143 @@
+import { spawn } from 'node:child_process';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+const EDITOR_SEPARATOR_LINE = '--- assistant context (read-only) ---';
+const EDITOR_USER_BUFFER_LINES = 6;
+
+function resolveEditorCommand() {
+  const editor = process.env.VISUAL?.trim()
+    || process.env.EDITOR?.trim()
+    || 'nano';
+  return editor;
+}
+
+async function captureInputViaEditor({ assistantMessage = '', editorCommand }) {
+  const tokens = splitEditorCommand(editorCommand);
+  if (!tokens.length) {
+    throw new Error('No editor command configured. Set $VISUAL or $EDITOR.');
+  }
+
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'code-loop-input-'));
+  const tempFile = path.join(tempDir, 'message.txt');
+  await fs.writeFile(tempFile, buildEditorTemplate(assistantMessage), 'utf8');
+
+  try {
+    await launchEditorProcess(tokens, tempFile);
+    const finalText = await fs.readFile(tempFile, 'utf8');
+    return extractEditorUserInput(finalText);
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+function buildEditorTemplate(assistantMessage) {
+  const normalizedAssistant = assistantMessage.replace(/\r\n/g, '\n');
+  const lines = Array.from({ length: EDITOR_USER_BUFFER_LINES }, () => '');
+  lines.push(EDITOR_SEPARATOR_LINE);
+  if (normalizedAssistant) {
+    lines.push('# Last assistant message (read-only)');
+    normalizedAssistant.split('\n').forEach((line) => {
+      lines.push(`# ${line}`);
+    });
+  } else {
+    lines.push('# No assistant message yet.');
+  }
+  lines.push('');
+  return `${lines.join('\n')}\n`;
+}
+
+function extractEditorUserInput(rawText) {
+  const normalized = rawText.replace(/\r\n/g, '\n');
+  const lines = normalized.split('\n');
+  const separatorIndex = lines.findIndex((line) => line.trim() === EDITOR_SEPARATOR_LINE);
+  const contentLines = separatorIndex >= 0
+    ? lines.slice(0, separatorIndex)
+    : lines;
+  return contentLines.join('\n').trim();
+}
+
+function splitEditorCommand(command) {
+  const trimmed = command?.trim();
+  if (!trimmed) {
+    return [];
+  }
+
+  const tokens = [];
+  let current = '';
+  let quote = null;
+
+  for (let i = 0; i < trimmed.length; i += 1) {
+    const char = trimmed[i];
+    if (quote) {
+      if (char === '\\' && i + 1 < trimmed.length) {
+        current += trimmed[i + 1];
+        i += 1;
+        continue;
+      }
+      if (char === quote) {
+        quote = null;
+        continue;
+      }
+      current += char;
+      continue;
+    }
+
+    if (char === '"' || char === '\'') {
+      quote = char;
+      continue;
+    }
+
+    if (/\s/.test(char)) {
+      if (current) {
+        tokens.push(current);
+        current = '';
+      }
+      continue;
+    }
+
+    if (char === '\\' && i + 1 < trimmed.length) {
+      current += trimmed[i + 1];
+      i += 1;
+      continue;
+    }
+
+    current += char;
+  }
+
+  if (current) {
+    tokens.push(current);
+  }
+
+  return tokens;
+}
+
+function launchEditorProcess(tokens, filePath) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(tokens[0], [...tokens.slice(1), filePath], {
+      stdio: 'inherit',
+    });
+    child.on('error', reject);
+    child.on('exit', (code, signal) => {
+      if (code === 0) {
+        resolve();
+        return;
+      }
+      if (signal) {
+        reject(new Error(`Editor terminated with signal ${signal}`));
+        return;
+      }
+      reject(new Error(`Editor exited with code ${code}`));
+    });
+  });
+}
+
+export {
+  EDITOR_SEPARATOR_LINE,
+  buildEditorTemplate,
+  captureInputViaEditor,
+  extractEditorUserInput,
+  resolveEditorCommand,
+  splitEditorCommand,
+};
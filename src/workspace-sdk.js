@@ -2,8 +2,45 @@ import fs from 'node:fs/promises';
 import path from 'node:path';
 import { spawn } from 'node:child_process';
 
+import { createBackgroundProcessManager } from './background-processes.js';
+import { applyEdits } from './file-edits.js';
+import { CHECKPOINT_IDENTITY, createGitClient } from './git.js';
+import { globToRegExp, isIgnored, parseGitignore } from './patterns.js';
+
+const DEFAULT_EXEC_MAX_OUTPUT_CHARS = 30000;
+const DEFAULT_GLOB_MAX_RESULTS = 1000;
+const DEFAULT_GREP_MAX_RESULTS = 200;
+const DEFAULT_GREP_MAX_FILE_BYTES = 2 * 1024 * 1024;
+const MAX_GREP_CONTEXT_LINES = 10;
+const MAX_GREP_LINE_CHARS = 500;
+const BINARY_SNIFF_BYTES = 8000;
+const ALWAYS_SKIPPED_DIRECTORIES = new Set(['.git']);
+const GIT_METHODS = [
+  'init',
+  'status',
+  'diff',
+  'log',
+  'add',
+  'commit',
+  'branches',
+  'createBranch',
+  'switchBranch',
+  'stash',
+  'stashPop',
+  'stashList',
+  'show',
+];
+const ROOT_ACCESS_MODES = ['rw', 'ro'];
+const PROJECT_ROOT_NAME = 'project';
+const ROOT_NAME_PATTERN = /^[A-Za-z][\w-]*$/;
+const SYMLINK_POLICIES = ['within', 'deny', 'follow'];
+const MAX_SYMLINK_HOPS = 40;
+
 function createWorkspaceSdk(options = {}) {
   const { workspaceRoot, withDeadline } = options;
+  const execMaxOutputChars = Number.isFinite(options.execMaxOutputChars) && options.execMaxOutputChars > 0
+    ? Math.floor(options.execMaxOutputChars)
+    : DEFAULT_EXEC_MAX_OUTPUT_CHARS;
 
   if (typeof workspaceRoot !== 'string' || !workspaceRoot.trim()) {
     throw new Error('createWorkspaceSdk requires a workspaceRoot string.');
@@ -13,18 +50,69 @@ function createWorkspaceSdk(options = {}) {
   }
 
   const normalizedRoot = path.resolve(workspaceRoot);
+  const policy = options.policy ?? null;
+  const backgroundProcesses = createBackgroundProcessManager();
+  const roots = buildRoots(normalizedRoot, options.workspaceAccess, options.mounts);
+  const rootsByName = new Map(roots.map((root) => [root.name, root]));
+  const symlinkPolicy = normalizeSymlinkPolicy(options.symlinks);
   let workspaceReady = false;
 
-  function resolveWithinWorkspace(relativePath) {
+  function resolveLocation(relativePath) {
     const normalizedInput = typeof relativePath === 'string' && relativePath.length
       ? relativePath
       : '.';
-    const absolutePath = path.resolve(normalizedRoot, normalizedInput);
-    const relative = path.relative(normalizedRoot, absolutePath);
-    if (relative.startsWith('..') || path.isAbsolute(relative)) {
-      throw new Error('Access outside the workspace directory is prohibited.');
+    const prefix = normalizedInput.match(/^([A-Za-z][\w-]*):(.*)$/s);
+    const root = prefix && rootsByName.has(prefix[1]) ? rootsByName.get(prefix[1]) : roots[0];
+    const rootInput = root === roots[0] && !(prefix && prefix[1] === PROJECT_ROOT_NAME) ? normalizedInput : prefix[2] || '.';
+    const absolute = path.resolve(root.path, rootInput);
+    const relative = path.relative(root.path, absolute);
+    if (!isContained(relative)) {
+      throw new Error(root === roots[0]
+        ? 'Access outside the workspace directory is prohibited.'
+        : `Access outside the ${root.name} root is prohibited.`);
     }
-    return absolutePath;
+    const posixRelative = relative.split(path.sep).join('/');
+    return {
+      root,
+      absolute,
+      relative: posixRelative,
+      display: root === roots[0] ? posixRelative || '.' : `${root.name}:${posixRelative}`,
+    };
+  }
+
+  function resolveWritable(relativePath, fnName) {
+    const location = resolveLocation(relativePath);
+    if (location.root.access !== 'rw') {
+      throw new Error(`${fnName}: ${location.display} is on the read-only ${location.root.name} root.`);
+    }
+    return location;
+  }
+
+  async function resolveSafeLocation(relativePath, fnName, safeOptions = {}) {
+    const location = safeOptions.writable ? resolveWritable(relativePath, fnName) : resolveLocation(relativePath);
+    const rootReal = await resolveRealPath(location.root.path);
+    const probe = safeOptions.followLeaf === false && location.absolute !== location.root.path
+      ? path.dirname(location.absolute)
+      : location.absolute;
+    const realProbe = await resolveRealPath(probe);
+    const real = probe === location.absolute ? realProbe : path.join(realProbe, path.basename(location.absolute));
+    if (symlinkPolicy === 'follow') {
+      return { ...location, real, rootReal };
+    }
+    if (!isContained(path.relative(rootReal, realProbe))) {
+      const rootLabel = location.root === roots[0] ? 'workspace directory' : `${location.root.name} root`;
+      throw new Error(`${fnName}: ${location.display} resolves to ${realProbe} through a symlink, outside the ${rootLabel}.`);
+    }
+    if (symlinkPolicy === 'deny' && realProbe !== path.join(rootReal, path.relative(location.root.path, probe))) {
+      throw new Error(`${fnName}: ${location.display} goes through a symlink, which the "deny" symlink policy does not allow.`);
+    }
+    return { ...location, real, rootReal };
+  }
+
+  async function describeRealPath(relativePath, fnName) {
+    const location = await resolveSafeLocation(relativePath, fnName);
+    const relative = path.relative(location.rootReal, location.real).split(path.sep).join('/');
+    return location.root === roots[0] ? relative || '.' : `${location.root.name}:${relative}`;
   }
 
   async function ensureWorkspaceRootExists(deadlineInfo) {
@@ -50,32 +138,68 @@ function createWorkspaceSdk(options = {}) {
     return trimmed.length ? trimmed : '.';
   }
 
-  function summarizeWrite(relativePath, contents) {
-    const text = typeof contents === 'string' ? contents : stringify(contents);
-    return { text, length: text.length, relativePath };
-  }
-
-  async function readFile(relativePath, deadlineInfo) {
+  async function readFile(relativePath, options = {}, deadlineInfo) {
     const pathArg = requirePathArgument(relativePath, 'readFile');
-    const absolute = resolveWithinWorkspace(pathArg);
+    const readOptions = requireOptionsObject(options, 'readFile');
+    const encoding = normalizeEncoding(readOptions.encoding, 'readFile');
     await ensureWorkspaceRootExists(deadlineInfo);
-    return withDeadline(fs.readFile(absolute, 'utf8'), deadlineInfo, 'readFile');
+    const { absolute } = await resolveSafeLocation(pathArg, 'readFile');
+    if (readOptions.offset === undefined && readOptions.length === undefined) {
+      const buffer = await withDeadline(fs.readFile(absolute), deadlineInfo, 'readFile');
+      return decodeBuffer(buffer, encoding);
+    }
+
+    const offset = readPositiveInteger(readOptions.offset, 0, 'readFile offset', true);
+    const length = readOptions.length === undefined
+      ? null
+      : readPositiveInteger(readOptions.length, 0, 'readFile length', true);
+    const buffer = await withDeadline(readByteRange(absolute, offset, length), deadlineInfo, 'readFile');
+    return decodeBuffer(buffer, encoding);
   }
 
-  async function writeFile(relativePath, contents, deadlineInfo) {
+  async function writeFile(relativePath, contents, options = {}, deadlineInfo) {
     const pathArg = requirePathArgument(relativePath, 'writeFile');
-    const absolute = resolveWithinWorkspace(pathArg);
+    const writeOptions = requireOptionsObject(options, 'writeFile');
     await ensureWorkspaceRootExists(deadlineInfo);
-    const payload = summarizeWrite(pathArg, contents);
+    const { absolute } = await resolveSafeLocation(pathArg, 'writeFile', { writable: true });
+    const payload = encodeContents(contents, normalizeEncoding(writeOptions.encoding, 'writeFile'));
     await withDeadline(fs.mkdir(path.dirname(absolute), { recursive: true }), deadlineInfo, 'writeFile');
-    await withDeadline(fs.writeFile(absolute, payload.text, 'utf8'), deadlineInfo, 'writeFile');
-    return `Wrote ${payload.length} characters to ${pathArg}`;
+    await withDeadline(fs.writeFile(absolute, payload.data), deadlineInfo, 'writeFile');
+    return `Wrote ${payload.length} ${payload.unit} to ${pathArg}`;
+  }
+
+  async function editFile(relativePath, edits, options = {}, deadlineInfo, hooks = {}) {
+    const pathArg = requirePathArgument(relativePath, 'editFile');
+    const editOptions = requireOptionsObject(options, 'editFile');
+    await ensureWorkspaceRootExists(deadlineInfo);
+    const { absolute, root } = await resolveSafeLocation(pathArg, 'editFile');
+    const original = await withDeadline(fs.readFile(absolute, 'utf8'), deadlineInfo, 'editFile');
+    const outcome = applyEdits(original, edits);
+    const result = {
+      path: pathArg,
+      success: outcome.failures.length === 0,
+      written: false,
+      applied: outcome.applied,
+      failures: outcome.failures,
+    };
+    if (!result.success || editOptions.dryRun || outcome.text === original) {
+      return result;
+    }
+    if (root.access !== 'rw') {
+      throw new Error(`editFile: ${pathArg} is on the read-only ${root.name} root.`);
+    }
+    if (typeof hooks.beforeWrite === 'function') {
+      await hooks.beforeWrite(original, outcome.text);
+    }
+    await withDeadline(fs.writeFile(absolute, outcome.text, 'utf8'), deadlineInfo, 'editFile');
+    result.written = true;
+    return result;
   }
 
   async function listFiles(relativePath, deadlineInfo) {
     const pathArg = normalizeOptionalPath(relativePath);
-    const absolute = resolveWithinWorkspace(pathArg);
     await ensureWorkspaceRootExists(deadlineInfo);
+    const { absolute } = await resolveSafeLocation(pathArg, 'listFiles');
     const entries = await withDeadline(fs.readdir(absolute, { withFileTypes: true }), deadlineInfo, 'listFiles');
     return entries.map((entry) => ({
       name: entry.name,
@@ -83,52 +207,559 @@ function createWorkspaceSdk(options = {}) {
     }));
   }
 
-  async function deletePath(relativePath, deadlineInfo) {
+  async function deletePath(relativePath, options = {}, deadlineInfo) {
     const pathArg = requirePathArgument(relativePath, 'deletePath');
-    const absolute = resolveWithinWorkspace(pathArg);
-    if (absolute === normalizedRoot) {
+    const deleteOptions = requireOptionsObject(options, 'deletePath');
+    const { absolute, root } = resolveWritable(pathArg, 'deletePath');
+    if (absolute === root.path) {
       throw new Error('deletePath cannot remove the workspace root directory.');
     }
     await ensureWorkspaceRootExists(deadlineInfo);
-    let stats;
+    await resolveSafeLocation(pathArg, 'deletePath', { followLeaf: false });
+    const stats = await lstatOrNull(absolute, deadlineInfo, 'deletePath');
+    if (!stats) {
+      return false;
+    }
+
+    if (stats.isDirectory()) {
+      if (deleteOptions.recursive) {
+        await withDeadline(fs.rm(absolute, { recursive: true, force: true }), deadlineInfo, 'deletePath');
+        return true;
+      }
+      try {
+        await withDeadline(fs.rmdir(absolute), deadlineInfo, 'deletePath');
+      } catch (error) {
+        if (error && (error.code === 'ENOTEMPTY' || error.code === 'EEXIST')) {
+          throw new Error(`deletePath: directory ${pathArg} is not empty. Pass { recursive: true } to delete it with its contents.`);
+        }
+        throw error;
+      }
+    } else {
+      await withDeadline(fs.unlink(absolute), deadlineInfo, 'deletePath');
+    }
+    return true;
+  }
+
+  async function stat(relativePath, deadlineInfo) {
+    const pathArg = requirePathArgument(relativePath, 'stat');
+    await ensureWorkspaceRootExists(deadlineInfo);
+    const { absolute } = await resolveSafeLocation(pathArg, 'stat', { followLeaf: false });
+    const stats = await withDeadline(fs.lstat(absolute), deadlineInfo, 'stat');
+    return {
+      path: pathArg,
+      kind: describeKind(stats),
+      size: stats.size,
+      mtime: stats.mtime.toISOString(),
+      mode: (stats.mode & 0o777).toString(8).padStart(3, '0'),
+    };
+  }
+
+  async function exists(relativePath, deadlineInfo) {
+    const pathArg = requirePathArgument(relativePath, 'exists');
+    await ensureWorkspaceRootExists(deadlineInfo);
+    const { absolute } = await resolveSafeLocation(pathArg, 'exists', { followLeaf: false });
+    return Boolean(await lstatOrNull(absolute, deadlineInfo, 'exists'));
+  }
+
+  async function mkdir(relativePath, options = {}, deadlineInfo) {
+    const pathArg = requirePathArgument(relativePath, 'mkdir');
+    const mkdirOptions = requireOptionsObject(options, 'mkdir');
+    await ensureWorkspaceRootExists(deadlineInfo);
+    const { absolute } = await resolveSafeLocation(pathArg, 'mkdir', { writable: true });
+    const existing = await lstatOrNull(absolute, deadlineInfo, 'mkdir');
+    if (existing) {
+      if (!existing.isDirectory()) {
+        throw new Error(`mkdir: ${pathArg} already exists and is not a directory.`);
+      }
+      return false;
+    }
+    const recursive = mkdirOptions.recursive !== false;
+    await withDeadline(fs.mkdir(absolute, { recursive }), deadlineInfo, 'mkdir');
+    return true;
+  }
+
+  async function move(fromPath, toPath, options = {}, deadlineInfo) {
+    const { sourceArg, targetArg, source, target, overwrite } = await prepareTransfer('move', fromPath, toPath, options, deadlineInfo);
     try {
-      stats = await withDeadline(fs.lstat(absolute), deadlineInfo, 'deletePath');
+      await withDeadline(fs.rename(source, target), deadlineInfo, 'move');
     } catch (error) {
-      if (error && error.code === 'ENOENT') {
+      if (!error || error.code !== 'EXDEV') {
+        throw error;
+      }
+      await withDeadline(fs.cp(source, target, { recursive: true, force: overwrite, errorOnExist: !overwrite }), deadlineInfo, 'move');
+      await withDeadline(fs.rm(source, { recursive: true, force: true }), deadlineInfo, 'move');
+    }
+    return `Moved ${sourceArg} to ${targetArg}`;
+  }
+
+  async function copy(fromPath, toPath, options = {}, deadlineInfo) {
+    const { sourceArg, targetArg, source, target, overwrite } = await prepareTransfer('copy', fromPath, toPath, options, deadlineInfo);
+    await withDeadline(fs.cp(source, target, {
+      recursive: true,
+      force: overwrite,
+      errorOnExist: !overwrite,
+      verbatimSymlinks: true,
+    }), deadlineInfo, 'copy');
+    return `Copied ${sourceArg} to ${targetArg}`;
+  }
+
+  async function prepareTransfer(fnName, fromPath, toPath, options, deadlineInfo) {
+    const sourceArg = requirePathArgument(fromPath, `${fnName} source`);
+    const targetArg = requirePathArgument(toPath, `${fnName} destination`);
+    const transferOptions = requireOptionsObject(options, fnName);
+    await ensureWorkspaceRootExists(deadlineInfo);
+    const sourceLocation = await resolveSafeLocation(sourceArg, fnName, { writable: fnName === 'move', followLeaf: false });
+    const targetLocation = await resolveSafeLocation(targetArg, fnName, { writable: true });
+    const source = sourceLocation.absolute;
+    const target = targetLocation.absolute;
+    if (source === sourceLocation.root.path || target === targetLocation.root.path) {
+      throw new Error(`${fnName} cannot operate on the workspace root directory.`);
+    }
+    if (source === target) {
+      throw new Error(`${fnName}: source and destination are the same path (${sourceArg}).`);
+    }
+    if (isContained(path.relative(source, target))) {
+      throw new Error(`${fnName}: cannot place ${sourceArg} inside itself (${targetArg}).`);
+    }
+
+    const sourceStats = await lstatOrNull(source, deadlineInfo, fnName);
+    if (!sourceStats) {
+      throw new Error(`${fnName}: source ${sourceArg} does not exist.`);
+    }
+    const overwrite = Boolean(transferOptions.overwrite);
+    const targetStats = await lstatOrNull(target, deadlineInfo, fnName);
+    if (targetStats) {
+      if (!overwrite) {
+        throw new Error(`${fnName}: destination ${targetArg} already exists. Pass { overwrite: true } to replace it.`);
+      }
+      if (targetStats.isDirectory() !== sourceStats.isDirectory()) {
+        throw new Error(`${fnName}: cannot replace ${describeKind(targetStats)} ${targetArg} with ${describeKind(sourceStats)} ${sourceArg}.`);
+      }
+      if (fnName === 'move' && targetStats.isDirectory()) {
+        await withDeadline(fs.rm(target, { recursive: true, force: true }), deadlineInfo, fnName);
+      }
+    }
+    await withDeadline(fs.mkdir(path.dirname(target), { recursive: true }), deadlineInfo, fnName);
+    return { sourceArg, targetArg, source, target, overwrite };
+  }
+
+  async function glob(patterns, options = {}, deadlineInfo) {
+    const globOptions = requireOptionsObject(options, 'glob');
+    const matchers = compileGlobs(patterns, 'glob', globOptions.dot);
+    const maxResults = readPositiveInteger(globOptions.maxResults, DEFAULT_GLOB_MAX_RESULTS, 'glob maxResults');
+    await ensureWorkspaceRootExists(deadlineInfo);
+    const start = await resolveSafeLocation(normalizeOptionalPath(globOptions.cwd), 'glob');
+
+    const files = [];
+    let truncated = false;
+    await withDeadline(walkWorkspace(start, globOptions, async (entry) => {
+      if (entry.isDirectory && !globOptions.includeDirectories) {
+        return true;
+      }
+      if (!matchers.some((regex) => regex.test(entry.pathFromStart))) {
+        return true;
+      }
+      if (files.length >= maxResults) {
+        truncated = true;
         return false;
       }
+      const stats = await fs.lstat(entry.absolutePath);
+      files.push({
+        path: entry.path,
+        kind: describeKind(stats),
+        size: stats.size,
+        mtime: stats.mtime.toISOString(),
+      });
+      return true;
+    }, deadlineInfo), deadlineInfo, 'glob');
+    files.sort((a, b) => (a.path < b.path ? -1 : 1));
+    return { files, truncated };
+  }
+
+  async function grep(pattern, options = {}, deadlineInfo) {
+    const grepOptions = requireOptionsObject(options, 'grep');
+    if (typeof pattern !== 'string' || !pattern) {
+      throw new Error('grep requires a non-empty regular expression string.');
+    }
+    let regex;
+    try {
+      regex = new RegExp(pattern, grepOptions.ignoreCase ? 'i' : '');
+    } catch (error) {
+      throw new Error(`grep: invalid regular expression: ${error.message}`);
+    }
+    const matchers = grepOptions.glob === undefined ? null : compileGlobs(grepOptions.glob, 'grep glob', grepOptions.dot);
+    const maxResults = readPositiveInteger(grepOptions.maxResults, DEFAULT_GREP_MAX_RESULTS, 'grep maxResults');
+    const maxFileBytes = readPositiveInteger(grepOptions.maxFileBytes, DEFAULT_GREP_MAX_FILE_BYTES, 'grep maxFileBytes');
+    const contextLines = Math.min(
+      MAX_GREP_CONTEXT_LINES,
+      grepOptions.context === undefined ? 0 : readPositiveInteger(grepOptions.context, 0, 'grep context', true),
+    );
+    await ensureWorkspaceRootExists(deadlineInfo);
+    const start = await resolveSafeLocation(normalizeOptionalPath(grepOptions.cwd), 'grep');
+
+    const matches = [];
+    let filesSearched = 0;
+    let skippedFiles = 0;
+    let truncated = false;
+    await withDeadline(walkWorkspace(start, grepOptions, async (entry) => {
+      if (entry.isDirectory || (matchers && !matchers.some((item) => item.test(entry.pathFromStart)))) {
+        return true;
+      }
+      const stats = await fs.lstat(entry.absolutePath);
+      if (!stats.isFile() || stats.size > maxFileBytes) {
+        skippedFiles += 1;
+        return true;
+      }
+      const buffer = await fs.readFile(entry.absolutePath);
+      if (buffer.subarray(0, BINARY_SNIFF_BYTES).includes(0)) {
+        skippedFiles += 1;
+        return true;
+      }
+      filesSearched += 1;
+      const lines = buffer.toString('utf8').split(/\r?\n/);
+      if (lines[lines.length - 1] === '') {
+        lines.pop();
+      }
+      for (let index = 0; index < lines.length; index += 1) {
+        if (!regex.test(lines[index])) {
+          continue;
+        }
+        if (matches.length >= maxResults) {
+          truncated = true;
+          return false;
+        }
+        const match = { path: entry.path, line: index + 1, text: clipLine(lines[index]) };
+        if (contextLines) {
+          match.before = lines.slice(Math.max(0, index - contextLines), index).map(clipLine);
+          match.after = lines.slice(index + 1, index + 1 + contextLines).map(clipLine);
+        }
+        matches.push(match);
+      }
+      return true;
+    }, deadlineInfo), deadlineInfo, 'grep');
+    return { matches, truncated, filesSearched, skippedFiles };
+  }
+
+  async function walkWorkspace(start, walkOptions, visit, deadlineInfo) {
+    const includeIgnored = Boolean(walkOptions.includeIgnored);
+    const startRelative = start.relative;
+    const displayPrefix = start.root === roots[0] ? '' : `${start.root.name}:`;
+    const rootRules = includeIgnored ? [] : await loadAncestorIgnoreRules(start.root.path, startRelative);
+    const stack = [{ absolute: start.absolute, relative: startRelative, rules: rootRules }];
+
+    while (stack.length) {
+      if (deadlinePassed(deadlineInfo)) {
+        return;
+      }
+      const directory = stack.pop();
+      let entries;
+      try {
+        entries = await fs.readdir(directory.absolute, { withFileTypes: true });
+      } catch (error) {
+        if (error && (error.code === 'ENOENT' || error.code === 'EACCES' || error.code === 'ENOTDIR')) {
+          continue;
+        }
+        throw error;
+      }
+      entries.sort((a, b) => a.name.localeCompare(b.name));
+
+      let rules = directory.rules;
+      if (!includeIgnored && entries.some((entry) => entry.name === '.gitignore' && entry.isFile())) {
+        const text = await fs.readFile(path.join(directory.absolute, '.gitignore'), 'utf8');
+        rules = [...rules, ...parseGitignore(text, directory.relative)];
+      }
+
+      const subdirectories = [];
+      for (const entry of entries) {
+        const isDirectory = entry.isDirectory();
+        if (isDirectory && ALWAYS_SKIPPED_DIRECTORIES.has(entry.name)) {
+          continue;
+        }
+        const relative = directory.relative ? `${directory.relative}/${entry.name}` : entry.name;
+        if (!includeIgnored && isIgnored(rules, relative, isDirectory)) {
+          continue;
+        }
+        if (deadlinePassed(deadlineInfo)) {
+          return;
+        }
+        const keepGoing = await visit({
+          path: `${displayPrefix}${relative}`,
+          pathFromStart: startRelative ? relative.slice(startRelative.length + 1) : relative,
+          absolutePath: path.join(directory.absolute, entry.name),
+          isDirectory,
+        });
+        if (keepGoing === false) {
+          return;
+        }
+        if (isDirectory) {
+          subdirectories.push({ absolute: path.join(directory.absolute, entry.name), relative, rules });
+        }
+      }
+      stack.push(...subdirectories.reverse());
+    }
+  }
+
+  async function loadAncestorIgnoreRules(rootPath, startRelative) {
+    const segments = startRelative ? startRelative.split('/') : [];
+    const rules = [];
+    for (let depth = 0; depth < segments.length; depth += 1) {
+      const relative = segments.slice(0, depth).join('/');
+      try {
+        const text = await fs.readFile(path.join(rootPath, relative, '.gitignore'), 'utf8');
+        rules.push(...parseGitignore(text, relative));
+      } catch (error) {
+        if (!error || (error.code !== 'ENOENT' && error.code !== 'ENOTDIR')) {
+          throw error;
+        }
+      }
+    }
+    return rules;
+  }
+
+  async function lstatOrNull(absolutePath, deadlineInfo, contextLabel) {
+    try {
+      return await withDeadline(fs.lstat(absolutePath), deadlineInfo, contextLabel);
+    } catch (error) {
+      if (error && (error.code === 'ENOENT' || error.code === 'ENOTDIR')) {
+        return null;
+      }
       throw error;
     }
+  }
 
-    if (stats.isDirectory()) {
-      await withDeadline(fs.rmdir(absolute), deadlineInfo, 'deletePath');
-    } else {
-      await withDeadline(fs.unlink(absolute), deadlineInfo, 'deletePath');
+  function assertCommandAllowed(command, options = {}, fnName = 'exec') {
+    const commandText = requireCommandString(command, fnName);
+    const execOptions = normalizeExecOptions(options, execMaxOutputChars);
+    const cwdLocation = resolveLocation(execOptions.cwd);
+    if (cwdLocation.root.access !== 'rw') {
+      throw new Error(`${fnName}: commands cannot run in ${cwdLocation.display} because the ${cwdLocation.root.name} root is read-only.`);
     }
-    return true;
+    if (policy) {
+      policy.assertCommandAllowed(commandText, cwdLocation.display, fnName);
+    }
+    return { commandText, execOptions, cwd: execOptions.cwd, absoluteCwd: cwdLocation.absolute };
   }
 
-  async function exec(command, options = {}, deadlineInfo) {
-    const commandText = requireCommandString(command);
-    const execOptions = normalizeExecOptions(options);
-    const absoluteCwd = resolveWithinWorkspace(execOptions.cwd);
+  async function exec(command, options = {}, deadlineInfo, hooks = {}) {
+    const { commandText, execOptions, cwd, absoluteCwd } = assertCommandAllowed(command, options, 'exec');
     await ensureWorkspaceRootExists(deadlineInfo);
+    await resolveSafeLocation(cwd, 'exec');
 
     const abortController = new AbortController();
-    const commandPromise = runShellCommand(commandText, absoluteCwd, execOptions.timeoutMs, abortController.signal);
+    const commandPromise = runShellCommand(commandText, absoluteCwd, {
+      timeoutMs: execOptions.timeoutMs,
+      maxOutputChars: execOptions.maxOutputChars,
+      env: policy ? policy.buildEnv(process.env) : process.env,
+      abortSignal: abortController.signal,
+      onChunk: hooks.onChunk,
+      onLine: hooks.onLine,
+    });
     return withDeadline(commandPromise, deadlineInfo, 'sdk.exec', { abortController });
   }
 
+  async function spawnBackground(command, options = {}, deadlineInfo) {
+    const { commandText, cwd, absoluteCwd } = assertCommandAllowed(command, options, 'spawnBackground');
+    await ensureWorkspaceRootExists(deadlineInfo);
+    await resolveSafeLocation(cwd, 'spawnBackground');
+    return backgroundProcesses.spawn(commandText, absoluteCwd, policy ? policy.buildEnv(process.env) : process.env);
+  }
+
+  function createWorkspaceGitClient(signal, fnName, beforeMutation, extraEnv) {
+    return createGitClient({
+      cwd: normalizedRoot,
+      signal,
+      maxOutputChars: execMaxOutputChars,
+      baseEnv: policy ? policy.buildEnv(process.env) : process.env,
+      extraEnv,
+      resolvePath: (value) => {
+        const location = resolveLocation(value);
+        if (location.root !== roots[0]) {
+          throw new Error(`sdk.git only works in the project root, not ${location.display}.`);
+        }
+        return location.relative || '.';
+      },
+      beforeRun: async (args, mutating) => {
+        if (mutating && roots[0].access !== 'rw') {
+          throw new Error(`sdk.${fnName}: git ${args[0]} would change the read-only ${roots[0].name} root.`);
+        }
+        const commandText = ['git', ...args].map(quoteShellArgument).join(' ');
+        if (policy) {
+          policy.assertCommandAllowed(commandText, '.', fnName);
+        }
+        if (mutating && beforeMutation) {
+          await beforeMutation(commandText);
+        }
+      },
+    });
+  }
+
+  async function git(method, args = [], deadlineInfo, hooks = {}) {
+    if (!GIT_METHODS.includes(method)) {
+      throw new Error(`Unknown git method: ${method}.`);
+    }
+    await ensureWorkspaceRootExists(deadlineInfo);
+    const abortController = new AbortController();
+    const client = createWorkspaceGitClient(abortController.signal, `git.${method}`, hooks.beforeMutation);
+    return withDeadline(client[method](...args), deadlineInfo, `sdk.git.${method}`, { abortController });
+  }
+
+  async function checkpoint(message, deadlineInfo, hooks = {}) {
+    if (roots[0].access !== 'rw') {
+      throw new Error(`The ${roots[0].name} root is read-only, so it is not checkpointed.`);
+    }
+    await ensureWorkspaceRootExists(deadlineInfo);
+    const abortController = new AbortController();
+    const client = createWorkspaceGitClient(abortController.signal, 'git.checkpoint', hooks.beforeMutation, CHECKPOINT_IDENTITY);
+    return withDeadline(client.checkpoint(message), deadlineInfo, 'Git checkpoint', { abortController });
+  }
+
+  function processOutput(id, options = {}) {
+    if (options !== undefined && options !== null && typeof options !== 'object') {
+      throw new Error('processOutput options must be an object.');
+    }
+    return backgroundProcesses.readOutput(id, options ?? {});
+  }
+
+  function processStatus(id) {
+    return backgroundProcesses.status(id);
+  }
+
+  function listProcesses() {
+    return backgroundProcesses.list();
+  }
+
+  async function killProcess(id, signal, deadlineInfo) {
+    const signalName = typeof signal === 'string' && signal.trim() ? signal.trim().toUpperCase() : 'SIGTERM';
+    return withDeadline(backgroundProcesses.kill(id, signalName), deadlineInfo, 'sdk.killProcess');
+  }
+
   return {
     projectRoot: normalizedRoot,
+    roots: roots.map(({ name, path: rootPath, access }) => ({ name, path: rootPath, access })),
+    policy,
+    symlinkPolicy,
+    resolveLocation,
+    resolveSafeLocation,
+    describeRealPath,
+    assertCommandAllowed,
     readFile,
     writeFile,
+    editFile,
     listFiles,
     deletePath,
+    stat,
+    exists,
+    mkdir,
+    move,
+    copy,
+    glob,
+    grep,
+    git,
+    gitMethods: GIT_METHODS,
+    checkpoint,
     exec,
+    spawnBackground,
+    processOutput,
+    processStatus,
+    listProcesses,
+    killProcess,
+    stopBackgroundProcesses: backgroundProcesses.killAll,
+    stopBackgroundProcessesSync: backgroundProcesses.killAllSync,
   };
 }
 
+function buildRoots(projectRoot, projectAccess = 'rw', mounts = []) {
+  const roots = [{ name: PROJECT_ROOT_NAME, path: projectRoot, access: normalizeRootAccess(projectAccess) }];
+  (mounts ?? []).forEach((mount) => {
+    if (!mount || !ROOT_NAME_PATTERN.test(mount.name ?? '')) {
+      throw new Error(`Invalid mount name ${JSON.stringify(mount?.name)}; use letters, digits, "_" or "-", starting with a letter.`);
+    }
+    if (roots.some((root) => root.name === mount.name)) {
+      throw new Error(`Mount name "${mount.name}" is used more than once.`);
+    }
+    if (typeof mount.path !== 'string' || !mount.path.trim()) {
+      throw new Error(`Mount "${mount.name}" needs a directory path.`);
+    }
+    roots.push({ name: mount.name, path: path.resolve(mount.path), access: normalizeRootAccess(mount.access ?? 'ro') });
+  });
+  return roots;
+}
+
+function normalizeSymlinkPolicy(value) {
+  const symlinkPolicy = typeof value === 'string' && value.trim() ? value.trim().toLowerCase() : 'within';
+  if (!SYMLINK_POLICIES.includes(symlinkPolicy)) {
+    throw new Error(`Unknown symlink policy "${value}". Use ${SYMLINK_POLICIES.join(', ')}.`);
+  }
+  return symlinkPolicy;
+}
+
+function isContained(relative) {
+  return relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative);
+}
+
+async function resolveRealPath(absolutePath, hops = 0) {
+  try {
+    return await fs.realpath(absolutePath);
+  } catch (error) {
+    if (!error || (error.code !== 'ENOENT' && error.code !== 'ENOTDIR')) {
+      throw error;
+    }
+  }
+  const parent = path.dirname(absolutePath);
+  if (parent === absolutePath) {
+    return absolutePath;
+  }
+  const realParent = await resolveRealPath(parent, hops);
+  const candidate = path.join(realParent, path.basename(absolutePath));
+  const target = await readlinkOrNull(candidate);
+  if (target === null) {
+    return candidate;
+  }
+  if (hops >= MAX_SYMLINK_HOPS) {
+    throw new Error(`Too many levels of symbolic links at ${absolutePath}.`);
+  }
+  return resolveRealPath(path.resolve(realParent, target), hops + 1);
+}
+
+async function readlinkOrNull(absolutePath) {
+  try {
+    return await fs.readlink(absolutePath);
+  } catch (error) {
+    if (error && (error.code === 'EINVAL' || error.code === 'ENOENT' || error.code === 'ENOTDIR')) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+function normalizeRootAccess(value) {
+  const access = typeof value === 'string' ? value.trim().toLowerCase() : 'rw';
+  if (!ROOT_ACCESS_MODES.includes(access)) {
+    throw new Error(`Unknown root access "${value}". Use rw or ro.`);
+  }
+  return access;
+}
+
+function parseWorkspaceSpec(spec) {
+  const match = String(spec).match(/^(.*?)(?::(rw|ro))?$/s);
+  if (!match[1].trim()) {
+    throw new Error('--workspace requires a directory.');
+  }
+  return { path: path.resolve(match[1].trim()), access: match[2] ?? 'rw' };
+}
+
+function parseMountSpec(spec) {
+  const match = String(spec).match(/^([^=]+)=(.+?)(?::(rw|ro))?$/s);
+  if (!match) {
+    throw new Error(`Invalid mount "${spec}". Use name=dir, optionally followed by :ro or :rw.`);
+  }
+  const name = match[1].trim();
+  if (!ROOT_NAME_PATTERN.test(name) || name === PROJECT_ROOT_NAME) {
+    throw new Error(`Invalid mount name "${name}"; use letters, digits, "_" or "-", starting with a letter (and not "${PROJECT_ROOT_NAME}").`);
+  }
+  return { name, path: path.resolve(match[2].trim()), access: match[3] ?? 'ro' };
+}
+
 function stringify(value) {
   if (typeof value === 'string') {
     return value;
@@ -140,16 +771,124 @@ function stringify(value) {
   }
 }
 
-function requireCommandString(value) {
+const FILE_ENCODINGS = ['utf8', 'base64', 'latin1', 'bytes'];
+
+function normalizeEncoding(value, fnName) {
+  if (value === undefined || value === null) {
+    return 'utf8';
+  }
+  const encoding = String(value).toLowerCase().replace(/^utf-8$/, 'utf8');
+  if (!FILE_ENCODINGS.includes(encoding)) {
+    throw new Error(`${fnName} encoding must be one of: ${FILE_ENCODINGS.join(', ')}.`);
+  }
+  return encoding;
+}
+
+function decodeBuffer(buffer, encoding) {
+  if (encoding === 'bytes') {
+    return new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+  }
+  return buffer.toString(encoding);
+}
+
+function encodeContents(contents, encoding) {
+  if (contents instanceof Uint8Array || contents instanceof ArrayBuffer) {
+    const data = Buffer.from(contents instanceof ArrayBuffer ? new Uint8Array(contents) : contents);
+    return { data, length: data.length, unit: 'bytes' };
+  }
+  const text = typeof contents === 'string' ? contents : stringify(contents);
+  if (encoding === 'bytes') {
+    throw new Error('writeFile with encoding "bytes" expects a Uint8Array or ArrayBuffer.');
+  }
+  if (encoding === 'utf8') {
+    return { data: Buffer.from(text, 'utf8'), length: text.length, unit: 'characters' };
+  }
+  const data = Buffer.from(text, encoding);
+  return { data, length: data.length, unit: 'bytes' };
+}
+
+async function readByteRange(absolutePath, offset, length) {
+  const handle = await fs.open(absolutePath, 'r');
+  try {
+    const { size } = await handle.stat();
+    const start = Math.min(offset, size);
+    const byteCount = length === null ? size - start : Math.min(length, size - start);
+    const buffer = Buffer.alloc(byteCount);
+    let filled = 0;
+    while (filled < byteCount) {
+      const { bytesRead } = await handle.read(buffer, filled, byteCount - filled, start + filled);
+      if (!bytesRead) {
+        break;
+      }
+      filled += bytesRead;
+    }
+    return buffer.subarray(0, filled);
+  } finally {
+    await handle.close();
+  }
+}
+
+function requireOptionsObject(options, fnName) {
+  if (options === undefined || options === null) {
+    return {};
+  }
+  if (typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error(`${fnName} options must be an object.`);
+  }
+  return options;
+}
+
+function compileGlobs(patterns, label, dot) {
+  const list = Array.isArray(patterns) ? patterns : [patterns];
+  if (!list.length || list.some((item) => typeof item !== 'string' || !item.trim())) {
+    throw new Error(`${label} requires a non-empty pattern string or array of strings.`);
+  }
+  return list.map((item) => globToRegExp(item.trim().replace(/^\.\//, ''), { dot }));
+}
+
+function readPositiveInteger(value, fallback, label, allowZero = false) {
+  if (value === undefined || value === null) {
+    return fallback;
+  }
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed < 0 || (!allowZero && parsed === 0)) {
+    throw new Error(`${label} must be a ${allowZero ? 'non-negative' : 'positive'} number if provided.`);
+  }
+  return Math.floor(parsed);
+}
+
+function clipLine(line) {
+  return line.length > MAX_GREP_LINE_CHARS ? `${line.slice(0, MAX_GREP_LINE_CHARS)}…` : line;
+}
+
+function deadlinePassed(deadlineInfo) {
+  return Boolean(deadlineInfo) && (Boolean(deadlineInfo.signal?.aborted) || Date.now() >= deadlineInfo.deadline);
+}
+
+function describeKind(stats) {
+  if (stats.isSymbolicLink()) {
+    return 'symlink';
+  }
+  if (stats.isDirectory()) {
+    return 'directory';
+  }
+  return stats.isFile() ? 'file' : 'other';
+}
+
+function quoteShellArgument(value) {
+  return /^[\w@%+=:,./-]+$/.test(value) ? value : `'${value.replace(/'/g, `'\\''`)}'`;
+}
+
+function requireCommandString(value, fnName = 'exec') {
   if (typeof value !== 'string' || !value.trim()) {
-    throw new Error('exec requires a non-empty command string.');
+    throw new Error(`${fnName} requires a non-empty command string.`);
   }
   return value;
 }
 
-function normalizeExecOptions(options) {
+function normalizeExecOptions(options, defaultMaxOutputChars) {
   if (options === undefined || options === null) {
-    return { cwd: '.', timeoutMs: null };
+    return { cwd: '.', timeoutMs: null, maxOutputChars: defaultMaxOutputChars };
   }
   if (typeof options !== 'object') {
     throw new Error('exec options must be an object.');
@@ -159,8 +898,17 @@ function normalizeExecOptions(options) {
   const normalized = {
     cwd: cwdValue.length ? cwdValue : '.',
     timeoutMs: null,
+    maxOutputChars: defaultMaxOutputChars,
   };
 
+  if (options.maxOutputChars !== undefined) {
+    const maxOutputChars = Number(options.maxOutputChars);
+    if (!Number.isFinite(maxOutputChars) || maxOutputChars <= 0) {
+      throw new Error('exec maxOutputChars must be a positive number if provided.');
+    }
+    normalized.maxOutputChars = Math.floor(maxOutputChars);
+  }
+
   if (options.timeoutMs !== undefined) {
     const timeout = Number(options.timeoutMs);
     if (!Number.isFinite(timeout) || timeout <= 0) {
@@ -172,10 +920,23 @@ function normalizeExecOptions(options) {
   return normalized;
 }
 
-function runShellCommand(command, cwd, timeoutMs = null, abortSignal) {
+function runShellCommand(command, cwd, options = {}) {
+  const {
+    timeoutMs = null,
+    maxOutputChars = DEFAULT_EXEC_MAX_OUTPUT_CHARS,
+    env = process.env,
+    abortSignal,
+    onChunk,
+    onLine,
+  } = options;
+
   return new Promise((resolve, reject) => {
-    let stdout = '';
-    let stderr = '';
+    const stdout = createOutputCollector(maxOutputChars);
+    const stderr = createOutputCollector(maxOutputChars);
+    const lineSplitters = {
+      stdout: createLineSplitter((line) => emitLine(line, 'stdout')),
+      stderr: createLineSplitter((line) => emitLine(line, 'stderr')),
+    };
     let settled = false;
     let timeoutId = null;
     let killTimer = null;
@@ -183,7 +944,7 @@ function runShellCommand(command, cwd, timeoutMs = null, abortSignal) {
     const child = spawn(command, {
       cwd,
       shell: true,
-      env: process.env,
+      env,
       stdio: ['ignore', 'pipe', 'pipe'],
     });
 
@@ -229,6 +990,33 @@ function runShellCommand(command, cwd, timeoutMs = null, abortSignal) {
       killChild();
     };
 
+    function emitLine(line, streamName) {
+      if (typeof onLine !== 'function' || settled) {
+        return;
+      }
+      try {
+        onLine(line, streamName);
+      } catch (error) {
+        killChild();
+        settle(() => {
+          reject(error);
+        });
+      }
+    }
+
+    const handleData = (streamName, collector) => (chunk) => {
+      if (settled) {
+        return;
+      }
+      collector.append(chunk);
+      if (typeof onChunk === 'function') {
+        onChunk(streamName, chunk);
+      }
+      if (typeof onLine === 'function') {
+        lineSplitters[streamName].push(chunk);
+      }
+    };
+
     if (abortSignal) {
       if (abortSignal.aborted) {
         handleAbort();
@@ -239,16 +1027,12 @@ function runShellCommand(command, cwd, timeoutMs = null, abortSignal) {
 
     if (child.stdout) {
       child.stdout.setEncoding('utf8');
-      child.stdout.on('data', (chunk) => {
-        stdout += chunk;
-      });
+      child.stdout.on('data', handleData('stdout', stdout));
     }
 
     if (child.stderr) {
       child.stderr.setEncoding('utf8');
-      child.stderr.on('data', (chunk) => {
-        stderr += chunk;
-      });
+      child.stderr.on('data', handleData('stderr', stderr));
     }
 
     if (Number.isFinite(timeoutMs) && timeoutMs > 0) {
@@ -267,17 +1051,87 @@ function runShellCommand(command, cwd, timeoutMs = null, abortSignal) {
     });
 
     child.on('close', (code) => {
+      lineSplitters.stdout.flush();
+      lineSplitters.stderr.flush();
       settle(() => {
-        resolve({
+        const result = {
           code: typeof code === 'number' ? code : 0,
-          stdout,
-          stderr,
-        });
+          stdout: stdout.finish(),
+          stderr: stderr.finish(),
+        };
+        if (stdout.omitted || stderr.omitted) {
+          result.truncated = {
+            stdoutOmittedChars: stdout.omitted,
+            stderrOmittedChars: stderr.omitted,
+          };
+        }
+        resolve(result);
       });
     });
   });
 }
 
+function createOutputCollector(maxChars) {
+  const headLimit = Math.ceil(maxChars / 2);
+  const tailLimit = maxChars - headLimit;
+  let head = '';
+  let tail = '';
+  let omitted = 0;
+
+  return {
+    append(chunk) {
+      let text = chunk;
+      if (head.length < headLimit) {
+        const room = headLimit - head.length;
+        head += text.slice(0, room);
+        text = text.slice(room);
+      }
+      if (!text) {
+        return;
+      }
+      tail += text;
+      if (tail.length > tailLimit) {
+        omitted += tail.length - tailLimit;
+        tail = tail.slice(tail.length - tailLimit);
+      }
+    },
+    finish() {
+      if (!omitted) {
+        return head + tail;
+      }
+      return `${head}\n[... ${omitted} characters truncated ...]\n${tail}`;
+    },
+    get omitted() {
+      return omitted;
+    },
+  };
+}
+
+function createLineSplitter(emit) {
+  let pending = '';
+  return {
+    push(chunk) {
+      pending += chunk;
+      let newlineIndex = pending.indexOf('\n');
+      while (newlineIndex !== -1) {
+        emit(pending.slice(0, newlineIndex).replace(/\r$/, ''));
+        pending = pending.slice(newlineIndex + 1);
+        newlineIndex = pending.indexOf('\n');
+      }
+    },
+    flush() {
+      if (pending) {
+        emit(pending.replace(/\r$/, ''));
+        pending = '';
+      }
+    },
+  };
+}
+
 export {
   createWorkspaceSdk,
+  encodeContents,
+  normalizeSymlinkPolicy,
+  parseMountSpec,
+  parseWorkspaceSpec,
 };
@@ -0,0 +1,132 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { test } from 'node:test';
+
+import { createAgent } from '../src/index.js';
+import { createScriptedModel, findToolResults } from './helpers/scripted-model.js';
+import { captureConsole, createTempWorkspace } from './helpers/session.js';
+
+async function createTestAgent(t, { script, ...config } = {}) {
+  const workspace = await createTempWorkspace(t);
+  const languageModel = createScriptedModel(script ?? []);
+  const agent = createAgent({
+    workspace,
+    languageModel,
+    execPolicy: null,
+    executionTimeoutMs: 5000,
+    ...config,
+  });
+  t.after(() => agent.close());
+  return { agent, languageModel, workspace };
+}
+
+test('run streams events and resolves with the final result', async (t) => {
+  const output = captureConsole(t);
+  const { agent, workspace } = await createTestAgent(t, {
+    script: [
+      { code: 'await sdk.writeFile("hello.txt", "hi"); return "written";' },
+      { text: 'Saved hello.txt.' },
+    ],
+  });
+  const run = agent.run('Write a greeting.');
+  const types = [];
+  for await (const event of run) {
+    types.push(event.type);
+  }
+  const result = await run.result;
+  assert.deepEqual(types, ['start', 'turn', 'tool-call', 'tool-result', 'text', 'answer', 'usage', 'finish']);
+  assert.equal(result.status, 'answered');
+  assert.equal(result.answer, 'Saved hello.txt.');
+  assert.equal(result.iterations, 2);
+  assert.equal(result.sessionId, agent.id);
+  assert.equal(await fs.readFile(path.join(workspace, 'hello.txt'), 'utf8'), 'hi');
+  assert.deepEqual(output, { log: [], warn: [], error: [] });
+});
+
+test('onEvent sees the same events and the result can be awaited without iterating', async (t) => {
+  const seen = [];
+  const { agent } = await createTestAgent(t, {
+    script: [{ text: 'ok' }],
+    onEvent: (event) => seen.push(event.type),
+  });
+  const result = await agent.run('Hi.').result;
+  assert.equal(result.status, 'answered');
+  assert.deepEqual(seen, ['start', 'turn', 'text', 'answer', 'usage', 'finish']);
+});
+
+test('later runs continue the same conversation, one at a time', async (t) => {
+  const { agent, languageModel } = await createTestAgent(t, {
+    script: [{ text: 'first' }, { text: 'second' }],
+  });
+  const first = agent.run('One.');
+  assert.throws(() => agent.run('Two.'), /already running/);
+  await first.result;
+  await agent.run('Two.').result;
+  assert.deepEqual(languageModel.calls[1].prompt.map((message) => message.role), ['system', 'user', 'assistant', 'user']);
+  assert.equal(agent.messages.length, 5);
+  assert.throws(() => agent.run('  '), /non-empty prompt/);
+});
+
+test('sdkExtensions are callable from code and listed in the system prompt', async (t) => {
+  const calls = [];
+  const { agent, languageModel } = await createTestAgent(t, {
+    script: [
+      { code: 'return await sdk.lookupCustomer("c-1", { fields: ["name"] });' },
+      { text: 'Found Ada.' },
+    ],
+    sdkExtensions: {
+      lookupCustomer: {
+        description: 'lookupCustomer(id: string, options?: { fields?: string[] }) returns the customer record.',
+        handler: async (id, options) => {
+          calls.push([id, options]);
+          return { id, name: 'Ada' };
+        },
+      },
+    },
+  });
+  await agent.run('Who is c-1?').result;
+  assert.deepEqual(calls, [['c-1', { fields: ['name'] }]]);
+  const [result] = findToolResults(languageModel.calls[1].prompt);
+  assert.deepEqual(result.output.value.value, { id: 'c-1', name: 'Ada' });
+  assert.match(languageModel.calls[0].prompt[0].content, /`sdk\.lookupCustomer\(\.\.\.\)` — lookupCustomer\(id: string/);
+});
+
+test('an extension that throws rejects inside the sandbox', async (t) => {
+  const { agent, languageModel } = await createTestAgent(t, {
+    script: [
+      { code: 'try { await sdk.fail(); } catch (error) { return error.message; }' },
+      { text: 'done' },
+    ],
+    sdkExtensions: { fail: () => { throw new Error('not available'); } },
+  });
+  await agent.run('Try it.').result;
+  const [result] = findToolResults(languageModel.calls[1].prompt);
+  assert.match(result.output.value.value, /not available/);
+});
+
+test('invalid extensions are rejected up front', async (t) => {
+  const workspace = await createTempWorkspace(t);
+  const languageModel = createScriptedModel([]);
+  assert.throws(() => createAgent({ workspace, languageModel, sdkExtensions: { readFile: () => 1 } }), /built-in sdk\.readFile/);
+  assert.throws(() => createAgent({ workspace, languageModel, sdkExtensions: { 'bad-name': () => 1 } }), /JavaScript identifier/);
+  assert.throws(() => createAgent({ workspace, languageModel, sdkExtensions: { missing: {} } }), /needs a handler/);
+});
+
+test('a run that hits maxIterations or fails resolves with that status', async (t) => {
+  const { agent } = await createTestAgent(t, {
+    maxIterations: 2,
+    script: [{ code: 'return 1;' }, { code: 'return 2;' }],
+  });
+  const limited = await agent.run('Loop.').result;
+  assert.equal(limited.status, 'max-iterations');
+  assert.equal(limited.answer, null);
+  const failed = await agent.run('Again.').result;
+  assert.equal(failed.status, 'error');
+  assert.match(failed.error.message, /no step 3/);
+});
+
+test('approval modes need an onApproval callback', async (t) => {
+  const workspace = await createTempWorkspace(t);
+  assert.throws(() => createAgent({ workspace, languageModel: createScriptedModel([]), approval: 'writes' }), /onApproval/);
+});
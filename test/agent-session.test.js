@@ -0,0 +1,252 @@
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { test } from 'node:test';
+import { promisify } from 'node:util';
+
+import { createApprovalGate } from '../src/approvals.js';
+import { createScriptedModel, findToolResults } from './helpers/scripted-model.js';
+import { captureConsole, createTestSession } from './helpers/session.js';
+
+function toolResultValue(part) {
+  return part.output.type === 'json' ? part.output.value : part.output;
+}
+
+test('a plain-text reply ends the turn after one model call', async (t) => {
+  const output = captureConsole(t);
+  const { session, model } = await createTestSession(t, { script: [{ text: 'Hello there.' }] });
+  await session.submit('Say hello.');
+  assert.equal(model.calls.length, 1);
+  assert.equal(session.getLastAssistantMessage(), 'Hello there.');
+  assert.ok(output.log.some((line) => line.includes('Hello there.')));
+});
+
+test('the prompt reaches the model after the system message', async (t) => {
+  captureConsole(t);
+  const { session, model } = await createTestSession(t, { script: [{ text: 'ok' }] });
+  await session.submit('What is in the workspace?');
+  const [call] = model.calls;
+  assert.equal(call.prompt[0].role, 'system');
+  assert.equal(call.prompt[0].content, 'You are a test agent.');
+  assert.equal(call.prompt.at(-1).role, 'user');
+  assert.deepEqual(call.prompt.at(-1).content, [{ type: 'text', text: 'What is in the workspace?' }]);
+  assert.deepEqual(call.tools.map((toolDefinition) => toolDefinition.name), ['runJavascript']);
+});
+
+test('tool calls run in the sandbox and their results flow into the next model call', async (t) => {
+  captureConsole(t);
+  const { session, model } = await createTestSession(t, {
+    script: [
+      { reasoning: 'I should compute this.', code: 'console.log("working"); return 6 * 7;' },
+      { text: 'The answer is 42.' },
+    ],
+  });
+  await session.submit('Multiply six by seven.');
+  assert.equal(model.calls.length, 2);
+  const [result] = findToolResults(model.calls[1].prompt);
+  assert.equal(result.toolName, 'runJavascript');
+  const value = toolResultValue(result);
+  assert.equal(value.success, true);
+  assert.equal(value.value, 42);
+  assert.deepEqual(value.logs, [{ level: 'log', text: 'working' }]);
+  assert.deepEqual(session.messages.map((message) => message.role), ['system', 'user', 'assistant', 'tool', 'assistant']);
+});
+
+test('failing code is reported back to the model instead of ending the turn', async (t) => {
+  captureConsole(t);
+  const { session, model } = await createTestSession(t, {
+    script: [
+      { code: 'throw new Error("boom");' },
+      { text: 'That failed.' },
+    ],
+  });
+  await session.submit('Try something risky.');
+  const [result] = findToolResults(model.calls[1].prompt);
+  const value = toolResultValue(result);
+  assert.equal(value.success, false);
+  assert.match(value.errorMessage, /boom/);
+});
+
+test('several tool calls in one response all produce results', async (t) => {
+  captureConsole(t);
+  const { session, model } = await createTestSession(t, {
+    script: [
+      { toolCalls: [{ input: { code: 'return 1;' } }, { input: { code: 'return 2;' } }] },
+      { text: 'done' },
+    ],
+  });
+  await session.submit('Run two blocks.');
+  const values = findToolResults(model.calls[1].prompt).map((part) => toolResultValue(part).value);
+  assert.deepEqual(values.sort(), [1, 2]);
+});
+
+test('the loop stops at maxIterations when the model keeps calling tools', async (t) => {
+  const output = captureConsole(t);
+  const { session, model } = await createTestSession(t, {
+    maxIterations: 3,
+    script: () => ({ code: 'return "again";' }),
+  });
+  await session.submit('Loop forever.');
+  assert.equal(model.calls.length, 3);
+  assert.ok(output.warn.some((line) => line.includes('Reached max iteration limit')));
+});
+
+test('prompt mode reports the finish reason and iteration count', async (t) => {
+  captureConsole(t);
+  const { session } = await createTestSession(t, {
+    prompt: 'one-shot',
+    script: [{ code: 'return 1;' }, { text: 'finished' }],
+  });
+  const outcome = await session.submit('one-shot');
+  assert.deepEqual(outcome, { finishReason: 'stop', iteration: 2 });
+});
+
+test('cancel stops a running shell command and ends the turn', async (t) => {
+  const output = captureConsole(t);
+  const { session, model } = await createTestSession(t, {
+    script: [{ code: 'await sdk.exec("exec sleep 5"); return "slept";' }],
+  });
+  const started = Date.now();
+  const turn = session.submit('Sleep.');
+  while (!model.calls.length) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  await new Promise((resolve) => setTimeout(resolve, 200));
+  assert.equal(session.cancel(), true);
+  const outcome = await turn;
+  assert.deepEqual(outcome, { finishReason: 'cancelled', iteration: 1 });
+  assert.ok(Date.now() - started < 4000);
+  assert.equal(model.calls.length, 1);
+  assert.ok(output.warn.some((line) => line.includes('Turn cancelled.')));
+  assert.equal(session.cancel(), false);
+  assert.deepEqual(session.messages.at(-1), {
+    role: 'assistant',
+    content: '[host] The user cancelled this turn before it finished.',
+  });
+});
+
+test('a turn cancelled while the model streams keeps the partial reply and the session continues', async (t) => {
+  const output = captureConsole(t);
+  let release;
+  const { session, model } = await createTestSession(t, {
+    stream: true,
+    script: [{ text: 'Let me think about' }, { text: 'Fresh start.' }],
+  });
+  const { doStream } = model;
+  model.doStream = async (callOptions) => {
+    const response = await doStream(callOptions);
+    if (model.calls.length > 1) {
+      return response;
+    }
+    const reader = response.stream.getReader();
+    const stream = new ReadableStream({
+      async pull(controller) {
+        const { value, done } = await reader.read();
+        if (done || value.type === 'text-end') {
+          await new Promise((resolve) => {
+            release = resolve;
+            callOptions.abortSignal.addEventListener('abort', resolve, { once: true });
+          });
+          controller.error(callOptions.abortSignal.reason);
+          return;
+        }
+        controller.enqueue(value);
+      },
+    });
+    return { stream };
+  };
+  t.mock.method(process.stdout, 'write', () => true);
+  const turn = session.submit('Think.');
+  while (!release) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  session.cancel();
+  assert.deepEqual(await turn, { finishReason: 'cancelled', iteration: 1 });
+  assert.match(session.messages.at(-1).content, /^Let me think about\n\n\[host\] The user cancelled/);
+  await session.submit('Again.');
+  assert.deepEqual(model.calls[1].prompt.map((message) => message.role), ['system', 'user', 'assistant', 'user']);
+  assert.equal(session.getLastAssistantMessage(), 'Fresh start.');
+  assert.ok(output.warn.some((line) => line.includes('Turn cancelled.')));
+});
+
+test('a new turn keeps the previous turns in the prompt', async (t) => {
+  captureConsole(t);
+  const { session, model } = await createTestSession(t, {
+    script: [{ text: 'first answer' }, { text: 'second answer' }],
+  });
+  await session.submit('first question');
+  await session.submit('second question');
+  const roles = model.calls[1].prompt.map((message) => message.role);
+  assert.deepEqual(roles, ['system', 'user', 'assistant', 'user']);
+  assert.equal(session.turnCount, 2);
+});
+
+test('code runs against the session workspace', async (t) => {
+  captureConsole(t);
+  const { session, workspacePath } = await createTestSession(t, {
+    script: [
+      { code: 'await sdk.writeFile("notes/todo.md", "- ship it\\n"); return await sdk.listFiles("notes");' },
+      { text: 'written' },
+    ],
+  });
+  await session.submit('Write a todo list.');
+  assert.equal(await fs.readFile(path.join(workspacePath, 'notes', 'todo.md'), 'utf8'), '- ship it\n');
+});
+
+test('the persistent sandbox keeps globals between tool calls', async (t) => {
+  captureConsole(t);
+  const { session, model } = await createTestSession(t, {
+    persistentSandbox: true,
+    script: [
+      { code: 'globalThis.counter = 41; return counter;' },
+      { code: 'return counter + 1;' },
+      { text: 'done' },
+    ],
+  });
+  await session.submit('Count.');
+  const [, result] = findToolResults(model.calls[2].prompt);
+  assert.equal(toolResultValue(result).value, 42);
+});
+
+test('the scripted model refuses calls beyond its script', async () => {
+  const model = createScriptedModel([{ text: 'only one' }]);
+  await model.doStream({ prompt: [] });
+  await assert.rejects(model.doStream({ prompt: [] }), /no step 2/);
+});
+
+test('git checkpoints leave a workspace without a repository alone and warn once', async (t) => {
+  const output = captureConsole(t);
+  const { session, workspacePath } = await createTestSession(t, {
+    gitCheckpoints: true,
+    script: [{ text: 'one' }, { text: 'two' }],
+  });
+  await session.submit('First turn.');
+  await session.submit('Second turn.');
+  await assert.rejects(fs.access(path.join(workspacePath, '.git')), { code: 'ENOENT' });
+  assert.equal(output.warn.filter((line) => line.includes('not a git repository')).length, 1);
+});
+
+test('git checkpoints commit an existing repository after asking for approval', async (t) => {
+  const output = captureConsole(t);
+  const { workspacePath } = await createTestSession(t);
+  await promisify(execFile)('git', ['init', '--quiet'], { cwd: workspacePath });
+  const approvals = [];
+  const { session } = await createTestSession(t, {
+    workspace: { path: workspacePath, access: 'rw' },
+    gitCheckpoints: true,
+    approvalGate: createApprovalGate({
+      mode: 'exec',
+      prompt: async (request) => {
+        approvals.push(request.command);
+        return { action: 'approve' };
+      },
+    }),
+    script: [{ code: 'return await sdk.writeFile("notes.md", "hi\\n");' }, { text: 'saved' }],
+  });
+  await session.submit('Save a note.');
+  assert.deepEqual(approvals.map((command) => command.split(' ').slice(0, 2).join(' ')), ['git add', 'git commit']);
+  const { stdout } = await promisify(execFile)('git', ['log', '--format=%an %s'], { cwd: workspacePath });
+  assert.equal(stdout.trim(), 'code-loop code-loop turn 1: Save a note.');
+  assert.ok(output.log.some((line) => line.includes('checkpoint>')));
+});
@@ -0,0 +1,77 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { test } from 'node:test';
+
+import { createApprovalGate } from '../src/approvals.js';
+import { createWorkspaceSdk } from '../src/workspace-sdk.js';
+import { createTempWorkspace } from './helpers/session.js';
+
+function createRecordingGate(decisions, mode = 'exec') {
+  const prompts = [];
+  const gate = createApprovalGate({
+    mode,
+    prompt: async (request) => {
+      prompts.push(request);
+      return decisions.shift() ?? { action: 'deny', reason: 'no more answers' };
+    },
+  });
+  return { gate, prompts };
+}
+
+test('an always rule approves each part of a chained command separately', async () => {
+  const { gate, prompts } = createRecordingGate([{ action: 'always' }]);
+  await gate.check({ operation: 'exec', command: 'npm install' });
+  assert.equal(prompts[0].suggestedPattern, 'npm *');
+  assert.deepEqual(gate.listRules(), [{ category: 'exec', pattern: 'npm *' }]);
+
+  await gate.check({ operation: 'exec', command: 'npm test && npm run lint | npm run report' });
+  assert.equal(prompts.length, 1);
+
+  for (const command of ['npm test; rm -rf ~', 'npm test && curl example.com', 'npm test || rm x', 'npm test | sh']) {
+    await assert.rejects(gate.check({ operation: 'exec', command }), /denied sdk\.exec/);
+  }
+  assert.equal(prompts.length, 5);
+});
+
+test('command substitution always prompts', async () => {
+  const { gate, prompts } = createRecordingGate([{ action: 'always' }]);
+  await gate.check({ operation: 'exec', command: 'echo hello' });
+  await assert.rejects(gate.check({ operation: 'exec', command: 'echo $(rm -rf ~)' }), /denied/);
+  await assert.rejects(gate.check({ operation: 'exec', command: 'echo `whoami`' }), /denied/);
+  assert.equal(prompts.length, 3);
+});
+
+test('git rules are scoped to the subcommand', async () => {
+  const { gate, prompts } = createRecordingGate([{ action: 'always' }]);
+  await gate.check({ operation: 'git', command: 'git commit -m "fix; tidy"' });
+  assert.equal(prompts[0].suggestedPattern, 'git commit *');
+  await gate.check({ operation: 'git', command: 'git commit -m "more"' });
+  await assert.rejects(gate.check({ operation: 'git', command: 'git push --force' }), /denied/);
+  assert.equal(prompts.length, 2);
+});
+
+test('path rules only approve paths that stay inside the allowed directory', async (t) => {
+  const workspaceRoot = await createTempWorkspace(t);
+  const docsRoot = await createTempWorkspace(t);
+  await fs.mkdir(path.join(workspaceRoot, 'src'));
+  await fs.symlink(workspaceRoot, path.join(workspaceRoot, 'src', 'up'));
+  const sdk = createWorkspaceSdk({
+    workspaceRoot,
+    withDeadline: (promise) => promise,
+    mounts: [{ name: 'docs', path: docsRoot, access: 'rw' }],
+  });
+  const resolvePath = (value) => sdk.describeRealPath(value, 'approval');
+  const { gate, prompts } = createRecordingGate([{ action: 'always' }], 'writes');
+  await gate.check({ operation: 'writeFile', path: './src/app.js' }, { resolvePath });
+  assert.equal(prompts[0].suggestedPattern, 'src/**');
+  await gate.check({ operation: 'writeFile', path: 'src/./lib/../util.js' }, { resolvePath });
+  assert.equal(prompts.length, 1);
+
+  for (const target of ['src/../package.json', 'src/up/package.json', 'docs:../x', '/etc/passwd']) {
+    await assert.rejects(gate.check({ operation: 'writeFile', path: target }, { resolvePath }), /denied sdk\.writeFile/);
+  }
+  await assert.rejects(gate.check({ operation: 'writeFile', path: 'src/../package.json' }), /denied/);
+  await assert.rejects(gate.check({ operation: 'move', paths: ['src/a.js', 'src/../../etc/x'] }), /denied/);
+  assert.equal(prompts.length, 7);
+});
@@ -0,0 +1,73 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { findRecentTurnStart, isSummaryMessage } from '../src/agent/compaction.js';
+import { createSessionStore } from '../src/agent/session-store.js';
+import { findToolResults } from './helpers/scripted-model.js';
+import { captureConsole, createTempWorkspace, createTestSession } from './helpers/session.js';
+
+const BIG_RESULT = 'return "x".repeat(5000);';
+
+test('a single long turn truncates its older tool results and keeps the latest one', async (t) => {
+  captureConsole(t);
+  const { session, model } = await createTestSession(t, {
+    compactThresholdTokens: 2000,
+    compactKeepTurns: 2,
+    toolResultMaxChars: 500,
+    script: [{ code: BIG_RESULT }, { code: BIG_RESULT }, { code: BIG_RESULT }, { text: 'done' }],
+  });
+  await session.submit('Produce a lot of output.');
+  const results = findToolResults(model.calls[3].prompt);
+  assert.equal(results.length, 3);
+  assert.deepEqual(results.map((result) => Boolean(result.output.value.compacted)), [true, true, false]);
+  assert.equal(results[2].output.value.value.length, 5000);
+  assert.ok(model.calls.every((call) => call.kind === 'stream'));
+});
+
+test('the compaction summary is not a turn and is not summarized again', async (t) => {
+  captureConsole(t);
+  const { session, model } = await createTestSession(t, {
+    compactThresholdTokens: 1,
+    compactKeepTurns: 1,
+    script: [
+      { text: 'first answer' },
+      { text: '- The user asked a first question.' },
+      { code: 'return 1;' },
+      { code: 'return 2;' },
+      { text: 'second answer' },
+    ],
+  });
+  await session.submit('first question');
+  await session.submit('second question');
+  assert.deepEqual(model.calls.map((call) => call.kind), ['stream', 'generate', 'stream', 'stream', 'stream']);
+  const summaryIndex = session.messages.findIndex(isSummaryMessage);
+  assert.equal(summaryIndex, 1);
+  assert.equal(findRecentTurnStart(session.messages, 1), summaryIndex + 1);
+  assert.equal(findRecentTurnStart(session.messages, 2), summaryIndex);
+  assert.equal(session.getLastAssistantMessage(), 'second answer');
+});
+
+test('a resumed session keeps the turn numbers that compaction folded away', async (t) => {
+  captureConsole(t);
+  const sessionStore = createSessionStore({ directory: await createTempWorkspace(t) });
+  const { session } = await createTestSession(t, {
+    sessionStore,
+    compactThresholdTokens: 1,
+    compactKeepTurns: 1,
+    script: [{ text: 'first answer' }, { text: '- The user asked a first question.' }, { text: 'second answer' }],
+  });
+  await session.submit('first question');
+  await session.submit('second question');
+  assert.equal(session.turnCount, 2);
+
+  const record = await sessionStore.load(session.id);
+  assert.equal(record.turnCount, 2);
+  const { session: resumed } = await createTestSession(t);
+  resumed.restore(record);
+  assert.equal(resumed.turnCount, 2);
+  await assert.rejects(resumed.rewind(2), /the session is at turn 2/);
+
+  const { turnCount, ...olderRecord } = record;
+  resumed.restore(olderRecord);
+  assert.equal(resumed.turnCount, 1);
+});
@@ -0,0 +1,156 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import {
+  buildDelegateUserPrompt,
+  createDelegateTaskHandler,
+  normalizeDelegateTaskInput,
+  parseDelegateAgentResult,
+} from '../src/agent/delegate.js';
+import { createScriptedModel, findToolResults } from './helpers/scripted-model.js';
+import { TEST_SESSION_OPTIONS, captureConsole, createTestSession } from './helpers/session.js';
+
+function assistantReply(text) {
+  return [{ role: 'user', content: 'task' }, { role: 'assistant', content: [{ type: 'text', text }] }];
+}
+
+describe('parseDelegateAgentResult', () => {
+  test('reads a bare JSON reply', () => {
+    const result = parseDelegateAgentResult(assistantReply(JSON.stringify({
+      success: true,
+      summary: '  Added the login page. ',
+      artifacts: [{ path: ' artifacts/login.md ', description: 'notes' }],
+    })));
+    assert.deepEqual(result, {
+      success: true,
+      summary: 'Added the login page.',
+      artifacts: [{ path: 'artifacts/login.md', description: 'notes', last_updated: undefined }],
+    });
+  });
+
+  test('reads JSON inside a code fence', () => {
+    const result = parseDelegateAgentResult(assistantReply('Here you go:\n```json\n{"success": false, "summary": "Blocked on credentials."}\n```'));
+    assert.equal(result.success, false);
+    assert.equal(result.summary, 'Blocked on credentials.');
+    assert.deepEqual(result.artifacts, []);
+  });
+
+  test('treats prose as an unsuccessful result that keeps the text', () => {
+    const result = parseDelegateAgentResult(assistantReply('I could not finish the task.'));
+    assert.deepEqual(result, { success: false, summary: 'I could not finish the task.', artifacts: [] });
+  });
+
+  test('defaults success to true and falls back to the raw text for the summary', () => {
+    const raw = '{"artifacts": []}';
+    assert.deepEqual(parseDelegateAgentResult(assistantReply(raw)), { success: true, summary: raw, artifacts: [] });
+  });
+
+  test('drops malformed artifact entries', () => {
+    const result = parseDelegateAgentResult(assistantReply(JSON.stringify({
+      summary: 'ok',
+      artifacts: [null, 'artifacts/a.md', { path: '' }, { path: 'artifacts/b.md', last_updated: '2024-01-01' }],
+    })));
+    assert.deepEqual(result.artifacts, [{ path: 'artifacts/b.md', description: undefined, last_updated: '2024-01-01' }]);
+  });
+
+  test('uses the last assistant message', () => {
+    const messages = [
+      ...assistantReply('{"summary": "first"}'),
+      { role: 'user', content: 'more' },
+      { role: 'assistant', content: '{"summary": "second"}' },
+    ];
+    assert.equal(parseDelegateAgentResult(messages).summary, 'second');
+  });
+
+  test('reports a missing or empty reply', () => {
+    assert.deepEqual(parseDelegateAgentResult([{ role: 'user', content: 'task' }]), {
+      success: false,
+      summary: 'Delegate agent did not produce a final response.',
+      artifacts: [],
+    });
+    assert.equal(parseDelegateAgentResult(assistantReply('   ')).summary, 'Delegate agent returned an empty response.');
+  });
+});
+
+describe('normalizeDelegateTaskInput', () => {
+  test('requires a task', () => {
+    assert.throws(() => normalizeDelegateTaskInput(null), /requires an input object/);
+    assert.throws(() => normalizeDelegateTaskInput({ task: '  ' }), /non-empty task string/);
+  });
+
+  test('caps the iteration count at the parent limit', () => {
+    assert.equal(normalizeDelegateTaskInput({ task: 'x', maxIterations: 50 }, 8).maxIterations, 8);
+    assert.equal(normalizeDelegateTaskInput({ task: 'x', maxIterations: 2.7 }, 8).maxIterations, 2);
+    assert.equal(normalizeDelegateTaskInput({ task: 'x', maxIterations: -1 }, 8).maxIterations, 8);
+    assert.equal(normalizeDelegateTaskInput({ task: 'x' }, 'bogus').maxIterations, 6);
+  });
+
+  test('keeps only artifacts with a path', () => {
+    const input = normalizeDelegateTaskInput({
+      task: ' Review the API ',
+      contextArtifacts: [{ path: 'artifacts/api.md', description: ' spec ' }, { description: 'no path' }, 'artifacts/x.md'],
+    });
+    assert.equal(input.task, 'Review the API');
+    assert.deepEqual(input.contextArtifacts, [{ path: 'artifacts/api.md', description: 'spec', last_updated: undefined }]);
+  });
+});
+
+test('buildDelegateUserPrompt lists the task, artifacts and reply format', () => {
+  const prompt = buildDelegateUserPrompt({
+    task: 'Summarize the docs.',
+    contextArtifacts: [{ path: 'artifacts/docs.md', description: 'index', last_updated: '2024-05-01' }],
+    maxIterations: 4,
+  });
+  assert.match(prompt, /Task:\nSummarize the docs\./);
+  assert.match(prompt, /1\. artifacts\/docs\.md — index \(last updated 2024-05-01\)/);
+  assert.match(prompt, /up to 4 agent iterations/);
+  assert.match(prompt, /"success": boolean, "summary": string/);
+});
+
+test('sdk.delegateTask runs a sub-agent and returns its parsed result', async (t) => {
+  captureConsole(t);
+  const delegateModel = createScriptedModel([
+    { code: 'await sdk.writeFile("artifacts/report.md", "# Report\\n"); return "saved";' },
+    { text: '{"success": true, "summary": "Wrote the report.", "artifacts": [{"path": "artifacts/report.md"}]}' },
+  ]);
+  const { session, model, workspacePath } = await createTestSession(t, {
+    script: [
+      { code: 'return await sdk.delegateTask({ task: "Write a report", maxIterations: 3 });' },
+      { text: 'The delegate wrote the report.' },
+    ],
+    delegateTaskHandler: (input, context) => delegateHandler(input, context),
+  });
+  const delegateHandler = createDelegateTaskHandler({
+    ...TEST_SESSION_OPTIONS,
+    workspace: { path: workspacePath, access: 'rw' },
+    languageModel: delegateModel,
+  });
+
+  await session.submit('Delegate the report.');
+
+  assert.equal(delegateModel.calls.length, 2);
+  const delegatePrompt = delegateModel.calls[0].prompt.at(-1).content[0].text;
+  assert.match(delegatePrompt, /Write a report/);
+  assert.match(delegatePrompt, /up to 3 agent iterations/);
+  const [result] = findToolResults(model.calls[1].prompt);
+  assert.deepEqual(result.output.value.value, {
+    success: true,
+    summary: 'Wrote the report.',
+    artifacts: [{ path: 'artifacts/report.md' }],
+  });
+});
+
+test('a delegate that runs out of iterations reports failure', async (t) => {
+  captureConsole(t);
+  const delegateModel = createScriptedModel(() => ({ code: 'return "still going";' }));
+  const { workspacePath } = await createTestSession(t);
+  const delegateTask = createDelegateTaskHandler({
+    ...TEST_SESSION_OPTIONS,
+    maxIterations: 2,
+    workspace: { path: workspacePath, access: 'rw' },
+    languageModel: delegateModel,
+  });
+  const result = await delegateTask({ task: 'Never finish' });
+  assert.equal(delegateModel.calls.length, 2);
+  assert.equal(result.success, false);
+});
@@ -0,0 +1,70 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import {
+  EDITOR_SEPARATOR_LINE,
+  buildEditorTemplate,
+  extractEditorUserInput,
+  splitEditorCommand,
+} from '../src/ui/editor.js';
+
+describe('editor template', () => {
+  test('leaves blank lines for the reply above the quoted assistant message', () => {
+    const template = buildEditorTemplate('First line\r\nSecond line');
+    const lines = template.split('\n');
+    const separatorIndex = lines.indexOf(EDITOR_SEPARATOR_LINE);
+    assert.ok(separatorIndex > 0);
+    assert.ok(lines.slice(0, separatorIndex).every((line) => line === ''));
+    assert.deepEqual(lines.slice(separatorIndex + 1, separatorIndex + 4), [
+      '# Last assistant message (read-only)',
+      '# First line',
+      '# Second line',
+    ]);
+  });
+
+  test('says so when there is no assistant message yet', () => {
+    assert.match(buildEditorTemplate(''), /# No assistant message yet\./);
+  });
+
+  test('an untouched template yields an empty message', () => {
+    assert.equal(extractEditorUserInput(buildEditorTemplate('Earlier reply')), '');
+  });
+
+  test('keeps only what was written above the separator', () => {
+    const template = buildEditorTemplate('Earlier reply');
+    const edited = `Please add tests.\n\n  Keep the style.\n${template}`;
+    assert.equal(extractEditorUserInput(edited), 'Please add tests.\n\n  Keep the style.');
+  });
+
+  test('handles CRLF files and an indented separator', () => {
+    const edited = `Line one\r\nLine two\r\n   ${EDITOR_SEPARATOR_LINE}  \r\n# quoted\r\n`;
+    assert.equal(extractEditorUserInput(edited), 'Line one\nLine two');
+  });
+
+  test('uses the whole file when the separator was deleted', () => {
+    assert.equal(extractEditorUserInput('\n  just this  \n# and this\n'), 'just this  \n# and this');
+  });
+});
+
+describe('splitEditorCommand', () => {
+  test('splits on whitespace', () => {
+    assert.deepEqual(splitEditorCommand('  code   --wait '), ['code', '--wait']);
+  });
+
+  test('keeps quoted arguments together', () => {
+    assert.deepEqual(splitEditorCommand(`"/Applications/My Editor.app/bin/edit" --title 'a b'`), [
+      '/Applications/My Editor.app/bin/edit',
+      '--title',
+      'a b',
+    ]);
+  });
+
+  test('honors backslash escapes', () => {
+    assert.deepEqual(splitEditorCommand('vim\\ custom -c "echo \\"hi\\""'), ['vim custom', '-c', 'echo "hi"']);
+  });
+
+  test('returns nothing for an empty command', () => {
+    assert.deepEqual(splitEditorCommand(''), []);
+    assert.deepEqual(splitEditorCommand(undefined), []);
+  });
+});
@@ -0,0 +1,125 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import { createDelegateTaskHandler } from '../src/agent/delegate.js';
+import { EXIT_CODES, createEventLog, describeOutcome, normalizeOutputFormat } from '../src/agent/events.js';
+import { createScriptedModel } from './helpers/scripted-model.js';
+import { TEST_SESSION_OPTIONS, captureConsole, createTestSession } from './helpers/session.js';
+
+function collectEvents() {
+  const lines = [];
+  return { lines, events: createEventLog('jsonl', (text) => lines.push(text)) };
+}
+
+function parseLines(lines) {
+  return lines.map((line) => JSON.parse(line));
+}
+
+describe('event log', () => {
+  test('jsonl writes one event per line as it happens', () => {
+    const { lines, events } = collectEvents();
+    events.emit({ type: 'text', scope: 'main', text: 'Hel' });
+    events.emit({ type: 'text', scope: 'main', text: 'lo' });
+    events.finish({ status: 'answered', exitCode: 0 });
+    assert.equal(lines.length, 3);
+    assert.ok(lines.every((line) => line.endsWith('\n')));
+    const [first, , last] = parseLines(lines);
+    assert.equal(first.type, 'text');
+    assert.equal(first.text, 'Hel');
+    assert.match(first.time, /^\d{4}-\d{2}-\d{2}T/);
+    assert.equal(last.type, 'finish');
+    assert.equal(last.status, 'answered');
+  });
+
+  test('json writes a single document and merges consecutive deltas', () => {
+    const output = [];
+    const events = createEventLog('json', (text) => output.push(text));
+    events.emit({ type: 'text', scope: 'main', text: 'Hel' });
+    events.emit({ type: 'text', scope: 'main', text: 'lo' });
+    events.emit({ type: 'text', scope: 'delegate-1', text: '!' });
+    assert.equal(output.length, 0);
+    events.finish({ status: 'answered', exitCode: 0 });
+    assert.equal(output.length, 1);
+    const document = JSON.parse(output[0]);
+    assert.equal(document.status, 'answered');
+    assert.deepEqual(document.events.map((event) => [event.scope, event.text]), [['main', 'Hello'], ['delegate-1', '!']]);
+  });
+
+  test('output formats are validated', () => {
+    assert.equal(normalizeOutputFormat(' JSONL '), 'jsonl');
+    assert.equal(normalizeOutputFormat(undefined), 'text');
+    assert.throws(() => normalizeOutputFormat('yaml'), /Unknown output format "yaml"/);
+  });
+
+  test('outcomes map to exit codes', () => {
+    assert.equal(EXIT_CODES[describeOutcome({ finishReason: 'stop' })], 0);
+    assert.equal(EXIT_CODES[describeOutcome({ finishReason: 'error' })], 1);
+    assert.equal(EXIT_CODES[describeOutcome({ finishReason: 'max-iterations' })], 2);
+    assert.equal(EXIT_CODES[describeOutcome({ finishReason: 'budget-exceeded' })], 3);
+    assert.equal(EXIT_CODES[describeOutcome({ finishReason: 'length' })], 4);
+  });
+});
+
+test('a session emits the turn, stream, tool call, result, answer and usage', async (t) => {
+  captureConsole(t);
+  const { lines, events } = collectEvents();
+  const { session } = await createTestSession(t, {
+    events,
+    script: [
+      { reasoning: 'Compute it.', code: 'return 6 * 7;' },
+      { text: 'It is 42.' },
+    ],
+  });
+  await session.submit('Multiply.');
+  const emitted = parseLines(lines);
+  assert.deepEqual(emitted.map((event) => event.type), ['turn', 'reasoning', 'tool-call', 'tool-result', 'text', 'answer', 'usage']);
+  assert.ok(emitted.every((event) => event.scope === 'main'));
+  const byType = Object.fromEntries(emitted.map((event) => [event.type, event]));
+  assert.equal(byType.turn.text, 'Multiply.');
+  assert.equal(byType['tool-call'].code, 'return 6 * 7;');
+  assert.equal(byType['tool-result'].toolCallId, byType['tool-call'].toolCallId);
+  assert.equal(byType['tool-result'].value, 42);
+  assert.deepEqual({ text: byType.answer.text, finishReason: byType.answer.finishReason }, { text: 'It is 42.', finishReason: 'stop' });
+  assert.equal(byType.usage.session.calls, 2);
+});
+
+test('hitting maxIterations ends the turn with a max-iterations outcome', async (t) => {
+  captureConsole(t);
+  const { lines, events } = collectEvents();
+  const { session } = await createTestSession(t, {
+    events,
+    maxIterations: 2,
+    script: () => ({ code: 'return 1;' }),
+  });
+  const outcome = await session.submit('Loop.');
+  assert.deepEqual(outcome, { finishReason: 'max-iterations', iteration: 2 });
+  const stopped = parseLines(lines).find((event) => event.type === 'stopped');
+  assert.match(stopped.reason, /limit of 2 iterations/);
+});
+
+test('delegates report their start and finish under the parent scope', async (t) => {
+  captureConsole(t);
+  const { lines, events } = collectEvents();
+  const delegateModel = createScriptedModel([{ text: '{"success": true, "summary": "Done."}' }]);
+  const { session, workspacePath } = await createTestSession(t, {
+    events,
+    script: [
+      { code: 'return await sdk.delegateTask({ task: "Check the docs" });' },
+      { text: 'ok' },
+    ],
+    delegateTaskHandler: (input, context) => delegateHandler(input, context),
+  });
+  const delegateHandler = createDelegateTaskHandler({
+    ...TEST_SESSION_OPTIONS,
+    events,
+    workspace: { path: workspacePath, access: 'rw' },
+    languageModel: delegateModel,
+  });
+  await session.submit('Delegate.');
+  const emitted = parseLines(lines);
+  const start = emitted.find((event) => event.type === 'delegate-start');
+  const finish = emitted.find((event) => event.type === 'delegate-finish');
+  assert.deepEqual([start.scope, start.delegate, start.task], ['main', 'delegate-1', 'Check the docs']);
+  assert.deepEqual([finish.delegate, finish.success, finish.summary], ['delegate-1', true, 'Done.']);
+  assert.ok(emitted.some((event) => event.type === 'answer' && event.scope === 'delegate-1'));
+});
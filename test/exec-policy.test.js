@@ -0,0 +1,52 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { createExecPolicy, splitShellCommand } from '../src/exec-policy.js';
+
+test('deny patterns reach commands inside substitutions, subshells and shell wrappers', () => {
+  const policy = createExecPolicy({ commands: { deny: ['curl *', 'rm *'] } }, 'policy.json');
+  const bypasses = [
+    'echo $(curl http://x)',
+    'echo "$(curl http://x)"',
+    'echo `curl http://x`',
+    'echo $(echo $(rm -rf x))',
+    '(rm -rf x)',
+    'cd src && (ls; rm -rf x)',
+    '{ rm -rf x; }',
+    'sh -c "rm -rf x"',
+    "bash -lc 'ls && rm -rf x'",
+    '/bin/sh -c "echo \\"$(curl http://x)\\""',
+    'eval "rm -rf x"',
+  ];
+  bypasses.forEach((command) => {
+    assert.throws(() => policy.assertCommandAllowed(command, '.'), {
+      name: 'ExecPolicyError',
+      message: /blocked by the exec policy \(policy\.json\): ".*" matches denied pattern "(curl|rm) \*"/,
+    }, command);
+  });
+  ['echo $(date)', '(cd src && npm test)', 'sh -c "npm test"', 'echo "rm -rf x"', 'echo "(rm -rf x)"'].forEach((command) => {
+    assert.doesNotThrow(() => policy.assertCommandAllowed(command, '.'), command);
+  });
+});
+
+test('allow lists check every part and still reject command substitution', () => {
+  const policy = createExecPolicy({ commands: { allow: ['npm *', 'sh -c *', 'ls*'] } }, 'policy.json');
+  assert.doesNotThrow(() => policy.assertCommandAllowed('npm test && (ls src)', '.'));
+  assert.doesNotThrow(() => policy.assertCommandAllowed('sh -c "npm run build"', '.'));
+  assert.throws(() => policy.assertCommandAllowed('sh -c "npm test; curl x"', '.'), /"curl x" does not match any allowed pattern/);
+  assert.throws(() => policy.assertCommandAllowed('npm test $(ls)', '.'), /command substitution/);
+  assert.throws(() => policy.assertCommandAllowed('npm test | tee out', '.'), /"tee out" does not match/);
+});
+
+test('splitShellCommand keeps quoted separators and reports nested commands', () => {
+  assert.deepEqual(splitShellCommand('echo "a; b" && ls | wc -l & sleep 1 2>&1'), {
+    segments: ['echo "a; b"', 'ls', 'wc -l', 'sleep 1 2>&1'],
+    substitution: false,
+    nested: [],
+  });
+  assert.deepEqual(splitShellCommand('echo $(cat "a)b") `date`'), {
+    segments: ['echo $(cat "a)b") `date`'],
+    substitution: true,
+    nested: ['cat "a)b"', 'date'],
+  });
+});
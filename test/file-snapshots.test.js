@@ -0,0 +1,145 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { test } from 'node:test';
+
+import { createFileSnapshotJournal } from '../src/file-snapshots.js';
+import { captureConsole, createTestSession } from './helpers/session.js';
+
+async function writeFiles(root, files) {
+  for (const [relativePath, contents] of Object.entries(files)) {
+    await fs.mkdir(path.dirname(path.join(root, relativePath)), { recursive: true });
+    await fs.writeFile(path.join(root, relativePath), contents);
+  }
+}
+
+async function listTree(root) {
+  const tree = {};
+  async function walk(directory) {
+    for (const entry of await fs.readdir(directory, { withFileTypes: true })) {
+      const absolutePath = path.join(directory, entry.name);
+      if (entry.isDirectory()) {
+        await walk(absolutePath);
+      } else {
+        tree[path.relative(root, absolutePath)] = await fs.readFile(absolutePath, 'utf8');
+      }
+    }
+  }
+  await walk(root);
+  return tree;
+}
+
+function codeSteps(blocks) {
+  return [...blocks.map((code) => ({ code: `${code}\nreturn true;` })), { text: 'done' }];
+}
+
+test('undo reverts writes, edits, deletes and moves one code block at a time', async (t) => {
+  captureConsole(t);
+  const { session, workspacePath } = await createTestSession(t, {
+    script: codeSteps([
+      'await sdk.writeFile("notes/new.md", "new\\n");',
+      'await sdk.editFile("app.js", { search: "one", replace: "two" });',
+      'await sdk.deletePath("old.txt");',
+      'await sdk.move("src", "lib");',
+    ]),
+  });
+  await writeFiles(workspacePath, { 'app.js': 'one\n', 'old.txt': 'old\n', 'src/index.js': 'index\n' });
+  const original = await listTree(workspacePath);
+  await session.submit('Reorganize the project.');
+  assert.deepEqual(await listTree(workspacePath), {
+    'app.js': 'two\n',
+    'lib/index.js': 'index\n',
+    'notes/new.md': 'new\n',
+  });
+
+  const moved = await session.undo();
+  assert.deepEqual(moved.paths, [path.join(workspacePath, 'src'), path.join(workspacePath, 'lib')]);
+  assert.ok(await fs.stat(path.join(workspacePath, 'src/index.js')));
+  await session.undo();
+  assert.equal(await fs.readFile(path.join(workspacePath, 'old.txt'), 'utf8'), 'old\n');
+  await session.undo();
+  assert.equal(await fs.readFile(path.join(workspacePath, 'app.js'), 'utf8'), 'one\n');
+  const created = await session.undo();
+  assert.deepEqual(created, { label: created.label, paths: [path.join(workspacePath, 'notes')], unrestorable: [], kept: [] });
+  assert.deepEqual(await listTree(workspacePath), original);
+  assert.equal(await session.undo(), null);
+  assert.match(session.pendingNotes.at(-1), /undid the file changes/);
+});
+
+test('rewind reverts every code block after the chosen turn and drops those turns', async (t) => {
+  captureConsole(t);
+  const { session, workspacePath } = await createTestSession(t, {
+    script: [
+      ...codeSteps(['await sdk.writeFile("a.txt", "a1\\n");']),
+      ...codeSteps([
+        'await sdk.writeFile("a.txt", "a2\\n");',
+        'await sdk.copy("a.txt", "copies/a.txt");',
+      ]),
+      ...codeSteps(['await sdk.deletePath("copies", { recursive: true });']),
+    ],
+  });
+  await session.submit('Turn one.');
+  await session.submit('Turn two.');
+  await session.submit('Turn three.');
+  assert.deepEqual(await listTree(workspacePath), { 'a.txt': 'a2\n' });
+
+  const outcome = await session.rewind(1);
+  assert.equal(outcome.entries, 3);
+  assert.equal(outcome.incomplete, false);
+  assert.deepEqual(await listTree(workspacePath), { 'a.txt': 'a1\n' });
+  assert.equal(session.turnCount, 1);
+  assert.equal(session.messages.filter((message) => message.role === 'user').length, 1);
+  await assert.rejects(session.rewind(1), /Nothing to rewind/);
+
+  await session.rewind(0);
+  assert.deepEqual(await listTree(workspacePath), {});
+});
+
+test('rewinding past evicted snapshots reports the result as incomplete', async (t) => {
+  captureConsole(t);
+  const { session, workspacePath } = await createTestSession(t, {
+    fileSnapshots: createFileSnapshotJournal({ maxJournalBytes: 10 }),
+    script: codeSteps([
+      'await sdk.writeFile("big.txt", "second version\\n");',
+      'await sdk.writeFile("big.txt", "third version\\n");',
+    ]),
+  });
+  await writeFiles(workspacePath, { 'big.txt': 'first version\n' });
+  await session.submit('Rewrite the file twice.');
+  assert.equal(session.fileSnapshots.size(), 1);
+
+  const outcome = await session.rewind(0);
+  assert.equal(outcome.incomplete, true);
+  assert.equal(await fs.readFile(path.join(workspacePath, 'big.txt'), 'utf8'), 'second version\n');
+});
+
+test('files that did not come from SDK calls survive undo and are reported', async (t) => {
+  captureConsole(t);
+  const { session, workspacePath } = await createTestSession(t, {
+    script: codeSteps([
+      'await sdk.writeFile("build/app.js", "bundle\\n");',
+      'await sdk.deletePath("docs", { recursive: true });',
+    ]),
+  });
+  await writeFiles(workspacePath, { 'docs/guide.md': 'guide\n' });
+  await session.submit('Build and clean up.');
+  await writeFiles(workspacePath, {
+    'build/app.js.map': 'map\n',
+    'build/assets/logo.svg': '<svg/>\n',
+    'docs/notes.md': 'mine\n',
+  });
+
+  const docs = await session.undo();
+  assert.deepEqual(docs.kept, [path.join(workspacePath, 'docs/notes.md')]);
+  const build = await session.undo();
+  assert.deepEqual(build.kept.sort(), [
+    path.join(workspacePath, 'build/app.js.map'),
+    path.join(workspacePath, 'build/assets/logo.svg'),
+  ]);
+  assert.deepEqual(await listTree(workspacePath), {
+    'build/app.js.map': 'map\n',
+    'build/assets/logo.svg': '<svg/>\n',
+    'docs/guide.md': 'guide\n',
+    'docs/notes.md': 'mine\n',
+  });
+});
@@ -0,0 +1,91 @@
+import { simulateReadableStream } from 'ai';
+
+const DEFAULT_USAGE = { inputTokens: 100, outputTokens: 20, totalTokens: 120 };
+
+function createScriptedModel(script, options = {}) {
+  const calls = [];
+  let nextStep = 0;
+
+  function takeStep(call) {
+    const step = typeof script === 'function'
+      ? script(call, nextStep)
+      : script[nextStep];
+    nextStep += 1;
+    if (!step) {
+      throw new Error(`Scripted model has no step ${nextStep}; the agent called it more often than expected.`);
+    }
+    return step;
+  }
+
+  function record(kind, callOptions) {
+    const call = { kind, prompt: callOptions.prompt, tools: callOptions.tools ?? [], options: callOptions };
+    calls.push(call);
+    return call;
+  }
+
+  return {
+    specificationVersion: 'v2',
+    provider: options.provider ?? 'scripted',
+    modelId: options.modelId ?? 'scripted-model',
+    supportedUrls: {},
+    calls,
+    get remainingSteps() {
+      return Array.isArray(script) ? script.length - nextStep : Infinity;
+    },
+    async doGenerate(callOptions) {
+      const step = takeStep(record('generate', callOptions));
+      return {
+        content: step.text ? [{ type: 'text', text: step.text }] : [],
+        finishReason: step.finishReason ?? 'stop',
+        usage: step.usage ?? DEFAULT_USAGE,
+        warnings: [],
+      };
+    },
+    async doStream(callOptions) {
+      const step = takeStep(record('stream', callOptions));
+      return { stream: simulateReadableStream({ chunks: buildChunks(step, calls.length) }) };
+    },
+  };
+}
+
+function buildChunks(step, callNumber) {
+  const chunks = [{ type: 'stream-start', warnings: [] }];
+  if (step.reasoning) {
+    chunks.push(
+      { type: 'reasoning-start', id: `reasoning-${callNumber}` },
+      { type: 'reasoning-delta', id: `reasoning-${callNumber}`, delta: step.reasoning },
+      { type: 'reasoning-end', id: `reasoning-${callNumber}` },
+    );
+  }
+  if (step.text) {
+    chunks.push(
+      { type: 'text-start', id: `text-${callNumber}` },
+      { type: 'text-delta', id: `text-${callNumber}`, delta: step.text },
+      { type: 'text-end', id: `text-${callNumber}` },
+    );
+  }
+  const toolCalls = step.toolCalls ?? (step.code === undefined ? [] : [{ input: { code: step.code } }]);
+  toolCalls.forEach((toolCall, index) => {
+    chunks.push({
+      type: 'tool-call',
+      toolCallId: toolCall.id ?? `call-${callNumber}-${index + 1}`,
+      toolName: toolCall.toolName ?? 'runJavascript',
+      input: typeof toolCall.input === 'string' ? toolCall.input : JSON.stringify(toolCall.input),
+    });
+  });
+  chunks.push({
+    type: 'finish',
+    finishReason: step.finishReason ?? (toolCalls.length ? 'tool-calls' : 'stop'),
+    usage: step.usage ?? DEFAULT_USAGE,
+  });
+  return chunks;
+}
+
+function findToolResults(prompt) {
+  return prompt
+    .filter((message) => message.role === 'tool')
+    .flatMap((message) => message.content)
+    .filter((part) => part.type === 'tool-result');
+}
+
+export { createScriptedModel, findToolResults };
@@ -0,0 +1,58 @@
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+import { AgentSession } from '../../src/agent/session.js';
+import { createScriptedModel } from './scripted-model.js';
+
+const TEST_SESSION_OPTIONS = {
+  model: 'openai:test-model',
+  delegateModel: 'openai:test-delegate-model',
+  systemPrompt: 'You are a test agent.',
+  maxIterations: 5,
+  executionTimeoutMs: 5000,
+  stream: false,
+  persistentSandbox: false,
+  sandboxLimits: { memoryLimitBytes: 64 * 1024 * 1024, maxStackSizeBytes: 256 * 1024 },
+  mounts: [],
+  symlinks: 'within',
+  execPolicy: null,
+};
+
+async function createTempWorkspace(t) {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'code-loop-test-'));
+  t.after(() => fs.rm(directory, { recursive: true, force: true }));
+  return directory;
+}
+
+function captureConsole(t) {
+  const output = { log: [], warn: [], error: [] };
+  Object.keys(output).forEach((level) => {
+    t.mock.method(console, level, (...args) => {
+      output[level].push(args.join(' '));
+    });
+  });
+  return output;
+}
+
+async function createTestSession(t, { script, ...overrides } = {}) {
+  const workspacePath = overrides.workspace?.path ?? await createTempWorkspace(t);
+  const languageModel = overrides.languageModel === undefined
+    ? createScriptedModel(script ?? [])
+    : overrides.languageModel;
+  const session = new AgentSession({
+    ...TEST_SESSION_OPTIONS,
+    ...overrides,
+    workspace: overrides.workspace ?? { path: workspacePath, access: 'rw' },
+    languageModel,
+  });
+  t.after(() => session.dispose());
+  return { session, model: languageModel, workspacePath };
+}
+
+export {
+  TEST_SESSION_OPTIONS,
+  captureConsole,
+  createTempWorkspace,
+  createTestSession,
+};
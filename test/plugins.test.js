@@ -0,0 +1,86 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { test } from 'node:test';
+
+import { createAgent } from '../src/index.js';
+import { loadSdkPlugins } from '../src/plugins.js';
+import { systemPrompt } from '../src/prompts.js';
+import { createScriptedModel, findToolResults } from './helpers/scripted-model.js';
+import { createTempWorkspace } from './helpers/session.js';
+
+const TICKETS_PLUGIN = `
+export const findTicket = {
+  description: 'Look up a ticket by key.',
+  args: [
+    { name: 'key', type: 'string', description: 'ticket key such as OPS-1' },
+    { name: 'options', type: 'object', optional: true },
+  ],
+  handler: async (key, options = {}) => ({ key, title: 'Disk full', fields: options.fields ?? [] }),
+};
+
+export async function ping() {
+  return 'pong';
+}
+
+export const pluginVersion = '1.0';
+`;
+
+async function writePlugin(t, fileName, source) {
+  const directory = await createTempWorkspace(t);
+  await fs.writeFile(path.join(directory, fileName), source);
+  return directory;
+}
+
+test('plugins register under sdk.<namespace> and are documented in the system prompt', async (t) => {
+  const pluginDir = await writePlugin(t, 'tickets.mjs', TICKETS_PLUGIN);
+  const extensions = await loadSdkPlugins(['./tickets.mjs'], { baseDir: pluginDir });
+  assert.deepEqual(extensions.map((extension) => [extension.namespace, extension.name]), [
+    ['tickets', 'findTicket'],
+    ['tickets', 'ping'],
+  ]);
+  assert.equal(extensions[0].source, path.join(pluginDir, 'tickets.mjs'));
+
+  const prompt = systemPrompt({ sdkExtensions: extensions });
+  assert.match(prompt, /`sdk\.tickets\.findTicket\(key: string, options\?: object\)` — Look up a ticket by key\. Arguments — `key`: ticket key such as OPS-1\./);
+  assert.match(prompt, /`sdk\.tickets\.ping\(\.\.\.\)`/);
+
+  const workspace = await createTempWorkspace(t);
+  const languageModel = createScriptedModel([
+    {
+      code: [
+        'const ticket = await sdk.tickets.findTicket("OPS-1", { fields: ["title"] });',
+        'let failure;',
+        'try { await sdk.tickets.findTicket(42); } catch (error) { failure = error.message; }',
+        'return { ticket, pong: await sdk.tickets.ping(), failure };',
+      ].join('\n'),
+    },
+    { text: 'done' },
+  ]);
+  const agent = createAgent({ workspace, languageModel, execPolicy: null, sdkExtensions: extensions });
+  t.after(() => agent.close());
+  await agent.run('Find OPS-1.').result;
+  const [result] = findToolResults(languageModel.calls[1].prompt);
+  assert.deepEqual(result.output.value.value, {
+    ticket: { key: 'OPS-1', title: 'Disk full', fields: ['title'] },
+    pong: 'pong',
+    failure: 'sdk.tickets.findTicket argument "key" must be a string, got number.',
+  });
+});
+
+test('the config can rename a plugin namespace', async (t) => {
+  const pluginDir = await writePlugin(t, 'tickets.mjs', TICKETS_PLUGIN);
+  const extensions = await loadSdkPlugins([{ path: 'tickets.mjs', namespace: 'jira' }], { baseDir: pluginDir });
+  assert.ok(extensions.every((extension) => extension.namespace === 'jira'));
+});
+
+test('broken plugins are reported when they load', async (t) => {
+  const pluginDir = await writePlugin(t, 'git.mjs', 'export const status = () => "clean";');
+  await fs.writeFile(path.join(pluginDir, 'empty.mjs'), 'export const version = 1;');
+  await fs.writeFile(path.join(pluginDir, 'typed.mjs'), 'export const run = { handler() {}, args: [{ name: "when", type: "date" }] };');
+  await assert.rejects(loadSdkPlugins(['git.mjs'], { baseDir: pluginDir }), /would replace the built-in sdk\.git/);
+  await assert.rejects(loadSdkPlugins(['empty.mjs'], { baseDir: pluginDir }), /exports no functions/);
+  await assert.rejects(loadSdkPlugins(['typed.mjs'], { baseDir: pluginDir }), /unknown type "date"/);
+  await assert.rejects(loadSdkPlugins(['missing.mjs'], { baseDir: pluginDir }), /Failed to load SDK plugin/);
+  await assert.rejects(loadSdkPlugins('tickets.mjs'), /must be an array/);
+});
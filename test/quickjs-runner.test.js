@@ -0,0 +1,150 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { test } from 'node:test';
+
+import { createApprovalGate } from '../src/approvals.js';
+import { createPersistentSandbox, createSessionWorkspace, executeCodeBlock } from '../src/runtime/quickjs-runner.js';
+import { createTempWorkspace } from './helpers/session.js';
+
+const LIMITS = { memoryLimitBytes: 64 * 1024 * 1024, maxStackSizeBytes: 256 * 1024 };
+
+async function createSandboxOptions(t, extra = {}) {
+  const workspacePath = await createTempWorkspace(t);
+  const workspaceSdk = createSessionWorkspace({ workspace: { path: workspacePath, access: 'rw' }, execPolicy: null });
+  t.after(() => workspaceSdk.stopBackgroundProcesses());
+  return { workspacePath, sandboxOptions: { workspaceSdk, limits: LIMITS, ...extra } };
+}
+
+test('code cannot reach Node globals', async (t) => {
+  const { sandboxOptions } = await createSandboxOptions(t);
+  const result = await executeCodeBlock(
+    'return [typeof process, typeof require, typeof Buffer, typeof fetch, typeof setTimeout, typeof globalThis.sdk];',
+    5000,
+    sandboxOptions,
+  );
+  assert.equal(result.success, true);
+  assert.deepEqual(result.value, ['undefined', 'undefined', 'undefined', 'undefined', 'undefined', 'object']);
+});
+
+test('import() is not available inside the sandbox', async (t) => {
+  const { sandboxOptions } = await createSandboxOptions(t);
+  const result = await executeCodeBlock('const fsModule = await import("node:fs"); return typeof fsModule;', 5000, sandboxOptions);
+  assert.equal(result.success, false);
+});
+
+test('sdk file access stays inside the workspace', async (t) => {
+  const { sandboxOptions, workspacePath } = await createSandboxOptions(t);
+  const outsideFile = path.join(path.dirname(workspacePath), `${path.basename(workspacePath)}-outside.txt`);
+  t.after(() => fs.rm(outsideFile, { force: true }));
+  const result = await executeCodeBlock(`
+    await sdk.writeFile('inside.txt', 'ok');
+    const attempts = {};
+    for (const [name, run] of Object.entries({
+      dotdot: () => sdk.writeFile('../${path.basename(outsideFile)}', 'escaped'),
+      absolute: () => sdk.readFile('/etc/hostname'),
+      execCwd: () => sdk.exec('pwd', { cwd: '..' }),
+    })) {
+      try {
+        await run();
+        attempts[name] = 'allowed';
+      } catch (error) {
+        attempts[name] = error.message;
+      }
+    }
+    return attempts;
+  `, 5000, sandboxOptions);
+  assert.equal(result.success, true);
+  Object.values(result.value).forEach((message) => assert.match(message, /outside the workspace/));
+  assert.equal(await fs.readFile(path.join(workspacePath, 'inside.txt'), 'utf8'), 'ok');
+  await assert.rejects(fs.access(outsideFile));
+});
+
+test('a runaway loop is stopped by the timeout', async (t) => {
+  const { sandboxOptions } = await createSandboxOptions(t);
+  const result = await executeCodeBlock('while (true) {}', 200, sandboxOptions);
+  assert.equal(result.success, false);
+  assert.match(result.errorMessage, /interrupted|timed out/i);
+});
+
+test('a hanging sdk call is stopped by the timeout', async (t) => {
+  const { sandboxOptions } = await createSandboxOptions(t);
+  const result = await executeCodeBlock('await sdk.exec("sleep 5"); return "finished";', 300, sandboxOptions);
+  assert.equal(result.success, false);
+  assert.match(result.errorMessage, /timed out|time/i);
+});
+
+test('runaway allocations hit the memory limit', async (t) => {
+  const { sandboxOptions } = await createSandboxOptions(t, { limits: { ...LIMITS, memoryLimitBytes: 8 * 1024 * 1024 } });
+  const result = await executeCodeBlock('let text = "x"; while (true) { text += text; }', 5000, sandboxOptions);
+  assert.equal(result.success, false);
+  assert.equal(result.limitExceeded, 'memory', result.errorMessage);
+});
+
+test('deep recursion hits the stack limit', async (t) => {
+  const { sandboxOptions } = await createSandboxOptions(t);
+  const result = await executeCodeBlock('function dive(n) { return dive(n + 1) + 1; } return dive(0);', 5000, sandboxOptions);
+  assert.equal(result.success, false);
+  assert.equal(result.limitExceeded, 'stack');
+});
+
+test('each code block starts from a clean context without the persistent sandbox', async (t) => {
+  const { sandboxOptions } = await createSandboxOptions(t);
+  await executeCodeBlock('globalThis.leftover = 1; return 1;', 5000, sandboxOptions);
+  const result = await executeCodeBlock('return typeof leftover;', 5000, sandboxOptions);
+  assert.equal(result.value, 'undefined');
+});
+
+test('the persistent sandbox keeps globals until reset', async (t) => {
+  const { sandboxOptions } = await createSandboxOptions(t);
+  const sandbox = createPersistentSandbox();
+  t.after(() => sandbox.dispose());
+  await sandbox.execute('globalThis.kept = "yes"; return 1;', 5000, sandboxOptions);
+  assert.equal((await sandbox.execute('return kept;', 5000, sandboxOptions)).value, 'yes');
+  sandbox.reset();
+  assert.equal((await sandbox.execute('return typeof kept;', 5000, sandboxOptions)).value, 'undefined');
+});
+
+test('the persistent sandbox keeps top-level declarations between blocks', async (t) => {
+  const { sandboxOptions } = await createSandboxOptions(t);
+  const sandbox = createPersistentSandbox();
+  t.after(() => sandbox.dispose());
+  await sandbox.execute(`
+    const x = 41;
+    const { label, sizes: [first] } = { label: 'kept', sizes: [2] };
+    function f(value) { return value + 1; }
+    class Box { constructor(value) { this.value = value; } }
+    for (const loopOnly of [1]) { const alsoLocal = loopOnly; }
+    return 1;
+  `, 5000, sandboxOptions);
+  const result = await sandbox.execute(
+    'return [f(x), label, first, new Box(3).value, typeof loopOnly, typeof alsoLocal];',
+    5000,
+    sandboxOptions,
+  );
+  assert.deepEqual(result.value, [42, 'kept', 2, 3, 'undefined', 'undefined']);
+  await sandbox.execute('const x = 1; return x;', 5000, sandboxOptions);
+  assert.equal((await sandbox.execute('return f(x);', 5000, sandboxOptions)).value, 2);
+});
+
+test('rejected approvals surface as errors inside the sandbox', async (t) => {
+  const { sandboxOptions, workspacePath } = await createSandboxOptions(t, {
+    approvalGate: createApprovalGate({ mode: 'writes', prompt: async () => ({ decision: 'reject', reason: 'not today' }) }),
+  });
+  const result = await executeCodeBlock(`
+    try {
+      await sdk.writeFile('blocked.txt', 'x');
+      return 'written';
+    } catch (error) {
+      return error.message;
+    }
+  `, 5000, sandboxOptions);
+  assert.match(result.value, /not today/);
+  await assert.rejects(fs.access(path.join(workspacePath, 'blocked.txt')));
+});
+
+test('sandbox execution requires a workspace SDK', async () => {
+  const result = await executeCodeBlock('return 1;', 5000, { limits: LIMITS });
+  assert.equal(result.success, false);
+  assert.match(result.errorMessage, /workspaceSdk/);
+});
@@ -0,0 +1,213 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { test } from 'node:test';
+
+import { APICallError } from 'ai';
+
+import { createInteractionRecorder, createReplay, loadInteractionRecording } from '../src/agent/recording.js';
+import { createScriptedModel } from './helpers/scripted-model.js';
+import { captureConsole, createTempWorkspace, createTestSession } from './helpers/session.js';
+
+const SCRIPT = [
+  { reasoning: 'Read the file first.', code: 'return await sdk.readFile("notes.txt");' },
+  { text: 'The notes say hello.' },
+];
+
+async function recordSession(t) {
+  const directory = await createTempWorkspace(t);
+  const recordingPath = path.join(directory, 'run.jsonl');
+  const recorder = createInteractionRecorder(recordingPath, { model: 'scripted' });
+  const { session, model, workspacePath } = await createTestSession(t, { script: SCRIPT, recorder });
+  await fs.writeFile(path.join(workspacePath, 'notes.txt'), 'hello');
+  await session.submit('What do the notes say?');
+  return { recordingPath, recorded: session, model, workspacePath };
+}
+
+async function replaySession(t, recordingPath, options = {}) {
+  const replay = createReplay(loadInteractionRecording(recordingPath), options);
+  const { session, workspacePath } = await createTestSession(t, { languageModel: null, replay });
+  return { replay, session, workspacePath };
+}
+
+test('a recording holds the turn, the streamed model calls and the code results', async (t) => {
+  captureConsole(t);
+  const { recordingPath, model } = await recordSession(t);
+  const { header, events } = loadInteractionRecording(recordingPath);
+  assert.equal(header.model, 'scripted');
+  assert.deepEqual(events.map((event) => event.type), ['turn', 'model-call', 'tool-result', 'model-call']);
+  const [turn, firstCall, toolResult] = events;
+  assert.deepEqual(turn, { type: 'turn', scope: 'main', text: 'What do the notes say?' });
+  assert.equal(firstCall.kind, 'stream');
+  assert.deepEqual(firstCall.request.prompt, JSON.parse(JSON.stringify(model.calls[0].prompt)));
+  assert.ok(firstCall.chunks.some((chunk) => chunk.type === 'tool-call'));
+  assert.equal(toolResult.code, 'return await sdk.readFile("notes.txt");');
+  assert.equal(toolResult.result.value, 'hello');
+});
+
+test('replay feeds the recorded stream back without calling a model or running code', async (t) => {
+  captureConsole(t);
+  const { recordingPath, recorded } = await recordSession(t);
+  const { replay, session } = await replaySession(t, recordingPath);
+  assert.deepEqual(replay.turns, ['What do the notes say?']);
+  await session.submit(replay.turns[0]);
+  assert.deepEqual(session.messages, recorded.messages);
+  assert.deepEqual(replay.summary(), { modelCalls: 2, codeBlocks: 1, unusedModelCalls: 0, divergences: 0 });
+});
+
+test('re-executing code blocks reports results that no longer match', async (t) => {
+  captureConsole(t);
+  const { recordingPath } = await recordSession(t);
+  const divergences = [];
+  const { replay, session, workspacePath } = await replaySession(t, recordingPath, {
+    reexecute: true,
+    onDivergence: (divergence) => divergences.push(divergence),
+  });
+  await fs.writeFile(path.join(workspacePath, 'notes.txt'), 'goodbye');
+  await session.submit(replay.turns[0]);
+  const kinds = divergences.map((divergence) => divergence.kind);
+  assert.deepEqual(kinds, ['tool-result', 'request']);
+  assert.match(divergences[0].detail, /different value .*"hello".*"goodbye"/);
+  assert.equal(replay.summary().divergences, 2);
+});
+
+test('re-executing unchanged code reproduces the recording', async (t) => {
+  captureConsole(t);
+  const { recordingPath } = await recordSession(t);
+  const { replay, session, workspacePath } = await replaySession(t, recordingPath, { reexecute: true });
+  await fs.writeFile(path.join(workspacePath, 'notes.txt'), 'hello');
+  await session.submit(replay.turns[0]);
+  assert.equal(replay.summary().divergences, 0);
+});
+
+test('replay fails once the recorded model calls run out', async (t) => {
+  captureConsole(t);
+  const { recordingPath } = await recordSession(t);
+  const { session } = await replaySession(t, recordingPath);
+  await session.submit('What do the notes say?');
+  await assert.rejects(session.submit('And then?'), /no more model calls for main/);
+});
+
+function createInterruptedModel(ending, getSession) {
+  const model = createScriptedModel([{ text: 'Done.' }]);
+  const finishStream = model.doStream;
+  let interrupted = false;
+  model.doStream = async (callOptions) => {
+    if (interrupted) {
+      return finishStream(callOptions);
+    }
+    interrupted = true;
+    const chunks = [
+      { type: 'stream-start', warnings: [] },
+      { type: 'text-start', id: 'text-1' },
+      { type: 'text-delta', id: 'text-1', delta: 'Half an' },
+    ];
+    return {
+      stream: new ReadableStream({
+        async pull(controller) {
+          if (chunks.length) {
+            controller.enqueue(chunks.shift());
+          } else if (ending === 'abort') {
+            getSession().cancel();
+            controller.error(callOptions.abortSignal.reason);
+          } else {
+            controller.error(new Error('The model is overloaded.'));
+          }
+        },
+      }),
+    };
+  };
+  return model;
+}
+
+async function recordInterruptedSession(t, ending) {
+  const directory = await createTempWorkspace(t);
+  const recordingPath = path.join(directory, 'run.jsonl');
+  const recorder = createInteractionRecorder(recordingPath);
+  let session;
+  const languageModel = createInterruptedModel(ending, () => session);
+  ({ session } = await createTestSession(t, { languageModel, recorder }));
+  const first = session.submit('Start.');
+  if (ending === 'abort') {
+    await first;
+  } else {
+    await assert.rejects(first, /overloaded/);
+  }
+  await session.submit('Again.');
+  return { recordingPath, recorded: session };
+}
+
+test('an aborted stream is recorded with its partial chunks and replayed as a cancelled turn', async (t) => {
+  captureConsole(t);
+  const { recordingPath, recorded } = await recordInterruptedSession(t, 'abort');
+  const calls = loadInteractionRecording(recordingPath).events.filter((event) => event.type === 'model-call');
+  assert.deepEqual(calls.map((event) => event.end.type), ['abort', 'finish']);
+  assert.deepEqual(calls[0].chunks.map((chunk) => chunk.type), ['stream-start', 'text-start', 'text-delta']);
+
+  const { replay, session } = await replaySession(t, recordingPath);
+  assert.equal((await session.submit(replay.turns[0])).finishReason, 'cancelled');
+  await session.submit(replay.turns[1]);
+  assert.deepEqual(session.messages, recorded.messages);
+  assert.deepEqual(replay.summary(), { modelCalls: 2, codeBlocks: 0, unusedModelCalls: 0, divergences: 0 });
+});
+
+async function readChunks(stream) {
+  const chunks = [];
+  const reader = stream.getReader();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) {
+      return chunks;
+    }
+    chunks.push(value);
+  }
+}
+
+test('failed model calls are recorded with their error and replayed with the same failure', async (t) => {
+  const directory = await createTempWorkspace(t);
+  const recordingPath = path.join(directory, 'run.jsonl');
+  const recorder = createInteractionRecorder(recordingPath);
+  const model = recorder.wrapModel(createInterruptedModel('error'), 'main');
+  const callOptions = { prompt: [{ role: 'user', content: [{ type: 'text', text: 'Start.' }] }] };
+  const failed = await model.doStream(callOptions);
+  await assert.rejects(readChunks(failed.stream), /overloaded/);
+  const rejecting = recorder.wrapModel({
+    doStream: async () => {
+      throw new APICallError({ message: 'Rate limited.', url: 'x', requestBodyValues: {}, statusCode: 429 });
+    },
+  }, 'main');
+  await assert.rejects(rejecting.doStream(callOptions), /Rate limited/);
+
+  const recording = loadInteractionRecording(recordingPath);
+  assert.deepEqual(recording.events.map((event) => event.end), [
+    { type: 'error', message: 'The model is overloaded.', beforeStream: false },
+    { type: 'error', message: 'Rate limited.', beforeStream: true, statusCode: 429, isRetryable: true },
+  ]);
+  const replay = createReplay(recording).model('main');
+  const replayed = await replay.doStream(callOptions);
+  const reader = replayed.stream.getReader();
+  for (const type of ['stream-start', 'text-start', 'text-delta']) {
+    assert.equal((await reader.read()).value.type, type);
+  }
+  await assert.rejects(reader.read(), /overloaded/);
+  await assert.rejects(replay.doStream(callOptions), (error) => APICallError.isInstance(error) && error.isRetryable);
+});
+
+test('dates and bytes survive a round trip through the recording', async (t) => {
+  const directory = await createTempWorkspace(t);
+  const recordingPath = path.join(directory, 'values.jsonl');
+  const recorder = createInteractionRecorder(recordingPath);
+  const when = new Date('2024-03-01T12:00:00.000Z');
+  recorder.recordToolResult('main', 'call-1', 'return 1;', { success: true, value: { when, bytes: new Uint8Array([1, 2, 255]) } });
+  const [event] = loadInteractionRecording(recordingPath).events;
+  assert.deepEqual(event.result.value.when, when);
+  assert.deepEqual(event.result.value.bytes, new Uint8Array([1, 2, 255]));
+});
+
+test('loading rejects files that are not recordings', async (t) => {
+  const directory = await createTempWorkspace(t);
+  const filePath = path.join(directory, 'other.jsonl');
+  await fs.writeFile(filePath, '{"type":"turn","text":"hi"}\n');
+  assert.throws(() => loadInteractionRecording(filePath), /not a code-loop recording/);
+  assert.throws(() => loadInteractionRecording(path.join(directory, 'missing.jsonl')), /No recording at/);
+});
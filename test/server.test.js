@@ -0,0 +1,158 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { createAgentServer } from '../src/server.js';
+import { createScriptedModel } from './helpers/scripted-model.js';
+import { createTempWorkspace } from './helpers/session.js';
+
+const TOKEN = 'test-token';
+
+async function startTestServer(t, { script, languageModel, ...agentConfig } = {}) {
+  const workspace = await createTempWorkspace(t);
+  const server = createAgentServer({
+    port: 0,
+    token: TOKEN,
+    agentConfig: {
+      workspace,
+      languageModel: languageModel ?? createScriptedModel(script ?? []),
+      execPolicy: null,
+      executionTimeoutMs: 5000,
+      ...agentConfig,
+    },
+  });
+  const { port } = await server.listen();
+  t.after(() => server.close());
+  const baseUrl = `http://127.0.0.1:${port}`;
+  const request = async (method, pathname, body, headers = { Authorization: `Bearer ${TOKEN}` }) => {
+    const response = await fetch(`${baseUrl}${pathname}`, {
+      method,
+      headers: body ? { ...headers, 'Content-Type': 'application/json' } : headers,
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    return { status: response.status, body: await response.json() };
+  };
+  return { server, baseUrl, request };
+}
+
+async function readEventsUntilFinish(url) {
+  const response = await fetch(url);
+  assert.equal(response.headers.get('content-type'), 'text/event-stream');
+  const decoder = new TextDecoder();
+  const events = [];
+  let buffer = '';
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const frames = buffer.split('\n\n');
+    buffer = frames.pop();
+    for (const frame of frames) {
+      const data = frame.split('\n').find((line) => line.startsWith('data: '));
+      if (!data) {
+        continue;
+      }
+      const event = JSON.parse(data.slice('data: '.length));
+      events.push(event);
+      if (event.type === 'finish') {
+        return events;
+      }
+    }
+  }
+  return events;
+}
+
+function createHangingModel() {
+  const calls = [];
+  return {
+    specificationVersion: 'v2',
+    provider: 'scripted',
+    modelId: 'hanging-model',
+    supportedUrls: {},
+    calls,
+    async doStream(callOptions) {
+      calls.push(callOptions);
+      return new Promise((resolve, reject) => {
+        callOptions.abortSignal?.addEventListener('abort', () => reject(callOptions.abortSignal.reason), { once: true });
+      });
+    },
+    async doGenerate() {
+      throw new Error('not used');
+    },
+  };
+}
+
+test('requests without the token are rejected', async (t) => {
+  const { request } = await startTestServer(t);
+  const missing = await request('GET', '/sessions', null, {});
+  assert.equal(missing.status, 401);
+  const wrong = await request('GET', '/sessions', null, { Authorization: 'Bearer nope' });
+  assert.equal(wrong.status, 401);
+  const unknown = await request('GET', '/nothing');
+  assert.equal(unknown.status, 404);
+});
+
+test('creating a session with invalid text is rejected without leaving a session behind', async (t) => {
+  const { request, server } = await startTestServer(t);
+  for (const text of ['', '   ', 5, null]) {
+    const response = await request('POST', '/sessions', { text });
+    assert.equal(response.status, 400);
+  }
+  assert.equal(server.sessions.size, 0);
+  assert.deepEqual((await request('GET', '/sessions')).body, { sessions: [] });
+});
+
+test('a session runs posted messages and streams its events over SSE', async (t) => {
+  const { request, baseUrl } = await startTestServer(t, {
+    script: [
+      { code: 'return 6 * 7;' },
+      { text: 'It is 42.' },
+      { text: 'Still 42.' },
+    ],
+  });
+  const created = await request('POST', '/sessions', { text: 'Multiply.' });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.title, 'Multiply.');
+  const { id } = created.body;
+
+  const events = await readEventsUntilFinish(`${baseUrl}/sessions/${id}/events?token=${TOKEN}`);
+  assert.deepEqual(events.map((event) => event.type), ['start', 'turn', 'tool-call', 'tool-result', 'text', 'answer', 'usage', 'finish']);
+  assert.equal(events.at(-1).answer, 'It is 42.');
+
+  const posted = await request('POST', `/sessions/${id}/messages`, { text: 'Again?' });
+  assert.equal(posted.status, 202);
+  assert.equal(posted.body.status, 'running');
+  const again = await readEventsUntilFinish(`${baseUrl}/sessions/${id}/events?token=${TOKEN}&after=8`);
+  assert.equal(again[0].type, 'start');
+  assert.equal(again.at(-1).answer, 'Still 42.');
+
+  const detail = await request('GET', `/sessions/${id}`);
+  assert.equal(detail.body.turns, 2);
+  assert.equal(detail.body.lastResult.status, 'answered');
+  assert.equal(detail.body.messages.filter((message) => message.role === 'user').length, 2);
+  const listed = await request('GET', '/sessions');
+  assert.deepEqual(listed.body.sessions.map((session) => [session.id, session.status]), [[id, 'idle']]);
+
+  const removed = await request('DELETE', `/sessions/${id}`);
+  assert.deepEqual(removed.body, { id, closed: true });
+  assert.equal((await request('GET', `/sessions/${id}`)).status, 404);
+});
+
+test('a running turn rejects new messages and can be cancelled', async (t) => {
+  const languageModel = createHangingModel();
+  const { request, baseUrl } = await startTestServer(t, { languageModel });
+  const { body: { id } } = await request('POST', '/sessions', { text: 'Think forever.' });
+  const finished = readEventsUntilFinish(`${baseUrl}/sessions/${id}/events?token=${TOKEN}`);
+  while (!languageModel.calls.length) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+
+  const busy = await request('POST', `/sessions/${id}/messages`, { text: 'Hello?' });
+  assert.equal(busy.status, 409);
+  const empty = await request('POST', `/sessions/${id}/messages`, {});
+  assert.equal(empty.status, 400);
+
+  const cancelled = await request('POST', `/sessions/${id}/cancel`);
+  assert.deepEqual(cancelled.body, { id, cancelled: true });
+  const events = await finished;
+  assert.ok(events.some((event) => event.type === 'stopped' && event.reason === 'cancelled'));
+  assert.equal(events.at(-1).status, 'cancelled');
+  assert.equal((await request('POST', `/sessions/${id}/cancel`)).body.cancelled, false);
+});
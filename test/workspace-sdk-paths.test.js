@@ -0,0 +1,276 @@
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, test } from 'node:test';
+import { promisify } from 'node:util';
+
+import { createWorkspaceSdk } from '../src/workspace-sdk.js';
+
+let sandboxDir;
+let outsideDir;
+
+before(async () => {
+  sandboxDir = await fs.mkdtemp(path.join(os.tmpdir(), 'code-loop-paths-'));
+  outsideDir = path.join(sandboxDir, 'outside');
+  await fs.mkdir(outsideDir);
+  await fs.writeFile(path.join(outsideDir, 'secret.txt'), 'top secret\n');
+});
+
+after(async () => {
+  await fs.rm(sandboxDir, { recursive: true, force: true });
+});
+
+let workspaceCount = 0;
+
+async function createWorkspace(options = {}) {
+  workspaceCount += 1;
+  const workspaceRoot = path.join(sandboxDir, `workspace-${workspaceCount}`);
+  await fs.mkdir(workspaceRoot);
+  await fs.writeFile(path.join(workspaceRoot, 'inside.txt'), 'hello\n');
+  await fs.mkdir(path.join(workspaceRoot, 'src'));
+  await fs.writeFile(path.join(workspaceRoot, 'src', 'app.js'), 'console.log(1);\n');
+  const sdk = createWorkspaceSdk({ workspaceRoot, withDeadline: (promise) => promise, ...options });
+  return { sdk, workspaceRoot };
+}
+
+async function exists(absolutePath) {
+  try {
+    await fs.lstat(absolutePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+describe('lexical escapes', () => {
+  test('.. segments cannot leave the workspace', async () => {
+    const { sdk } = await createWorkspace();
+    await assert.rejects(sdk.readFile('../outside/secret.txt'), /outside the workspace/);
+    await assert.rejects(sdk.readFile('src/../../outside/secret.txt'), /outside the workspace/);
+    await assert.rejects(sdk.writeFile('../escaped.txt', 'x'), /outside the workspace/);
+    await assert.rejects(sdk.listFiles('..'), /outside the workspace/);
+    await assert.rejects(sdk.exec('pwd', { cwd: '..' }), /outside the workspace/);
+    assert.equal(await exists(path.join(sandboxDir, 'escaped.txt')), false);
+  });
+
+  test('.. segments that stay inside are fine', async () => {
+    const { sdk } = await createWorkspace();
+    assert.equal(await sdk.readFile('src/../inside.txt'), 'hello\n');
+  });
+
+  test('names that merely start with two dots are not escapes', async () => {
+    const { sdk, workspaceRoot } = await createWorkspace();
+    await sdk.writeFile('..notes', 'dots');
+    assert.equal(await fs.readFile(path.join(workspaceRoot, '..notes'), 'utf8'), 'dots');
+  });
+
+  test('absolute paths outside the workspace are refused', async () => {
+    const { sdk } = await createWorkspace();
+    await assert.rejects(sdk.readFile(path.join(outsideDir, 'secret.txt')), /outside the workspace/);
+    await assert.rejects(sdk.writeFile(path.join(outsideDir, 'new.txt'), 'x'), /outside the workspace/);
+    await assert.rejects(sdk.stat('/etc/passwd'), /outside the workspace/);
+    assert.equal(await exists(path.join(outsideDir, 'new.txt')), false);
+  });
+
+  test('absolute paths inside the workspace are accepted', async () => {
+    const { sdk, workspaceRoot } = await createWorkspace();
+    assert.equal(await sdk.readFile(path.join(workspaceRoot, 'inside.txt')), 'hello\n');
+  });
+
+  test('root prefixes cannot climb out of their root', async () => {
+    const mountDir = path.join(sandboxDir, 'docs-mount');
+    await fs.mkdir(mountDir, { recursive: true });
+    const { sdk } = await createWorkspace({ mounts: [{ name: 'docs', path: mountDir, access: 'rw' }] });
+    await assert.rejects(sdk.readFile('project:../outside/secret.txt'), /outside the workspace/);
+    await assert.rejects(sdk.readFile('docs:../outside/secret.txt'), /outside the docs root/);
+    await assert.rejects(sdk.writeFile(`docs:${path.join(outsideDir, 'new.txt')}`, 'x'), /outside the docs root/);
+  });
+});
+
+describe('symlink escapes under the default policy', () => {
+  test('reads through a symlinked file pointing outside are refused', async () => {
+    const { sdk, workspaceRoot } = await createWorkspace();
+    await fs.symlink(path.join(outsideDir, 'secret.txt'), path.join(workspaceRoot, 'leak.txt'));
+    await assert.rejects(sdk.readFile('leak.txt'), /through a symlink, outside the workspace/);
+    await assert.rejects(sdk.editFile('leak.txt', [{ search: 'top', replace: 'no' }]), /through a symlink/);
+    assert.equal(await fs.readFile(path.join(outsideDir, 'secret.txt'), 'utf8'), 'top secret\n');
+  });
+
+  test('symlinked directories pointing outside are refused for every operation', async () => {
+    const { sdk, workspaceRoot } = await createWorkspace();
+    await fs.symlink(outsideDir, path.join(workspaceRoot, 'escape'));
+    await assert.rejects(sdk.readFile('escape/secret.txt'), /through a symlink/);
+    await assert.rejects(sdk.writeFile('escape/planted.txt', 'x'), /through a symlink/);
+    await assert.rejects(sdk.writeFile('escape/deep/er/planted.txt', 'x'), /through a symlink/);
+    await assert.rejects(sdk.mkdir('escape/newdir'), /through a symlink/);
+    await assert.rejects(sdk.listFiles('escape'), /through a symlink/);
+    await assert.rejects(sdk.stat('escape/secret.txt'), /through a symlink/);
+    await assert.rejects(sdk.exists('escape/secret.txt'), /through a symlink/);
+    await assert.rejects(sdk.deletePath('escape/secret.txt'), /through a symlink/);
+    await assert.rejects(sdk.glob('**/*', { cwd: 'escape' }), /through a symlink/);
+    await assert.rejects(sdk.grep('secret', { cwd: 'escape' }), /through a symlink/);
+    await assert.rejects(sdk.exec('pwd', { cwd: 'escape' }), /through a symlink/);
+    await assert.rejects(sdk.spawnBackground('pwd', { cwd: 'escape' }), /through a symlink/);
+    await assert.rejects(sdk.copy('escape/secret.txt', 'copied.txt'), /through a symlink/);
+    await assert.rejects(sdk.copy('inside.txt', 'escape/copied.txt'), /through a symlink/);
+    await assert.rejects(sdk.move('inside.txt', 'escape/moved.txt'), /through a symlink/);
+    assert.deepEqual((await fs.readdir(outsideDir)).sort(), ['secret.txt']);
+    assert.equal(await exists(path.join(workspaceRoot, 'inside.txt')), true);
+  });
+
+  test('a dangling symlink cannot be used to create files outside', async () => {
+    const { sdk, workspaceRoot } = await createWorkspace();
+    const target = path.join(outsideDir, 'not-yet.txt');
+    await fs.symlink(target, path.join(workspaceRoot, 'dangling.txt'));
+    await assert.rejects(sdk.writeFile('dangling.txt', 'planted'), /through a symlink/);
+    assert.equal(await exists(target), false);
+  });
+
+  test('a dangling symlinked directory cannot be used to create directories outside', async () => {
+    const { sdk, workspaceRoot } = await createWorkspace();
+    const target = path.join(outsideDir, 'future-dir');
+    await fs.symlink(target, path.join(workspaceRoot, 'future'));
+    await assert.rejects(sdk.writeFile('future/a/b.txt', 'planted'), /through a symlink/);
+    await assert.rejects(sdk.mkdir('future/a'), /through a symlink/);
+    assert.equal(await exists(target), false);
+  });
+
+  test('chained symlinks are resolved to their final target', async () => {
+    const { sdk, workspaceRoot } = await createWorkspace();
+    await fs.symlink(outsideDir, path.join(workspaceRoot, 'hop2'));
+    await fs.symlink('hop2', path.join(workspaceRoot, 'hop1'));
+    await assert.rejects(sdk.readFile('hop1/secret.txt'), /through a symlink/);
+  });
+
+  test('relative symlinks inside a symlinked directory resolve against the real directory', async () => {
+    const { sdk, workspaceRoot } = await createWorkspace();
+    const nested = path.join(workspaceRoot, 'real', 'nested');
+    await fs.mkdir(nested, { recursive: true });
+    await fs.symlink('real/nested', path.join(workspaceRoot, 'alias'));
+    await fs.symlink('../../../outside/ghost.txt', path.join(nested, 'ghost.txt'));
+    await assert.rejects(sdk.writeFile('alias/ghost.txt', 'planted'), /through a symlink/);
+    assert.equal(await exists(path.join(outsideDir, 'ghost.txt')), false);
+  });
+
+  test('symlink loops fail instead of hanging', async () => {
+    const { sdk, workspaceRoot } = await createWorkspace();
+    await fs.symlink('loop-b', path.join(workspaceRoot, 'loop-a'));
+    await fs.symlink('loop-a', path.join(workspaceRoot, 'loop-b'));
+    await assert.rejects(sdk.readFile('loop-a'));
+    await assert.rejects(sdk.writeFile('loop-a/x.txt', 'x'));
+  });
+
+  test('symlinks that stay inside the workspace work', async () => {
+    const { sdk, workspaceRoot } = await createWorkspace();
+    await fs.symlink('src', path.join(workspaceRoot, 'source'));
+    await fs.symlink('inside.txt', path.join(workspaceRoot, 'alias.txt'));
+    assert.equal(await sdk.readFile('alias.txt'), 'hello\n');
+    assert.deepEqual(await sdk.listFiles('source'), [{ name: 'app.js', kind: 'file' }]);
+    await sdk.writeFile('source/new.js', 'export {};\n');
+    assert.equal(await fs.readFile(path.join(workspaceRoot, 'src', 'new.js'), 'utf8'), 'export {};\n');
+    const result = await sdk.exec('ls', { cwd: 'source' });
+    assert.match(result.stdout, /app\.js/);
+  });
+
+  test('the link itself can be inspected and deleted without touching its target', async () => {
+    const { sdk, workspaceRoot } = await createWorkspace();
+    await fs.symlink(outsideDir, path.join(workspaceRoot, 'escape'));
+    assert.equal(await sdk.exists('escape'), true);
+    assert.equal((await sdk.stat('escape')).kind, 'symlink');
+    assert.equal(await sdk.deletePath('escape', { recursive: true }), true);
+    assert.equal(await exists(path.join(workspaceRoot, 'escape')), false);
+    assert.equal(await fs.readFile(path.join(outsideDir, 'secret.txt'), 'utf8'), 'top secret\n');
+  });
+
+  test('glob and grep do not descend into symlinked directories', async () => {
+    const { sdk, workspaceRoot } = await createWorkspace();
+    await fs.symlink(outsideDir, path.join(workspaceRoot, 'escape'));
+    const { files } = await sdk.glob('**/*.txt');
+    assert.deepEqual(files.map((file) => file.path), ['inside.txt']);
+    const { matches } = await sdk.grep('secret');
+    assert.deepEqual(matches, []);
+  });
+
+  test('a workspace root that is itself a symlink still works', async () => {
+    const { workspaceRoot } = await createWorkspace();
+    const linkedRoot = path.join(sandboxDir, `linked-root-${workspaceCount}`);
+    await fs.symlink(workspaceRoot, linkedRoot);
+    const sdk = createWorkspaceSdk({ workspaceRoot: linkedRoot, withDeadline: (promise) => promise });
+    assert.equal(await sdk.readFile('inside.txt'), 'hello\n');
+    await sdk.writeFile('src/more.js', '1;\n');
+    assert.equal(await fs.readFile(path.join(workspaceRoot, 'src', 'more.js'), 'utf8'), '1;\n');
+    await assert.rejects(sdk.readFile('../outside/secret.txt'), /outside the workspace/);
+  });
+
+  test('mounted roots are checked against their own real path', async () => {
+    const mountDir = path.join(sandboxDir, 'notes-mount');
+    await fs.mkdir(mountDir, { recursive: true });
+    await fs.symlink(outsideDir, path.join(mountDir, 'escape'));
+    const { sdk, workspaceRoot } = await createWorkspace({ mounts: [{ name: 'notes', path: mountDir, access: 'rw' }] });
+    await fs.symlink(mountDir, path.join(workspaceRoot, 'notes-link'));
+    await assert.rejects(sdk.readFile('notes:escape/secret.txt'), /outside the notes root/);
+    await assert.rejects(sdk.readFile('notes-link/anything.txt'), /outside the workspace/);
+  });
+});
+
+describe('symlink policies', () => {
+  test('deny refuses symlinks even when they stay inside', async () => {
+    const { sdk, workspaceRoot } = await createWorkspace({ symlinks: 'deny' });
+    await fs.symlink('inside.txt', path.join(workspaceRoot, 'alias.txt'));
+    await fs.symlink('src', path.join(workspaceRoot, 'source'));
+    await assert.rejects(sdk.readFile('alias.txt'), /"deny" symlink policy/);
+    await assert.rejects(sdk.writeFile('source/new.js', 'x'), /"deny" symlink policy/);
+    assert.equal((await sdk.stat('alias.txt')).kind, 'symlink');
+    assert.equal(await sdk.readFile('inside.txt'), 'hello\n');
+  });
+
+  test('deny still refuses escapes with the containment error', async () => {
+    const { sdk, workspaceRoot } = await createWorkspace({ symlinks: 'deny' });
+    await fs.symlink(outsideDir, path.join(workspaceRoot, 'escape'));
+    await assert.rejects(sdk.readFile('escape/secret.txt'), /outside the workspace/);
+  });
+
+  test('follow allows symlinks that leave the workspace', async () => {
+    const { sdk, workspaceRoot } = await createWorkspace({ symlinks: 'follow' });
+    await fs.symlink(outsideDir, path.join(workspaceRoot, 'escape'));
+    assert.equal(await sdk.readFile('escape/secret.txt'), 'top secret\n');
+  });
+
+  test('follow keeps the lexical checks', async () => {
+    const { sdk } = await createWorkspace({ symlinks: 'follow' });
+    await assert.rejects(sdk.readFile('../outside/secret.txt'), /outside the workspace/);
+  });
+
+  test('unknown policies are rejected', async () => {
+    await assert.rejects(createWorkspace({ symlinks: 'sometimes' }), /Unknown symlink policy/);
+  });
+});
+
+describe('search deadlines', () => {
+  test('glob and grep stop walking once the deadline has passed or the call is cancelled', async () => {
+    const { sdk } = await createWorkspace();
+    const expired = { deadline: Date.now() - 1, signal: null };
+    assert.deepEqual(await sdk.glob('**/*', {}, expired), { files: [], truncated: false });
+    const controller = new AbortController();
+    controller.abort();
+    const cancelled = { deadline: Infinity, signal: controller.signal };
+    assert.equal((await sdk.grep('hello', {}, cancelled)).filesSearched, 0);
+    assert.equal((await sdk.grep('hello')).filesSearched, 2);
+  });
+});
+
+describe('read-only project root', () => {
+  test('sdk.git refuses changes and checkpoints are refused', async () => {
+    const { sdk, workspaceRoot } = await createWorkspace({ workspaceAccess: 'ro' });
+    await assert.rejects(sdk.git('init'), /git init would change the read-only project root/);
+    assert.equal(await exists(path.join(workspaceRoot, '.git')), false);
+    await promisify(execFile)('git', ['init', '--quiet'], { cwd: workspaceRoot });
+    assert.ok((await sdk.git('status')).files.length > 0);
+    await assert.rejects(sdk.git('add', ['inside.txt']), /git add would change the read-only project root/);
+    await assert.rejects(sdk.git('commit', ['message']), /read-only/);
+    await assert.rejects(sdk.checkpoint('code-loop turn 1'), /read-only/);
+    assert.deepEqual((await sdk.git('status')).files.filter((file) => file.staged), []);
+  });
+});